@@ -4,6 +4,11 @@ import { HealthMonitor } from '../middleware/health-monitoring';
 import { UsageTracker, UsageFilters } from '../middleware/usage-tracking';
 import * as fs from 'fs';
 import * as path from 'path';
+import { CONFIG_FILE } from '../constants';
+import { loadUnifiedConfig, mergeSynapseConfig, toSynapseRouterConfig } from '../utils/unifiedConfig';
+import { validateConfig } from '../utils/configValidation';
+import { redactSecrets, resolveSecret } from '../utils/secrets';
+import { parseBreakdownGroups, parseUsageFilters, UsageQueryError } from '../utils/usageReport';
 
 export interface ValidationResult {
   valid: boolean;
@@ -31,8 +36,8 @@ export class SynapseAPI {
     this.healthMonitor = healthMonitor;
     this.usageTracker = usageTracker;
     
-    const homeDir = process.env.HOME || process.env.USERPROFILE || '/tmp';
-    this.configPath = configPath || path.join(homeDir, '.claude-code-router', 'synapse-config.json');
+    // Synapse settings live in config.json alongside Providers and Router
+    this.configPath = configPath || CONFIG_FILE;
     this.ensureConfigDirectory();
   }
 
@@ -45,7 +50,8 @@ export class SynapseAPI {
 
   async getConfig(req: any, res: any): Promise<void> {
     try {
-      const config = await this.loadConfig();
+      // provider keys and references, tokens and webhook URLs stay on the server
+      const config = redactSecrets(await this.loadConfig());
       return res.code(200).send({ success: true, config });
     } catch (error: any) {
       return res.code(500).send({ 
@@ -71,6 +77,18 @@ export class SynapseAPI {
         return;
       }
 
+      // The update must also leave config.json as a whole usable
+      const issues = validateConfig(this.applyUpdate(configUpdate))
+        .filter(issue => issue.severity === 'error');
+      if (issues.length > 0) {
+        res.status(400).json({
+          success: false,
+          error: 'Invalid configuration',
+          details: issues.map(issue => `${issue.field}: ${issue.message}`)
+        });
+        return;
+      }
+
       await this.saveConfig(configUpdate);
       res.json({ success: true, message: 'Configuration updated successfully' });
     } catch (error: any) {
@@ -102,17 +120,15 @@ export class SynapseAPI {
 
   async getUsage(req: Request, res: Response): Promise<void> {
     try {
-      const { projectId, agentId, timeRange } = req.query;
-      
-      const filters: UsageFilters = {
-        projectId: projectId as string,
-        agentId: agentId as string,
-        timeRange: timeRange ? JSON.parse(timeRange as string) : undefined
-      };
+      const filters: UsageFilters = parseUsageFilters(req.query);
+      const groups = parseBreakdownGroups(req.query.groupBy);
 
-      const usage = await this.usageTracker.getUsageStats(filters);
-      res.json({ success: true, usage });
+      res.json({ success: true, ...(await this.usageTracker.getUsageReport(filters, groups)) });
     } catch (error: any) {
+      if (error instanceof UsageQueryError) {
+        res.status(400).json({ success: false, error: error.message });
+        return;
+      }
       res.status(500).json({ 
         success: false, 
         error: 'Failed to get usage statistics',
@@ -157,23 +173,24 @@ export class SynapseAPI {
 
   async loadConfig(): Promise<RouterConfig> {
     try {
-      if (fs.existsSync(this.configPath)) {
-        const data = fs.readFileSync(this.configPath, 'utf8');
-        return JSON.parse(data);
-      }
-      
-      // Return default configuration if file doesn't exist
-      return this.getDefaultConfig();
+      return toSynapseRouterConfig(loadUnifiedConfig(this.configPath));
     } catch (error) {
       console.error('Failed to load config, using defaults:', error);
       return this.getDefaultConfig();
     }
   }
 
+  // Accepts the Synapse-shaped sections and writes them into config.json
+  private applyUpdate(config: Partial<RouterConfig>): any {
+    const currentConfig = fs.existsSync(this.configPath)
+      ? JSON.parse(fs.readFileSync(this.configPath, 'utf8'))
+      : {};
+    return mergeSynapseConfig(currentConfig, config, { overwrite: true }).config;
+  }
+
   async saveConfig(config: Partial<RouterConfig>): Promise<void> {
     try {
-      const currentConfig = await this.loadConfig();
-      const updatedConfig = { ...currentConfig, ...config };
+      const updatedConfig = this.applyUpdate(config);
       
       fs.writeFileSync(this.configPath, JSON.stringify(updatedConfig, null, 2));
     } catch (error) {
@@ -245,7 +262,8 @@ export class SynapseAPI {
       const response = await fetch(`${providerConfig.baseUrl}/chat/completions`, {
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${providerConfig.apiKey}`,
+          // config.json may hold a $ENV / file: / secret: reference
+          'Authorization': `Bearer ${resolveSecret(providerConfig.apiKey)}`,
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
@@ -285,32 +303,6 @@ export class SynapseAPI {
   }
 
   private getDefaultConfig(): RouterConfig {
-    return {
-      models: {
-        default: 'claude-3-5-sonnet-20241022',
-        coder: 'deepseek-chat',
-        tool: 'qwen-max-2025-01-25',
-        think: 'deepseek-reasoner',
-        fast: 'claude-3-5-haiku-20241022',
-        longContext: 'claude-3-5-sonnet-20241022'
-      },
-      providers: {
-        openrouter: {
-          apiKey: process.env.OPENROUTER_API_KEY || '',
-          baseUrl: 'https://openrouter.ai/api/v1',
-          models: ['claude-3-5-sonnet-20241022', 'claude-3-5-haiku-20241022']
-        }
-      },
-      routing: {
-        enabled: true,
-        fallbackEnabled: true,
-        retryAttempts: 3
-      },
-      monitoring: {
-        usageTracking: true,
-        healthChecks: true,
-        costTracking: true
-      }
-    };
+    return toSynapseRouterConfig({});
   }
 }
\ No newline at end of file
@@ -2,6 +2,13 @@
 import { run } from "./index";
 import { showStatus } from "./utils/status";
 import { executeCodeCommand } from "./utils/codeCommand";
+import {
+  executeConfigCommand,
+  executeReloadCommand,
+} from "./utils/configCommand";
+import { executeSecretsCommand } from "./utils/secretsCommand";
+import { executeKeysCommand } from "./utils/keysCommand";
+import { executeUsageCommand } from "./utils/usageCommand";
 import { cleanupPidFile, isServiceRunning } from "./utils/processCheck";
 import { version } from "../package.json";
 import { spawn } from "child_process";
@@ -19,6 +26,11 @@ Commands:
   stop          Stop service
   status        Show service status
   code          Execute code command
+  reload        Reload config.json without restarting the service
+  config        Manage config.json (ccr config validate|migrate)
+  secrets       Manage encrypted provider keys (ccr secrets set|list|rm)
+  keys          Manage client API keys (ccr keys create|revoke|list)
+  usage         Show usage by day, model, provider, project or agent
   -v, version   Show version information
   -h, help      Show help information
 
@@ -104,6 +116,21 @@ async function main() {
         executeCodeCommand(process.argv.slice(3));
       }
       break;
+    case "reload":
+      await executeReloadCommand();
+      break;
+    case "config":
+      executeConfigCommand(process.argv.slice(3));
+      break;
+    case "secrets":
+      await executeSecretsCommand(process.argv.slice(3));
+      break;
+    case "keys":
+      executeKeysCommand(process.argv.slice(3));
+      break;
+    case "usage":
+      await executeUsageCommand(process.argv.slice(3));
+      break;
     case "-v":
     case "version":
       console.log(`claude-code-router version: ${version}`);
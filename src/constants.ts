@@ -5,8 +5,22 @@ export const HOME_DIR = path.join(os.homedir(), ".claude-code-router");
 
 export const CONFIG_FILE = path.join(HOME_DIR, "config.json");
 
+// Standalone Synapse config, superseded by config.json (see `ccr config migrate`)
+export const SYNAPSE_CONFIG_FILE = path.join(HOME_DIR, "synapse-config.json");
+
 export const PLUGINS_DIR = path.join(HOME_DIR, "plugins");
 
+// Encrypted secret store used by `secret:<name>` api_key references
+export const SECRETS_FILE = path.join(HOME_DIR, "secrets.json");
+
+export const SECRET_KEY_FILE = path.join(HOME_DIR, ".secret-key");
+
+export const PROJECT_CONFIG_FILE = ".claude-code-router.json";
+
+export const PROJECT_HEADER = "x-ccr-project";
+
+export const ROUTE_HEADER = "x-ccr-route";
+
 export const PID_FILE = path.join(HOME_DIR, '.claude-code-router.pid');
 
 export const REFERENCE_COUNT_FILE = path.join(os.tmpdir(), "claude-code-reference-count.txt");
@@ -2,7 +2,7 @@ import { existsSync } from "fs";
 import { writeFile } from "fs/promises";
 import { homedir } from "os";
 import { join } from "path";
-import { initConfig, initDir } from "./utils";
+import { exportEnvSettings, initConfig, initDir } from "./utils";
 import { createServer } from "./server";
 import { router } from "./utils/router";
 import { apiKeyAuth } from "./middleware/auth";
@@ -12,6 +12,26 @@ import {
   savePid,
 } from "./utils/processCheck";
 import { CONFIG_FILE } from "./constants";
+import { circuitBreakers } from "./middleware/circuit-breaker";
+import { rateLimiters, rateLimitRequests } from "./middleware/rate-limiter";
+import { usageTracker } from "./middleware/usage-tracking";
+import { metrics } from "./middleware/metrics";
+import { tracing } from "./middleware/tracing";
+import { alerts } from "./middleware/alerting";
+import { events } from "./middleware/event-bus";
+import { RouteEvent } from "./types/synapse-types";
+import {
+  keyPools,
+  toServerProviders,
+} from "./middleware/key-pool";
+import {
+  getCurrentConfig,
+  onConfigReload,
+  setCurrentConfig,
+  watchConfigFile,
+} from "./utils/configReload";
+import { resetProjectProviders } from "./utils/projectConfig";
+import { hasClientAuth } from "./utils/clientKeys";
 
 async function initializeClaudeConfig() {
   const homeDir = homedir();
@@ -47,12 +67,20 @@ async function run(options: RunOptions = {}) {
   await initializeClaudeConfig();
   await initDir();
   const config = await initConfig();
+  circuitBreakers.configure(config.CircuitBreaker);
+  keyPools.configure(config.Providers, config.Security?.apiKeyRotation);
+  rateLimiters.configure(config.Security?.rateLimiting);
+  usageTracker.configure(config.Usage);
+  usageTracker.startMaintenance();
+  metrics.configure(config.Monitoring?.metrics);
+  tracing.configure(config.Monitoring?.tracing);
+  alerts.configure(config.Monitoring?.alerting);
   let HOST = config.HOST;
 
-  if (config.HOST && !config.APIKEY) {
+  if (config.HOST && !hasClientAuth(config)) {
     HOST = "127.0.0.1";
     console.warn(
-      "⚠️ API key is not set. HOST is forced to 127.0.0.1."
+      "⚠️ Neither APIKEY nor ClientKeys is set. HOST is forced to 127.0.0.1."
     );
   }
 
@@ -83,7 +111,7 @@ async function run(options: RunOptions = {}) {
     jsonPath: CONFIG_FILE,
     initialConfig: {
       // ...config,
-      providers: config.Providers || config.providers,
+      providers: toServerProviders(config.Providers || config.providers),
       HOST: HOST,
       PORT: servicePort,
       LOG_FILE: join(
@@ -93,9 +121,57 @@ async function run(options: RunOptions = {}) {
       ),
     },
   });
-  server.addHook("preHandler", apiKeyAuth(config));
-  server.addHook("preHandler", async (req, reply) =>
-    router(req, reply, config)
+  setCurrentConfig(config, HOST);
+  onConfigReload((newConfig, previous) => {
+    exportEnvSettings(newConfig);
+    circuitBreakers.configure(newConfig.CircuitBreaker);
+    keyPools.configure(newConfig.Providers, newConfig.Security?.apiKeyRotation);
+    rateLimiters.configure(newConfig.Security?.rateLimiting);
+    usageTracker.configure(newConfig.Usage);
+    metrics.configure(newConfig.Monitoring?.metrics);
+    tracing.configure(newConfig.Monitoring?.tracing);
+    alerts.configure(newConfig.Monitoring?.alerting);
+    resetProjectProviders(server);
+    const providerService = (server as any).providerService;
+    const names = new Set(
+      (newConfig.Providers || []).map((provider: any) => provider.name)
+    );
+    for (const provider of previous?.Providers || []) {
+      if (!names.has(provider.name)) {
+        providerService?.deleteProvider(provider.name);
+      }
+    }
+    const providers = toServerProviders(newConfig.Providers);
+    providerService?.initializeFromProvidersArray(providers);
+    (server as any)._enhancedRouter?.startHealthChecks(providers);
+  });
+  watchConfigFile();
+
+  // Each request keeps the config it started with, even if a reload
+  // swaps in a new one while it is in flight
+  server.addHook("onRequest", async (req: any) => {
+    req.config = getCurrentConfig();
+  });
+  server.addHook("preHandler", apiKeyAuth((req) => (req as any).config));
+  server.addHook("preHandler", rateLimitRequests);
+  server.addHook("preHandler", async (req: any, reply) =>
+    tracing.trace("route", req, async (span) => {
+      const result = await router(req, reply, req.config);
+      span?.setAttributes({
+        "ccr.route_reason": req.routeReason,
+        "ccr.route_targets": req.routeTargets?.join(" "),
+        "ccr.model": req.body?.model,
+      });
+      if (req.url.startsWith("/v1/") && req.body?.model && !reply.sent) {
+        events.publish<RouteEvent>("route", "router", {
+          context: req.synapseContext,
+          clientKey: req.clientKey?.name,
+          reason: req.routeReason || "synapse",
+          targets: req.routeTargets || [req.body.model],
+        });
+      }
+      return result;
+    })
   );
   server.start();
 }
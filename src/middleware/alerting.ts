@@ -0,0 +1,288 @@
+import { randomUUID } from 'crypto';
+import { AlertEvent, AlertingConfig } from '../types/synapse-types';
+import { UsageRecord } from './usage-tracking';
+import { events } from './event-bus';
+import { SynapseContext } from './synapse-context';
+import { describeBudget, getBudgetStatus } from '../utils/costLimits';
+import { getCurrentConfig } from '../utils/configReload';
+import { log } from '../utils/log';
+
+export type AlertSeverity = AlertEvent['data']['severity'];
+
+export const DEFAULT_ALERT_THRESHOLDS: AlertingConfig['thresholds'] = {
+  errorRate: 0.1,
+  avgLatency: 5000,
+  budgetUsage: 0.8
+};
+
+const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+const DEFAULT_MIN_REQUESTS = 10;
+const DEFAULT_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Windows are also re-evaluated without traffic, so alerts can resolve
+const EVALUATE_INTERVAL_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// per provider, the oldest outcomes go first beyond this
+const MAX_OUTCOMES = 10000;
+const MAX_RECENT = 200;
+
+const SEVERITY_RANK: { [severity in AlertSeverity]: number } = {
+  low: 0,
+  medium: 1,
+  high: 2,
+  critical: 3
+};
+
+interface Outcome {
+  time: number;
+  success: boolean;
+  latency: number;
+}
+
+type AlertDetails = Omit<AlertEvent['data'], 'key' | 'status'>;
+
+const percent = (value: number) => `${Math.round(value * 100)}%`;
+
+const describeWindow = (ms: number) =>
+  ms >= 60000 ? `${Math.round(ms / 60000)} minutes` : `${Math.round(ms / 1000)} seconds`;
+
+/**
+ * Evaluates thresholds over live traffic: error rate and latency of each
+ * provider's upstream attempts in a sliding window, spend against budgets,
+ * and health check transitions. An alert notifies the webhooks once when it
+ * fires, again if its severity rises, and once when it resolves.
+ */
+export class AlertManager {
+  private options: AlertingConfig = { enabled: false, thresholds: { ...DEFAULT_ALERT_THRESHOLDS } };
+  private outcomes = new Map<string, Outcome[]>();
+  private active = new Map<string, AlertEvent>();
+  private resolvedAt = new Map<string, number>();
+  private recent: AlertEvent[] = [];
+  // last health check result per provider, kept while disabled so that
+  // enabling alerting doesn't report a known outage as a transition
+  private health = new Map<string, boolean>();
+  // projects and agents with spend since the last budget check
+  private budgetContexts = new Map<string, Partial<SynapseContext>>();
+  private timer?: NodeJS.Timeout;
+
+  configure(options: Partial<AlertingConfig> = {}): void {
+    // active alerts survive a reload, so it doesn't send them again
+    this.options = {
+      ...options,
+      enabled: !!options.enabled,
+      thresholds: { ...DEFAULT_ALERT_THRESHOLDS, ...options.thresholds }
+    };
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+    if (this.options.enabled) {
+      this.timer = setInterval(() => void this.evaluate(), EVALUATE_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  // One upstream attempt; latency is until the provider answered, which for
+  // a stream is its first byte
+  recordOutcome(provider: string, success: boolean, latency: number): void {
+    if (!this.options.enabled) return;
+    const outcomes = this.outcomes.get(provider) || [];
+    outcomes.push({ time: Date.now(), success, latency });
+    if (outcomes.length > MAX_OUTCOMES) outcomes.shift();
+    this.outcomes.set(provider, outcomes);
+    this.evaluateProvider(provider);
+  }
+
+  recordHealth(provider: string, healthy: boolean, error?: string): void {
+    const previous = this.health.get(provider);
+    this.health.set(provider, healthy);
+    if (!this.options.enabled || previous === healthy) return;
+    const key = `health:${provider}`;
+    if (healthy) {
+      this.resolve(key, `Provider ${provider} is healthy again`, 1);
+    } else {
+      this.fire(key, {
+        severity: 'high',
+        message: `Provider ${provider} failed its health check: ${error || 'unhealthy'}`,
+        metric: 'provider.healthy',
+        value: 0,
+        threshold: 1,
+        provider
+      });
+    }
+  }
+
+  observeUsage(record: UsageRecord): void {
+    if (!this.options.enabled) return;
+    if (record.projectId) this.budgetContexts.set(`project:${record.projectId}`, { projectId: record.projectId });
+    if (record.agentId) this.budgetContexts.set(`agent:${record.agentId}`, { agentId: record.agentId });
+  }
+
+  getAlerts(limit = 50): { active: AlertEvent[]; recent: AlertEvent[] } {
+    return {
+      active: Array.from(this.active.values()),
+      recent: this.recent.slice(0, limit)
+    };
+  }
+
+  async evaluate(): Promise<void> {
+    for (const provider of Array.from(this.outcomes.keys())) {
+      this.evaluateProvider(provider);
+    }
+    try {
+      await this.evaluateBudgets();
+    } catch (error: any) {
+      console.error('Failed to evaluate budget alerts:', error.message);
+    }
+  }
+
+  private evaluateProvider(provider: string): void {
+    const now = Date.now();
+    const windowMs = this.options.windowMs ?? DEFAULT_WINDOW_MS;
+    const outcomes = (this.outcomes.get(provider) || []).filter(outcome => now - outcome.time <= windowMs);
+    const errorKey = `error_rate:${provider}`;
+    const latencyKey = `latency:${provider}`;
+    const window = describeWindow(windowMs);
+    if (!outcomes.length) {
+      this.outcomes.delete(provider);
+      this.resolve(errorKey, `No requests to ${provider} in the last ${window}`, 0);
+      this.resolve(latencyKey, `No requests to ${provider} in the last ${window}`, 0);
+      return;
+    }
+    this.outcomes.set(provider, outcomes);
+    // too few attempts to say anything either way
+    if (outcomes.length < (this.options.minRequests ?? DEFAULT_MIN_REQUESTS)) return;
+
+    const { errorRate, avgLatency } = this.options.thresholds;
+    const rate = outcomes.filter(outcome => !outcome.success).length / outcomes.length;
+    if (rate >= errorRate) {
+      this.fire(errorKey, {
+        severity: rate >= Math.min(1, errorRate * 2) ? 'critical' : 'high',
+        message: `${percent(rate)} of ${outcomes.length} requests to ${provider} failed in the last ${window}`,
+        metric: 'provider.error_rate',
+        value: rate,
+        threshold: errorRate,
+        provider
+      });
+    } else {
+      this.resolve(errorKey, `Error rate of ${provider} is down to ${percent(rate)}`, rate);
+    }
+
+    const answered = outcomes.filter(outcome => outcome.success);
+    if (!answered.length) return;
+    const latency = Math.round(answered.reduce((sum, outcome) => sum + outcome.latency, 0) / answered.length);
+    if (latency >= avgLatency) {
+      this.fire(latencyKey, {
+        severity: 'medium',
+        message: `Average latency of ${provider} is ${latency}ms over the last ${window}`,
+        metric: 'provider.avg_latency',
+        value: latency,
+        threshold: avgLatency,
+        provider
+      });
+    } else {
+      this.resolve(latencyKey, `Average latency of ${provider} is down to ${latency}ms`, latency);
+    }
+  }
+
+  // Reads the running spend totals the router's budget checks use
+  private async evaluateBudgets(): Promise<void> {
+    const config = getCurrentConfig();
+    if (!config?.CostLimits) return;
+    const threshold = this.options.thresholds.budgetUsage ?? DEFAULT_ALERT_THRESHOLDS.budgetUsage!;
+    const contexts: Partial<SynapseContext>[] = [{}, ...this.budgetContexts.values()];
+    // budgets that are alerting are checked until they resolve, e.g. when a
+    // new day starts
+    for (const alert of this.active.values()) {
+      const [metric, scope, ...rest] = alert.data.key.split(':');
+      const name = rest.slice(0, -1).join(':');
+      if (metric !== 'budget' || !name) continue;
+      contexts.push(scope === 'project' ? { projectId: name } : { agentId: name });
+    }
+    this.budgetContexts.clear();
+
+    for (const context of contexts) {
+      const scope = context.projectId ? 'project' : context.agentId ? 'agent' : 'global';
+      for (const status of await getBudgetStatus(config, context)) {
+        // a project's check also returns the global budget
+        if (status.scope !== scope) continue;
+        const key = `budget:${status.scope}:${status.name || ''}:${status.period}`;
+        if (status.used >= threshold) {
+          this.fire(key, {
+            severity: status.state === 'exceeded' ? 'critical' : 'high',
+            message: `${describeBudget(status)} is ${percent(status.used)} spent`,
+            metric: 'budget.usage',
+            value: status.used,
+            threshold
+          });
+        } else {
+          this.resolve(key, `${describeBudget(status)} is back to ${percent(status.used)} spent`, status.used);
+        }
+      }
+    }
+  }
+
+  private fire(key: string, details: AlertDetails): void {
+    const current = this.active.get(key);
+    if (current) {
+      const escalated = SEVERITY_RANK[details.severity] > SEVERITY_RANK[current.data.severity];
+      current.data = { ...current.data, ...details, severity: escalated ? details.severity : current.data.severity };
+      if (escalated) this.notify(this.createEvent({ ...details, key, status: 'firing' }), key);
+      return;
+    }
+    // debounce a flapping alert
+    const resolvedAt = this.resolvedAt.get(key);
+    if (resolvedAt && Date.now() - resolvedAt < (this.options.cooldownMs ?? DEFAULT_COOLDOWN_MS)) return;
+    this.notify(this.createEvent({ ...details, key, status: 'firing' }), key);
+  }
+
+  private resolve(key: string, message: string, value: number): void {
+    const current = this.active.get(key);
+    if (!current) return;
+    this.active.delete(key);
+    this.resolvedAt.set(key, Date.now());
+    this.notify(this.createEvent({ ...current.data, message, value, status: 'resolved' }));
+  }
+
+  private createEvent(data: AlertEvent['data']): AlertEvent {
+    return { id: randomUUID(), type: 'alert', timestamp: new Date(), source: 'alerting', data };
+  }
+
+  private notify(event: AlertEvent, activeKey?: string): void {
+    // a copy, so later values of an active alert leave the notification as sent
+    if (activeKey) this.active.set(activeKey, { ...event });
+    this.recent.unshift(event);
+    events.emit(event);
+    this.recent.length = Math.min(this.recent.length, MAX_RECENT);
+    log(`Alert ${event.data.status} [${event.data.severity}]: ${event.data.message}`);
+
+    const urls = [this.options.webhookUrl, ...(this.options.webhooks || [])].filter(Boolean);
+    for (const url of urls) {
+      void this.post(url as string, event);
+    }
+  }
+
+  private async post(url: string, event: AlertEvent): Promise<void> {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${await response.text()}`);
+      }
+    } catch (error: any) {
+      // the URL itself may be the secret, e.g. a Slack incoming webhook
+      console.error(`Failed to send alert ${event.data.key} to a webhook: ${error.message}`);
+    }
+  }
+}
+
+// Fed by the fallback loop, the health monitor and usage capture
+export const alerts = new AlertManager();
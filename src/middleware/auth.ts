@@ -1,33 +1,77 @@
 import { FastifyRequest, FastifyReply } from "fastify";
+import { metrics } from "./metrics";
+import { tracing } from "./tracing";
+import {
+  authenticateClient,
+  hasClientAuth,
+  requiredScope,
+} from "../utils/clientKeys";
+
+const sendError = (
+  reply: FastifyReply,
+  status: number,
+  type: string,
+  message: string
+) => reply.status(status).send({ type: "error", error: { type, message } });
 
 export const apiKeyAuth =
-  (config: any) =>
+  (getConfig: (req: FastifyRequest) => any) =>
   (req: FastifyRequest, reply: FastifyReply, done: () => void) => {
     if (["/", "/health"].includes(req.url)) {
       return done();
     }
-    const apiKey = config.APIKEY;
+    // Monitoring.metrics.token or public replaces API auth for scrapes
+    if (req.url.split("?")[0] === "/metrics" && metrics.hasOwnAuth) {
+      return done();
+    }
+    const config = getConfig(req);
 
-    if (!apiKey) {
+    if (!hasClientAuth(config)) {
       return done();
     }
 
+    const span = tracing.startSpan("auth", req);
+    const reject = (status: number, type: string, message: string) => {
+      span?.setAttribute("http.response.status_code", status).setError(message).end();
+      sendError(reply, status, type, message);
+    };
+
     const authKey: string =
       req.headers.authorization || req.headers["x-api-key"];
     if (!authKey) {
-      reply.status(401).send("APIKEY is missing");
+      reject(401, "authentication_error", "APIKEY is missing");
       return;
     }
     let token = "";
     if (authKey.startsWith("Bearer")) {
-      token = authKey.split(" ")[1];
+      token = authKey.split(" ")[1] || "";
     } else {
       token = authKey;
     }
-    if (token !== apiKey) {
-      reply.status(401).send("Invalid API key");
+    const result = authenticateClient(config, token);
+    if ("error" in result) {
+      reject(result.status, "authentication_error", result.error);
       return;
     }
 
+    const scope = requiredScope(req.url);
+    if (!result.identity.scopes.includes(scope)) {
+      reject(
+        403,
+        "permission_error",
+        `API key "${result.identity.name}" does not have the ${scope} scope`
+      );
+      return;
+    }
+
+    span?.setAttributes({
+      "ccr.client_key": result.identity.name,
+      "ccr.scope": scope,
+    }).end();
+    const request = req as any;
+    request.clientKey = result.identity;
+    if (request.synapseContext) {
+      request.synapseContext.clientKey = result.identity.name;
+    }
     done();
   };
@@ -0,0 +1,184 @@
+import { log } from '../utils/log';
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitBreakerOptions {
+  enabled: boolean;
+  // open after this many failures in a row
+  failureThreshold: number;
+  // ...or when this fraction of the last `windowSize` requests failed
+  errorRateThreshold: number;
+  windowSize: number;
+  // error rate is only considered once the window holds this many requests
+  minRequests: number;
+  // how long to stay open before letting a probe request through
+  cooldownMs: number;
+}
+
+export interface CircuitStatus {
+  provider: string;
+  state: CircuitState;
+  consecutiveFailures: number;
+  errorRate: number;
+  openedAt?: Date;
+  lastFailure?: string;
+}
+
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS: CircuitBreakerOptions = {
+  enabled: true,
+  failureThreshold: 5,
+  errorRateThreshold: 0.5,
+  windowSize: 20,
+  minRequests: 10,
+  cooldownMs: 30000
+};
+
+export class CircuitBreaker {
+  private state: CircuitState = 'closed';
+  private consecutiveFailures = 0;
+  private outcomes: boolean[] = [];
+  private openedAt = 0;
+  private probeStartedAt = 0;
+  private lastFailure?: string;
+
+  constructor(public readonly provider: string, private options: CircuitBreakerOptions) {}
+
+  setOptions(options: CircuitBreakerOptions): void {
+    this.options = options;
+  }
+
+  getState(): CircuitState {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.options.cooldownMs) {
+      this.state = 'half_open';
+      this.probeStartedAt = 0;
+    }
+    return this.state;
+  }
+
+  // Whether a request may be sent now. In half-open state only one probe is
+  // allowed at a time; a probe that never reports back expires after the cooldown.
+  isAvailable(): boolean {
+    const state = this.getState();
+    if (state === 'closed') return true;
+    if (state === 'open') return false;
+    return !this.probeStartedAt || Date.now() - this.probeStartedAt >= this.options.cooldownMs;
+  }
+
+  onAttempt(): void {
+    if (this.getState() === 'half_open') {
+      this.probeStartedAt = Date.now();
+    }
+  }
+
+  recordSuccess(): void {
+    if (this.getState() === 'half_open') {
+      log(`Circuit for provider ${this.provider} closed after successful probe`);
+      this.reset();
+      return;
+    }
+    this.consecutiveFailures = 0;
+    this.pushOutcome(true);
+  }
+
+  recordFailure(reason?: string): void {
+    this.lastFailure = reason;
+    if (this.getState() === 'half_open') {
+      this.open('probe failed');
+      return;
+    }
+    this.consecutiveFailures++;
+    this.pushOutcome(false);
+
+    if (this.state !== 'closed') return;
+    if (this.consecutiveFailures >= this.options.failureThreshold) {
+      this.open(`${this.consecutiveFailures} consecutive failures`);
+    } else if (
+      this.outcomes.length >= this.options.minRequests &&
+      this.getErrorRate() >= this.options.errorRateThreshold
+    ) {
+      this.open(`error rate ${(this.getErrorRate() * 100).toFixed(0)}%`);
+    }
+  }
+
+  getStatus(): CircuitStatus {
+    return {
+      provider: this.provider,
+      state: this.getState(),
+      consecutiveFailures: this.consecutiveFailures,
+      errorRate: this.getErrorRate(),
+      openedAt: this.state === 'closed' ? undefined : new Date(this.openedAt),
+      lastFailure: this.lastFailure
+    };
+  }
+
+  private getErrorRate(): number {
+    if (this.outcomes.length === 0) return 0;
+    return this.outcomes.filter(ok => !ok).length / this.outcomes.length;
+  }
+
+  private pushOutcome(success: boolean): void {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.options.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  private open(reason: string): void {
+    log(`Circuit for provider ${this.provider} opened: ${reason}`);
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.probeStartedAt = 0;
+  }
+
+  private reset(): void {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.outcomes = [];
+    this.openedAt = 0;
+    this.probeStartedAt = 0;
+  }
+}
+
+export class CircuitBreakerRegistry {
+  private breakers = new Map<string, CircuitBreaker>();
+  private options: CircuitBreakerOptions = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS };
+
+  configure(options: Partial<CircuitBreakerOptions> = {}): void {
+    this.options = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS, ...options };
+    for (const breaker of this.breakers.values()) {
+      breaker.setOptions(this.options);
+    }
+  }
+
+  get(provider: string): CircuitBreaker {
+    let breaker = this.breakers.get(provider);
+    if (!breaker) {
+      breaker = new CircuitBreaker(provider, this.options);
+      this.breakers.set(provider, breaker);
+    }
+    return breaker;
+  }
+
+  isAvailable(provider: string): boolean {
+    return !this.options.enabled || this.get(provider).isAvailable();
+  }
+
+  onAttempt(provider: string): void {
+    if (this.options.enabled) this.get(provider).onAttempt();
+  }
+
+  recordSuccess(provider: string): void {
+    if (this.options.enabled) this.get(provider).recordSuccess();
+  }
+
+  recordFailure(provider: string, reason?: string): void {
+    if (this.options.enabled) this.get(provider).recordFailure(reason);
+  }
+
+  getAllStatus(): CircuitStatus[] {
+    return Array.from(this.breakers.values()).map(breaker => breaker.getStatus());
+  }
+}
+
+// Shared by the router, the upstream fallback loop and the Synapse health endpoint
+export const circuitBreakers = new CircuitBreakerRegistry();
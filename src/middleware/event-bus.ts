@@ -0,0 +1,68 @@
+import { randomUUID } from 'crypto';
+import { SynapseEvent } from '../types/synapse-types';
+
+export type SynapseEventHandler = (event: SynapseEvent) => void;
+
+// Everything that is published, see the event interfaces in synapse-types
+export const EVENT_TYPES = ['route', 'request', 'health_check', 'config_change', 'alert'];
+
+// Subscribes to every type
+export const ALL_EVENTS = '*';
+
+// Kept so that a reconnecting stream can catch up from Last-Event-ID
+const MAX_RECENT = 500;
+
+/**
+ * In-process publish/subscribe for routing decisions, finished requests,
+ * health checks, config changes and alerts. Handlers run synchronously and
+ * their errors are logged, so a broken subscriber never fails the publisher.
+ */
+export class EventBus {
+  private handlers = new Map<string, Set<SynapseEventHandler>>();
+  private recent: SynapseEvent[] = [];
+
+  // Returns a function that unsubscribes
+  on(type: string, handler: SynapseEventHandler): () => void {
+    const handlers = this.handlers.get(type) || new Set();
+    handlers.add(handler);
+    this.handlers.set(type, handlers);
+    return () => this.off(type, handler);
+  }
+
+  off(type: string, handler: SynapseEventHandler): void {
+    const handlers = this.handlers.get(type);
+    handlers?.delete(handler);
+    if (handlers && !handlers.size) this.handlers.delete(type);
+  }
+
+  emit(event: SynapseEvent): void {
+    this.recent.push(event);
+    if (this.recent.length > MAX_RECENT) this.recent.shift();
+    for (const type of [event.type, ALL_EVENTS]) {
+      for (const handler of Array.from(this.handlers.get(type) || [])) {
+        try {
+          handler(event);
+        } catch (error: any) {
+          console.error(`Event handler for ${event.type} failed:`, error.message);
+        }
+      }
+    }
+  }
+
+  publish<T extends SynapseEvent>(type: T['type'], source: string, data: T['data']): T {
+    const event = { id: randomUUID(), type, timestamp: new Date(), source, data } as T;
+    this.emit(event);
+    return event;
+  }
+
+  // Events published after the one with this id, oldest first; undefined
+  // when it is no longer kept
+  since(id: string): SynapseEvent[] | undefined {
+    const index = this.recent.findIndex(event => event.id === id);
+    return index < 0 ? undefined : this.recent.slice(index + 1);
+  }
+}
+
+// Published to by the router, usage tracking, the health monitor, config
+// reloads and alerting; read by GET /api/synapse/events
+export const events = new EventBus();
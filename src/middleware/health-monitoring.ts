@@ -1,3 +1,26 @@
+import { firstKey } from './key-pool';
+import { alerts } from './alerting';
+import { events } from './event-bus';
+import { HealthCheckEvent } from '../types/synapse-types';
+
+export type HealthProbeType = 'models' | 'ollama' | 'completion' | 'none';
+
+export interface HealthCheckOptions {
+  enabled?: boolean;
+  // detected from the base URL when omitted
+  type?: HealthProbeType;
+  intervalMs?: number;
+  timeoutMs?: number;
+}
+
+export interface ModelHealth {
+  provider: string;
+  model: string;
+  healthy: boolean;
+  error?: string;
+  lastCheck: Date;
+}
+
 export interface HealthStatus {
   healthy: boolean;
   latency: number;
@@ -5,12 +28,15 @@ export interface HealthStatus {
   error?: string;
   lastCheck: Date;
   provider: string;
+  probe?: HealthProbeType;
+  models?: ModelHealth[];
 }
 
 export interface OverallHealth {
   healthy: boolean;
   score: number;
   providers: HealthStatus[];
+  models: ModelHealth[];
   lastUpdated: Date;
 }
 
@@ -18,59 +44,96 @@ export interface ProviderConfig {
   apiKey: string;
   baseUrl: string;
   models: string[];
+  healthCheck?: HealthCheckOptions;
+}
+
+export const DEFAULT_HEALTH_CHECK_INTERVAL_MS = 60000;
+export const DEFAULT_HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+// Converts the `Providers` array of config.json into the map the monitor uses
+export function fromRouterProviders(providers: any[] = []): { [key: string]: ProviderConfig } {
+  const result: { [key: string]: ProviderConfig } = {};
+  for (const provider of providers) {
+    if (!provider?.name || !provider.api_base_url) continue;
+    result[provider.name] = {
+      apiKey: firstKey(provider.api_key) || '',
+      baseUrl: provider.api_base_url,
+      models: provider.models || [],
+      healthCheck: provider.healthCheck
+    };
+  }
+  return result;
+}
+
+export function detectProbeType(config: ProviderConfig): HealthProbeType {
+  if (config.healthCheck?.type) return config.healthCheck.type;
+  const url = config.baseUrl || '';
+  if (/:11434\b/.test(url) || /\/api\/(chat|generate)\b/.test(url)) return 'ollama';
+  if (/\/chat\/completions\/?$/.test(url) || /\/v\d+\/?$/.test(url)) return 'models';
+  return 'none';
+}
+
+// Base URL of an OpenAI-compatible API, given either the base or the full
+// chat completions endpoint
+export function getApiRoot(baseUrl: string): string {
+  return baseUrl.replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
 }
 
 export class HealthMonitor {
   private healthStatus = new Map<string, HealthStatus>();
-  private checkInterval: NodeJS.Timeout | null = null;
+  private providers: { [key: string]: ProviderConfig } = {};
+  private timers = new Map<string, NodeJS.Timeout>();
 
-  constructor(private autoCheckIntervalMs: number = 30000) {
-    this.startPeriodicHealthChecks();
-  }
+  constructor(private defaultIntervalMs: number = DEFAULT_HEALTH_CHECK_INTERVAL_MS) {}
 
   async checkProviderHealth(provider: string, config: ProviderConfig): Promise<HealthStatus> {
     const startTime = Date.now();
+    const probe = detectProbeType(config);
+    const timeoutMs = config.healthCheck?.timeoutMs || DEFAULT_HEALTH_CHECK_TIMEOUT_MS;
 
     try {
-      // Create a controller for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-      const response = await fetch(`${config.baseUrl}/health`, {
-        headers: { 
-          'Authorization': `Bearer ${config.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      const status: HealthStatus = {
-        healthy: response.ok,
-        latency: Date.now() - startTime,
-        status: response.status,
-        lastCheck: new Date(),
-        provider
-      };
-
-      this.healthStatus.set(provider, status);
+      let status: HealthStatus;
+      if (probe === 'completion') {
+        status = await this.probeCompletion(provider, config, timeoutMs);
+      } else if (probe === 'ollama' || probe === 'models') {
+        status = await this.probeModelList(provider, config, probe, timeoutMs);
+      } else {
+        // Nothing to probe; leave the provider out of the health report
+        return {
+          healthy: true,
+          latency: 0,
+          lastCheck: new Date(),
+          provider,
+          probe
+        };
+      }
+      status.probe = probe;
+      status.latency = status.latency || Date.now() - startTime;
+      this.setStatus(provider, status);
       return status;
     } catch (error: any) {
       const status: HealthStatus = {
         healthy: false,
         latency: Date.now() - startTime,
-        error: error.message || 'Unknown error',
+        error: error.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : error.message || 'Unknown error',
         lastCheck: new Date(),
-        provider
+        provider,
+        probe,
+        models: config.models.map(model => ({
+          provider,
+          model,
+          healthy: false,
+          error: 'Provider unreachable',
+          lastCheck: new Date()
+        }))
       };
 
-      this.healthStatus.set(provider, status);
+      this.setStatus(provider, status);
       return status;
     }
   }
 
-  async checkAllProviders(providersConfig: { [key: string]: ProviderConfig }): Promise<HealthStatus[]> {
+  async checkAllProviders(providersConfig: { [key: string]: ProviderConfig } = this.providers): Promise<HealthStatus[]> {
     const promises = Object.entries(providersConfig).map(([provider, config]) =>
       this.checkProviderHealth(provider, config)
     );
@@ -86,40 +149,168 @@ export class HealthMonitor {
       healthy: healthyProviders.length > 0,
       score: providers.length > 0 ? healthyProviders.length / providers.length : 0,
       providers: providers,
+      models: providers.flatMap(p => p.models || []),
       lastUpdated: new Date()
     };
   }
 
+  // Health transitions raise and resolve alerts
+  private setStatus(provider: string, status: HealthStatus): void {
+    const previous = this.healthStatus.get(provider);
+    this.healthStatus.set(provider, status);
+    alerts.recordHealth(provider, status.healthy, status.error);
+    events.publish<HealthCheckEvent>('health_check', 'health', {
+      provider,
+      healthy: status.healthy,
+      latency: status.latency,
+      error: status.error,
+      changed: previous?.healthy !== status.healthy
+    });
+  }
+
   getProviderHealth(provider: string): HealthStatus | undefined {
     return this.healthStatus.get(provider);
   }
 
-  private startPeriodicHealthChecks(): void {
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-    }
+  // Probes every provider right away and then on its own interval. Calling it
+  // again replaces the previous schedule.
+  startPeriodicHealthChecks(providersConfig: { [key: string]: ProviderConfig }): void {
+    this.stopPeriodicHealthChecks();
+    this.providers = providersConfig;
 
-    this.checkInterval = setInterval(() => {
-      // This would need to be called with actual provider configs
-      // For now, we'll just update the lastCheck timestamp for existing providers
-      for (const [provider, status] of this.healthStatus.entries()) {
-        if (Date.now() - status.lastCheck.getTime() > this.autoCheckIntervalMs * 2) {
-          // Mark as stale if no recent checks
-          this.healthStatus.set(provider, {
-            ...status,
-            healthy: false,
-            error: 'Health check timeout'
-          });
-        }
+    for (const [provider, config] of Object.entries(providersConfig)) {
+      if (config.healthCheck?.enabled === false || detectProbeType(config) === 'none') {
+        continue;
       }
-    }, this.autoCheckIntervalMs);
+
+      const run = () => {
+        this.checkProviderHealth(provider, config).catch(error => {
+          console.error(`Health check for ${provider} failed:`, error);
+        });
+      };
+      run();
+      const timer = setInterval(run, config.healthCheck?.intervalMs || this.defaultIntervalMs);
+      timer.unref();
+      this.timers.set(provider, timer);
+    }
   }
 
   stopPeriodicHealthChecks(): void {
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = null;
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+
+  private async fetchWithTimeout(url: string, init: RequestInit, timeoutMs: number): Promise<Response> {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // GET /models (OpenAI-compatible) or /api/tags (Ollama), then mark each
+  // configured model by whether the provider lists it
+  private async probeModelList(
+    provider: string,
+    config: ProviderConfig,
+    probe: 'models' | 'ollama',
+    timeoutMs: number
+  ): Promise<HealthStatus> {
+    const startTime = Date.now();
+    const url = probe === 'ollama'
+      ? `${new URL(config.baseUrl).origin}/api/tags`
+      : `${getApiRoot(config.baseUrl)}/models`;
+
+    const response = await this.fetchWithTimeout(url, {
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    }, timeoutMs);
+    const latency = Date.now() - startTime;
+    const lastCheck = new Date();
+
+    let listed: string[] | null = null;
+    if (response.ok) {
+      try {
+        const data: any = await response.json();
+        const entries = probe === 'ollama' ? data.models : data.data;
+        if (Array.isArray(entries)) {
+          listed = entries.map((entry: any) => entry.id || entry.name || entry.model);
+        }
+      } catch {
+        // Some providers answer with something other than a model list
+      }
     }
+
+    return {
+      healthy: response.ok,
+      latency,
+      status: response.status,
+      error: response.ok ? undefined : `HTTP ${response.status}: ${response.statusText}`,
+      lastCheck,
+      provider,
+      models: config.models.map(model => {
+        const healthy = response.ok && (!listed || listed.includes(model));
+        return {
+          provider,
+          model,
+          healthy,
+          error: healthy ? undefined : response.ok ? 'Model not listed by provider' : `HTTP ${response.status}`,
+          lastCheck
+        };
+      })
+    };
+  }
+
+  // Sends a 1-token chat completion to every configured model
+  private async probeCompletion(provider: string, config: ProviderConfig, timeoutMs: number): Promise<HealthStatus> {
+    const startTime = Date.now();
+    const models = await Promise.all(config.models.map(async (model): Promise<ModelHealth> => {
+      try {
+        const response = await this.fetchWithTimeout(config.baseUrl, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${config.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content: 'ping' }],
+            max_tokens: 1
+          })
+        }, timeoutMs);
+        return {
+          provider,
+          model,
+          healthy: response.ok,
+          error: response.ok ? undefined : `HTTP ${response.status}: ${response.statusText}`,
+          lastCheck: new Date()
+        };
+      } catch (error: any) {
+        return {
+          provider,
+          model,
+          healthy: false,
+          error: error.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : error.message,
+          lastCheck: new Date()
+        };
+      }
+    }));
+
+    const healthyModels = models.filter(m => m.healthy);
+    return {
+      healthy: healthyModels.length > 0,
+      latency: Date.now() - startTime,
+      error: healthyModels.length > 0 ? undefined : models[0]?.error,
+      lastCheck: new Date(),
+      provider,
+      models
+    };
   }
 
   // Fallback manager functionality
@@ -0,0 +1,282 @@
+import { subscribe } from 'diagnostics_channel';
+import { log } from '../utils/log';
+
+export type KeySelectionStrategy = 'round_robin' | 'least_recently_limited';
+
+export interface KeyRotationOptions {
+  enabled: boolean;
+  strategy: KeySelectionStrategy;
+  // how long a key is parked after a 429 or quota error that came without
+  // a Retry-After header
+  defaultParkSeconds: number;
+}
+
+export interface ApiKeyStatus {
+  provider: string;
+  // "deepseek#2", never the key itself
+  label: string;
+  fingerprint: string;
+  parked: boolean;
+  parkedUntil?: Date;
+  lastLimitedAt?: Date;
+  lastUsedAt?: Date;
+  requests: number;
+  successes: number;
+  failures: number;
+  rateLimited: number;
+}
+
+export interface PooledKey {
+  provider: string;
+  index: number;
+  label: string;
+  key: string;
+}
+
+interface KeyState extends PooledKey {
+  parkedUntil: number;
+  lastLimitedAt: number;
+  lastUsedAt: number;
+  requests: number;
+  successes: number;
+  failures: number;
+  rateLimited: number;
+}
+
+export const DEFAULT_KEY_ROTATION_OPTIONS: KeyRotationOptions = {
+  enabled: true,
+  strategy: 'round_robin',
+  defaultParkSeconds: 60
+};
+
+// Retry-After is either seconds or an HTTP date; OpenAI also sends
+// retry-after-ms
+export const parseRetryAfter = (seconds?: string, ms?: string): number | undefined => {
+  if (ms && Number.isFinite(Number(ms))) return Math.max(0, Number(ms));
+  if (!seconds) return undefined;
+  if (/^\d+(\.\d+)?$/.test(seconds.trim())) return Number(seconds) * 1000;
+  const date = Date.parse(seconds);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// undici hands headers over as [name, value, name, value, ...], as strings
+// or buffers depending on the version
+const readHeader = (headers: any, name: string): string | undefined => {
+  if (!Array.isArray(headers)) return undefined;
+  for (let i = 0; i < headers.length - 1; i += 2) {
+    if (String(headers[i]).toLowerCase() === name) return String(headers[i + 1]);
+  }
+  return undefined;
+};
+
+// "sk-abcdef123456" -> "sk-a…3456"
+export const fingerprintKey = (key: string): string =>
+  key.length <= 8 ? '…' : `${key.slice(0, 4)}…${key.slice(-4)}`;
+
+export class KeyPool {
+  private keys: KeyState[];
+  private next = 0;
+
+  constructor(public readonly provider: string, keys: string[], private options: KeyRotationOptions) {
+    this.keys = keys.map((key, index) => ({
+      provider,
+      index,
+      key,
+      label: `${provider}#${index + 1}`,
+      parkedUntil: 0,
+      lastLimitedAt: 0,
+      lastUsedAt: 0,
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      rateLimited: 0
+    }));
+  }
+
+  get size(): number {
+    return this.keys.length;
+  }
+
+  // Carries the counters of keys that are still configured over a reload
+  adoptStats(previous: KeyPool): void {
+    for (const state of this.keys) {
+      const old = previous.keys.find(item => item.key === state.key);
+      if (old) {
+        Object.assign(state, {
+          parkedUntil: old.parkedUntil,
+          lastLimitedAt: old.lastLimitedAt,
+          lastUsedAt: old.lastUsedAt,
+          requests: old.requests,
+          successes: old.successes,
+          failures: old.failures,
+          rateLimited: old.rateLimited
+        });
+      }
+    }
+  }
+
+  isAvailable(exclude: number[] = []): boolean {
+    const now = Date.now();
+    return this.keys.some(state => state.parkedUntil <= now && !exclude.includes(state.index));
+  }
+
+  // Milliseconds until the first parked key becomes usable again
+  getRetryAfterMs(): number {
+    const now = Date.now();
+    return Math.max(0, Math.min(...this.keys.map(state => state.parkedUntil)) - now);
+  }
+
+  acquire(exclude: number[] = []): PooledKey | null {
+    const now = Date.now();
+    const available = this.keys.filter(
+      state => state.parkedUntil <= now && !exclude.includes(state.index)
+    );
+    if (available.length === 0) return null;
+
+    let chosen: KeyState;
+    if (!this.options.enabled) {
+      chosen = available[0];
+    } else if (this.options.strategy === 'least_recently_limited') {
+      // keys that were never limited first, then the one limited longest ago;
+      // ties go to the least recently used key
+      chosen = available.reduce((best, state) =>
+        state.lastLimitedAt < best.lastLimitedAt ||
+        (state.lastLimitedAt === best.lastLimitedAt && state.lastUsedAt < best.lastUsedAt)
+          ? state
+          : best
+      );
+    } else {
+      chosen = available.find(state => state.index >= this.next) || available[0];
+      this.next = (chosen.index + 1) % this.keys.length;
+    }
+
+    chosen.requests++;
+    chosen.lastUsedAt = now;
+    const { provider, index, label, key } = chosen;
+    return { provider, index, label, key };
+  }
+
+  recordSuccess(index: number): void {
+    const state = this.keys[index];
+    if (state) state.successes++;
+  }
+
+  recordFailure(index: number): void {
+    const state = this.keys[index];
+    if (state) state.failures++;
+  }
+
+  park(key: string, retryAfterMs?: number): void {
+    const state = this.keys.find(item => item.key === key);
+    if (!state) return;
+    const now = Date.now();
+    const duration = retryAfterMs ?? this.options.defaultParkSeconds * 1000;
+    state.rateLimited++;
+    state.lastLimitedAt = now;
+    state.parkedUntil = Math.max(state.parkedUntil, now + duration);
+    log(`API key ${state.label} rate limited, parked for ${Math.ceil(duration / 1000)}s`);
+  }
+
+  // The key whose value went out with a request, in a header or the URL
+  findKey(sent: string): string | undefined {
+    return this.keys.find(state => sent.includes(state.key))?.key;
+  }
+
+  getStatus(): ApiKeyStatus[] {
+    const now = Date.now();
+    return this.keys.map(state => ({
+      provider: state.provider,
+      label: state.label,
+      fingerprint: fingerprintKey(state.key),
+      parked: state.parkedUntil > now,
+      parkedUntil: state.parkedUntil > now ? new Date(state.parkedUntil) : undefined,
+      lastLimitedAt: state.lastLimitedAt ? new Date(state.lastLimitedAt) : undefined,
+      lastUsedAt: state.lastUsedAt ? new Date(state.lastUsedAt) : undefined,
+      requests: state.requests,
+      successes: state.successes,
+      failures: state.failures,
+      rateLimited: state.rateLimited
+    }));
+  }
+}
+
+export class KeyPoolRegistry {
+  private pools = new Map<string, KeyPool>();
+  private options: KeyRotationOptions = { ...DEFAULT_KEY_ROTATION_OPTIONS };
+  // when each limited key may be used again, per the provider's Retry-After
+  private retryAt = new Map<string, number>();
+  private observing = false;
+
+  // Builds a pool for every provider whose api_key is a list of keys
+  configure(providers: any[] = [], options: Partial<KeyRotationOptions> = {}): void {
+    this.options = { ...DEFAULT_KEY_ROTATION_OPTIONS, ...options };
+    const pools = new Map<string, KeyPool>();
+    for (const provider of providers) {
+      if (!provider?.name || !Array.isArray(provider.api_key)) continue;
+      const pool = new KeyPool(provider.name, provider.api_key, this.options);
+      const previous = this.pools.get(provider.name);
+      if (previous) pool.adoptStats(previous);
+      pools.set(provider.name, pool);
+    }
+    this.pools = pools;
+    if (pools.size && !this.observing) {
+      // the error the llms server throws for a provider's answer carries its
+      // status but no headers, so Retry-After is read as the response comes
+      // in, without wrapping fetch
+      subscribe('undici:request:headers', message => this.observeResponse(message as any));
+      this.observing = true;
+    }
+  }
+
+  private observeResponse({ request, response }: { request: any; response: any }): void {
+    if (![402, 403, 429].includes(response?.statusCode)) return;
+    const retryAfterMs = parseRetryAfter(
+      readHeader(response.headers, 'retry-after'),
+      readHeader(response.headers, 'retry-after-ms')
+    );
+    if (retryAfterMs === undefined) return;
+    const headers = Array.isArray(request?.headers) ? request.headers.map(String) : [String(request?.headers ?? '')];
+    const sent = [String(request?.path ?? ''), ...headers].join('\n');
+    for (const pool of this.pools.values()) {
+      const key = pool.findKey(sent);
+      if (key) {
+        this.retryAt.set(key, Date.now() + retryAfterMs);
+        return;
+      }
+    }
+  }
+
+  // How long the provider asked a key to wait, if its last limited answer
+  // said so; undefined falls back to defaultParkSeconds
+  takeRetryAfter(key: string): number | undefined {
+    const retryAt = this.retryAt.get(key);
+    this.retryAt.delete(key);
+    return retryAt !== undefined && retryAt > Date.now() ? retryAt - Date.now() : undefined;
+  }
+
+  get(provider: string): KeyPool | undefined {
+    return this.pools.get(provider);
+  }
+
+  isAvailable(provider: string): boolean {
+    const pool = this.pools.get(provider);
+    return !pool || pool.isAvailable();
+  }
+
+  getAllStatus(): ApiKeyStatus[] {
+    return Array.from(this.pools.values()).flatMap(pool => pool.getStatus());
+  }
+}
+
+// Shared by the upstream fallback loop and the Synapse usage endpoint
+export const keyPools = new KeyPoolRegistry();
+
+export const firstKey = (apiKey: string | string[] | undefined): string | undefined =>
+  Array.isArray(apiKey) ? apiKey[0] : apiKey;
+
+// The upstream server registers each provider with a single key; the pool
+// hands out the others per request
+export const toServerProviders = (providers: any[] = []): any[] =>
+  providers.map(provider =>
+    Array.isArray(provider?.api_key) ? { ...provider, api_key: firstKey(provider.api_key) } : provider
+  );
@@ -0,0 +1,234 @@
+import { timingSafeEqual } from 'crypto';
+import { circuitBreakers, CircuitState } from './circuit-breaker';
+import { HealthStatus } from './health-monitoring';
+import { rateLimiters } from './rate-limiter';
+import { UsageRecord } from './usage-tracking';
+
+export interface MetricsOptions {
+  enabled: boolean;
+  // bearer token Prometheus scrapes with; APIKEY and admin client keys are
+  // accepted when neither this nor `public` is set. Secret references are
+  // resolved with the rest of the config, before configure()
+  token?: string;
+  // no auth at all, e.g. when only reachable from the local network
+  public?: boolean;
+}
+
+export const DEFAULT_METRICS_OPTIONS: MetricsOptions = {
+  enabled: true
+};
+
+// Seconds. Whole responses, streamed ones included, take much longer than
+// the first token.
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+const TTFT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+const CIRCUIT_STATES: CircuitState[] = ['closed', 'open', 'half_open'];
+
+type Labels = { [name: string]: string };
+
+const escapeLabel = (value: string) =>
+  value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels: Labels) => {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+class Counter {
+  private values = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(readonly name: string, readonly help: string) {}
+
+  inc(labels: Labels, amount = 1): void {
+    const id = formatLabels(labels);
+    const entry = this.values.get(id) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(id, entry);
+  }
+
+  render(): string[] {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...Array.from(this.values.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ];
+  }
+}
+
+class Histogram {
+  private values = new Map<string, { labels: Labels; counts: number[]; sum: number; count: number }>();
+
+  constructor(readonly name: string, readonly help: string, private buckets: number[]) {}
+
+  observe(labels: Labels, value: number): void {
+    const id = formatLabels(labels);
+    let entry = this.values.get(id);
+    if (!entry) {
+      entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(id, entry);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry!.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render(): string[] {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const gauge = (name: string, help: string, samples: { labels: Labels; value: number }[]) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} gauge`,
+  ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+];
+
+/**
+ * Prometheus metrics for the model API. Request counts and durations come
+ * from the request hooks, tokens, cost and time to first token from usage
+ * records; circuit, health and rate limiter state is read at scrape time.
+ */
+export class MetricsRegistry {
+  private options: MetricsOptions = { ...DEFAULT_METRICS_OPTIONS };
+  private inFlight = 0;
+  private requests = new Counter('ccr_requests_total', 'Model API requests by routing reason, provider, model and status code.');
+  private duration = new Histogram('ccr_request_duration_seconds', 'Time until the response, streamed ones included, was fully sent.', LATENCY_BUCKETS);
+  private ttft = new Histogram('ccr_time_to_first_token_seconds', 'Time until the first content token of a streamed response.', TTFT_BUCKETS);
+  private tokens = new Counter('ccr_tokens_total', 'Tokens by provider, model and type (input, output, cache_read, cache_write).');
+  private cost = new Counter('ccr_cost_usd_total', 'Cost in USD by provider and model.');
+
+  configure(options: Partial<MetricsOptions> = {}): void {
+    this.options = { ...DEFAULT_METRICS_OPTIONS, ...options };
+  }
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  // Whether /metrics has its own auth instead of APIKEY and client keys
+  get hasOwnAuth(): boolean {
+    return !!this.options.public || !!this.options.token;
+  }
+
+  /**
+   * Checks the bearer token of a scrape when Monitoring.metrics sets one.
+   * Without one the normal API auth has already run.
+   */
+  isAuthorized(authorization?: string): boolean {
+    if (this.options.public || !this.options.token) return true;
+    const presented = Buffer.from((authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(this.options.token);
+    return presented.length === expected.length && timingSafeEqual(presented, expected);
+  }
+
+  requestStarted(): void {
+    this.inFlight++;
+  }
+
+  requestFinished(
+    labels: { route: string; provider: string; model: string; status: number },
+    seconds: number
+  ): void {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+    this.requests.inc({ ...labels, status: String(labels.status) });
+    if (labels.provider) {
+      this.duration.observe({ provider: labels.provider, model: labels.model }, seconds);
+    }
+  }
+
+  observeUsage(record: UsageRecord): void {
+    const labels = { provider: record.provider || '', model: record.model || '' };
+    this.tokens.inc({ ...labels, type: 'input' }, record.tokens.input || 0);
+    this.tokens.inc({ ...labels, type: 'output' }, record.tokens.output || 0);
+    this.tokens.inc({ ...labels, type: 'cache_read' }, record.tokens.cacheRead || 0);
+    this.tokens.inc({ ...labels, type: 'cache_write' }, record.tokens.cacheWrite || 0);
+    this.cost.inc(labels, record.cost || 0);
+    if (typeof record.ttft === 'number') {
+      this.ttft.observe(labels, record.ttft / 1000);
+    }
+  }
+
+  render(health: HealthStatus[] = []): string {
+    const circuits = circuitBreakers.getAllStatus();
+    const lines = [
+      ...this.requests.render(),
+      ...this.duration.render(),
+      ...this.ttft.render(),
+      ...this.tokens.render(),
+      ...this.cost.render(),
+      ...gauge('ccr_requests_in_flight', 'Model API requests being handled.', [{ labels: {}, value: this.inFlight }]),
+      ...gauge(
+        'ccr_circuit_state',
+        'Circuit breaker state per provider, 1 for the current state.',
+        circuits.flatMap(circuit =>
+          CIRCUIT_STATES.map(state => ({
+            labels: { provider: circuit.provider, state },
+            value: circuit.state === state ? 1 : 0
+          }))
+        )
+      ),
+      ...gauge(
+        'ccr_provider_healthy',
+        'Result of the last health check per provider, 1 for healthy.',
+        health.map(status => ({ labels: { provider: status.provider }, value: status.healthy ? 1 : 0 }))
+      ),
+      ...gauge(
+        'ccr_provider_health_check_seconds',
+        'Latency of the last health check per provider.',
+        health.map(status => ({ labels: { provider: status.provider }, value: status.latency / 1000 }))
+      ),
+      '# HELP ccr_rate_limit_rejections_total Requests rejected by a rate limit, by scope (client, project, provider).',
+      '# TYPE ccr_rate_limit_rejections_total counter',
+      ...Object.entries(rateLimiters.getRejections()).map(
+        ([scope, count]) => `ccr_rate_limit_rejections_total${formatLabels({ scope })} ${count}`
+      )
+    ];
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Fed by the request hooks and usage capture, read by GET /metrics
+export const metrics = new MetricsRegistry();
+
+const isModelRequest = (req: any) => req.method === 'POST' && req.url?.startsWith('/v1/');
+
+/**
+ * Counts model API requests from arrival until the connection is done with
+ * them, whatever the outcome: rejected by auth or a limit, answered, failed
+ * upstream or abandoned by the client.
+ */
+export const registerRequestMetrics = (app: any) => {
+  app.addHook('onRequest', async (req: any, reply: any) => {
+    if (!metrics.enabled || !isModelRequest(req)) return;
+    metrics.requestStarted();
+    reply.raw.once('close', () => {
+      // routeTarget is the target that answered, req.provider may be a
+      // per-key or per-project copy such as "deepseek#2"
+      const target: string = req.routeTarget || (req.provider ? `${req.provider},${req.body?.model}` : '');
+      const [provider, ...model] = target.split(',');
+      metrics.requestFinished(
+        {
+          route: req.routeReason || (req.provider ? 'synapse' : 'none'),
+          provider: provider.split(/[@#]/)[0],
+          model: model.join(','),
+          status: reply.raw.writableFinished ? reply.statusCode : 499
+        },
+        reply.elapsedTime / 1000
+      );
+    });
+  });
+};
@@ -0,0 +1,255 @@
+import { log } from '../utils/log';
+
+export type RateLimitScope = 'client' | 'project' | 'provider';
+
+export interface RateLimitRule {
+  requestsPerMinute: number;
+  // bucket size: how many requests may go out back to back after a quiet period
+  burstLimit: number;
+}
+
+export interface RateLimitOptions extends RateLimitRule {
+  enabled: boolean;
+  // 'queue' holds a request until a token frees up, for at most maxQueueMs
+  mode: 'reject' | 'queue';
+  maxQueueMs: number;
+  // per-scope rules, the top-level rule when omitted, no limit when false
+  client?: Partial<RateLimitRule> | false;
+  project?: Partial<RateLimitRule> | false;
+  provider?: Partial<RateLimitRule> | false;
+}
+
+export interface RateLimitStatus {
+  scope: RateLimitScope;
+  name: string;
+  requestsPerMinute: number;
+  burstLimit: number;
+  tokens: number;
+  allowed: number;
+  queued: number;
+  rejected: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  // how long an allowed request must wait, or when a rejected one may retry
+  waitMs: number;
+  // the bucket that was full, for the error message
+  limitedBy?: { scope: RateLimitScope; name: string };
+}
+
+export const DEFAULT_RATE_LIMIT_OPTIONS: RateLimitOptions = {
+  enabled: false,
+  requestsPerMinute: 60,
+  burstLimit: 10,
+  mode: 'reject',
+  maxQueueMs: 10000
+};
+
+// Past this many buckets, full ones are dropped; a new bucket starts full, so
+// this does not change behaviour
+const MAX_BUCKETS = 1000;
+
+export class TokenBucket {
+  private tokens: number;
+  private updatedAt = Date.now();
+  allowed = 0;
+  queued = 0;
+  rejected = 0;
+
+  constructor(
+    public readonly scope: RateLimitScope,
+    public readonly name: string,
+    private rule: RateLimitRule
+  ) {
+    this.tokens = rule.burstLimit;
+  }
+
+  setRule(rule: RateLimitRule): void {
+    if (rule.requestsPerMinute === this.rule.requestsPerMinute && rule.burstLimit === this.rule.burstLimit) {
+      return;
+    }
+    this.refill();
+    this.rule = rule;
+    this.tokens = Math.min(this.tokens, rule.burstLimit);
+  }
+
+  // Milliseconds until a token is free, 0 when one is free now. Tokens may be
+  // reserved ahead, so queued requests leave the bucket negative.
+  getWaitMs(): number {
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) * 60000) / this.rule.requestsPerMinute);
+  }
+
+  take(): void {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  isIdle(): boolean {
+    this.refill();
+    return this.tokens >= this.rule.burstLimit;
+  }
+
+  getStatus(): RateLimitStatus {
+    this.refill();
+    return {
+      scope: this.scope,
+      name: this.name,
+      requestsPerMinute: this.rule.requestsPerMinute,
+      burstLimit: this.rule.burstLimit,
+      tokens: Math.floor(this.tokens),
+      allowed: this.allowed,
+      queued: this.queued,
+      rejected: this.rejected
+    };
+  }
+
+  private refill(): void {
+    const now = Date.now();
+    const refilled = ((now - this.updatedAt) * this.rule.requestsPerMinute) / 60000;
+    this.tokens = Math.min(this.rule.burstLimit, this.tokens + refilled);
+    this.updatedAt = now;
+  }
+}
+
+export class RateLimiterRegistry {
+  private buckets = new Map<string, TokenBucket>();
+  private options: RateLimitOptions = { ...DEFAULT_RATE_LIMIT_OPTIONS };
+  // per scope since start, unlike bucket counts which go when a bucket is dropped
+  private rejections: { [scope in RateLimitScope]?: number } = {};
+
+  configure(options: Partial<RateLimitOptions> = {}): void {
+    this.options = { ...DEFAULT_RATE_LIMIT_OPTIONS, ...options };
+  }
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  /**
+   * Takes one token from every listed bucket, or none of them. In queue mode
+   * a request that would wait at most maxQueueMs reserves its tokens and is
+   * told how long to wait; anything else is rejected with a retry time.
+   * `override` is a rule set on the ClientKeys or Providers entry itself.
+   */
+  acquire(
+    keys: { scope: RateLimitScope; name: string; override?: Partial<RateLimitRule> }[]
+  ): RateLimitResult {
+    if (!this.options.enabled) return { allowed: true, waitMs: 0 };
+    const buckets = keys
+      .map(({ scope, name, override }) => this.getBucket(scope, name, override))
+      .filter((bucket): bucket is TokenBucket => !!bucket);
+    if (buckets.length === 0) return { allowed: true, waitMs: 0 };
+
+    let waitMs = 0;
+    let limiting = buckets[0];
+    for (const bucket of buckets) {
+      const wait = bucket.getWaitMs();
+      if (wait > waitMs) {
+        waitMs = wait;
+        limiting = bucket;
+      }
+    }
+    const maxWaitMs = this.options.mode === 'queue' ? this.options.maxQueueMs : 0;
+    if (waitMs > maxWaitMs) {
+      limiting.rejected++;
+      this.rejections[limiting.scope] = (this.rejections[limiting.scope] || 0) + 1;
+      return { allowed: false, waitMs, limitedBy: { scope: limiting.scope, name: limiting.name } };
+    }
+    for (const bucket of buckets) {
+      bucket.take();
+      bucket.allowed++;
+      if (waitMs > 0) bucket.queued++;
+    }
+    return { allowed: true, waitMs };
+  }
+
+  getRejections(): { [scope in RateLimitScope]?: number } {
+    return { ...this.rejections };
+  }
+
+  getAllStatus(): RateLimitStatus[] {
+    return Array.from(this.buckets.values()).map(bucket => bucket.getStatus());
+  }
+
+  private getRule(scope: RateLimitScope, override?: Partial<RateLimitRule>): RateLimitRule | null {
+    const scoped = this.options[scope];
+    if (scoped === false && !override) return null;
+    const rule = {
+      requestsPerMinute: this.options.requestsPerMinute,
+      burstLimit: this.options.burstLimit,
+      ...(scoped || {}),
+      ...(override || {})
+    };
+    return rule.requestsPerMinute > 0 ? rule : null;
+  }
+
+  private getBucket(scope: RateLimitScope, name: string, override?: Partial<RateLimitRule>): TokenBucket | null {
+    const rule = this.getRule(scope, override);
+    if (!rule) return null;
+    const id = `${scope}:${name}`;
+    let bucket = this.buckets.get(id);
+    if (bucket) {
+      bucket.setRule(rule);
+      return bucket;
+    }
+    if (this.buckets.size >= MAX_BUCKETS) {
+      for (const [key, idle] of this.buckets) {
+        if (idle.isIdle()) this.buckets.delete(key);
+      }
+    }
+    bucket = new TokenBucket(scope, name, rule);
+    this.buckets.set(id, bucket);
+    return bucket;
+  }
+}
+
+// Shared by the request hook, the upstream fallback loop and the usage endpoint
+export const rateLimiters = new RateLimiterRegistry();
+
+export const rateLimitMessage = (result: RateLimitResult): string => {
+  const { scope, name } = result.limitedBy || { scope: 'client', name: 'unknown' };
+  const seconds = Math.ceil(result.waitMs / 1000);
+  return `Rate limit exceeded for ${scope} "${name}", retry in ${seconds}s`;
+};
+
+// The Anthropic error shape clients expect, with the time until a slot frees up
+export const sendRateLimited = (reply: any, waitMs: number, message: string) =>
+  reply
+    .code(429)
+    .header('retry-after', Math.ceil(waitMs / 1000))
+    .send({ type: 'error', error: { type: 'rate_limit_error', message } });
+
+export const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * preHandler hook for the model API: one bucket per client key (or client
+ * address when no keys are configured) and one per x-synapse-project-id.
+ * Provider buckets are taken per upstream attempt, see utils/fallback.
+ */
+export const rateLimitRequests = async (req: any, reply: any) => {
+  if (!rateLimiters.enabled || req.method !== 'POST' || !req.url?.startsWith('/v1/')) {
+    return;
+  }
+  const keys: Parameters<RateLimiterRegistry['acquire']>[0] = [
+    {
+      scope: 'client',
+      name: req.clientKey?.name || req.ip,
+      override: req.clientKey?.rateLimit
+    }
+  ];
+  const projectId = req.headers['x-synapse-project-id'];
+  if (projectId) {
+    keys.push({ scope: 'project', name: String(projectId) });
+  }
+  const result = rateLimiters.acquire(keys);
+  if (!result.allowed) {
+    log(rateLimitMessage(result));
+    return sendRateLimited(reply, result.waitMs, rateLimitMessage(result));
+  }
+  if (result.waitMs > 0) {
+    await sleep(result.waitMs);
+  }
+};
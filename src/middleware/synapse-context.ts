@@ -10,6 +10,11 @@ export interface SynapseContext {
     daily?: number;
     monthly?: number;
   };
+  // name of the ClientKeys entry that authenticated the request
+  clientKey?: string;
+  // also returned in the x-request-id and x-trace-id response headers
+  requestId?: string;
+  traceId?: string;
 }
 
 export interface RouterConfig {
@@ -0,0 +1,367 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes, randomUUID } from 'crypto';
+import { version } from '../../package.json';
+
+export interface TracingOptions {
+  // export spans; trace and request IDs are assigned either way
+  enabled: boolean;
+  // OTLP/HTTP collector, "/v1/traces" is appended unless already there
+  endpoint: string;
+  headers?: { [name: string]: string };
+  serviceName: string;
+  // share of new traces to export; incoming traceparent sampling decisions are kept
+  sampleRatio: number;
+}
+
+export const DEFAULT_TRACING_OPTIONS: TracingOptions = {
+  enabled: false,
+  endpoint: 'http://localhost:4318',
+  serviceName: 'claude-code-router',
+  sampleRatio: 1
+};
+
+export const TRACE_ID_HEADER = 'x-trace-id';
+export const REQUEST_ID_HEADER = 'x-request-id';
+// A client's own request ID is kept only if it is safe to echo in headers
+// and log lines
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// OTLP enum values
+export enum SpanKind {
+  INTERNAL = 1,
+  SERVER = 2,
+  CLIENT = 3
+}
+
+const STATUS_ERROR = 2;
+
+const MAX_BATCH = 512;
+const MAX_QUEUE = 2048;
+const FLUSH_INTERVAL_MS = 5000;
+const EXPORT_TIMEOUT_MS = 10000;
+
+type AttributeValue = string | number | boolean | undefined;
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// W3C trace context of an incoming request, if it carries a valid one
+export const parseTraceparent = (
+  header?: string | string[]
+): { traceId: string; spanId: string; sampled: boolean } | undefined => {
+  const value = Array.isArray(header) ? header[0] : header;
+  const match = TRACEPARENT.exec((value || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return undefined;
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+};
+
+// Microseconds are as precise as the clock gets; the ns value overflows a double
+const nowNanos = () =>
+  (BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n).toString();
+
+const toOtlpAttributes = (attributes: { [key: string]: AttributeValue }) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ({
+      key,
+      value:
+        typeof value === 'boolean'
+          ? { boolValue: value }
+          : typeof value === 'number'
+            ? Number.isInteger(value)
+              ? { intValue: value }
+              : { doubleValue: value }
+            : { stringValue: String(value) }
+    }));
+
+export class Span {
+  readonly spanId = randomBytes(8).toString('hex');
+  private attributes: { [key: string]: AttributeValue } = {};
+  private events: { name: string; time: string; attributes: { [key: string]: AttributeValue } }[] = [];
+  private status?: { code: number; message?: string };
+  private readonly startTime = nowNanos();
+  private endTime?: string;
+
+  constructor(
+    private tracer: Tracer,
+    readonly name: string,
+    readonly traceId: string,
+    readonly sampled: boolean,
+    readonly parentSpanId?: string,
+    readonly kind: SpanKind = SpanKind.INTERNAL
+  ) {}
+
+  get traceparent(): string {
+    return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+  }
+
+  setAttribute(key: string, value: AttributeValue): this {
+    if (this.sampled) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes: { [key: string]: AttributeValue }): this {
+    if (this.sampled) Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name: string, attributes: { [key: string]: AttributeValue } = {}): this {
+    if (this.sampled) this.events.push({ name, time: nowNanos(), attributes });
+    return this;
+  }
+
+  setError(message: string): this {
+    this.status = { code: STATUS_ERROR, message };
+    return this;
+  }
+
+  recordException(error: any): this {
+    this.addEvent('exception', {
+      'exception.type': error?.name || error?.code,
+      'exception.message': error?.message || String(error)
+    });
+    return this.setError(error?.message || String(error));
+  }
+
+  end(): void {
+    if (this.endTime) return;
+    this.endTime = nowNanos();
+    if (this.sampled) this.tracer.export(this);
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: this.startTime,
+      endTimeUnixNano: this.endTime,
+      attributes: toOtlpAttributes(this.attributes),
+      events: this.events.map(event => ({
+        name: event.name,
+        timeUnixNano: event.time,
+        attributes: toOtlpAttributes(event.attributes)
+      })),
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Spans for the model API, exported in batches to an OTLP/HTTP collector as
+ * JSON. Spans of unsampled traces are still created, so every request has a
+ * trace ID, but they record nothing.
+ */
+export class Tracer {
+  private options: TracingOptions = { ...DEFAULT_TRACING_OPTIONS };
+  private queue: Span[] = [];
+  private timer?: NodeJS.Timeout;
+  private exportFailing = false;
+  // the span whose children are being created, for code that has no request
+  // at hand
+  private active = new AsyncLocalStorage<Span>();
+
+  configure(options: Partial<TracingOptions> = {}): void {
+    // spans of the previous config still go to the previous collector
+    void this.flush();
+    this.options = { ...DEFAULT_TRACING_OPTIONS, ...options };
+  }
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  /**
+   * Starts a request's root span, continuing the caller's trace when it sent
+   * a traceparent header.
+   */
+  startTrace(name: string, traceparent?: string | string[]): Span {
+    const parent = parseTraceparent(traceparent);
+    const sampled =
+      this.options.enabled && (parent ? parent.sampled : Math.random() < this.options.sampleRatio);
+    return new Span(
+      this,
+      name,
+      parent?.traceId || randomBytes(16).toString('hex'),
+      sampled,
+      parent?.spanId,
+      SpanKind.SERVER
+    );
+  }
+
+  activeSpan(): Span | undefined {
+    return this.active.getStore();
+  }
+
+  // A child of the active span, or of the request's root span
+  startSpan(name: string, req?: any, kind: SpanKind = SpanKind.INTERNAL): Span | undefined {
+    const parent: Span | undefined = this.activeSpan() || req?.traceSpan;
+    if (!parent) return undefined;
+    return new Span(this, name, parent.traceId, parent.sampled, parent.spanId, kind);
+  }
+
+  /**
+   * Runs fn in a child span that ends when fn settles and records what it
+   * threw. Spans started inside fn are its children.
+   */
+  async trace<T>(
+    name: string,
+    req: any,
+    fn: (span?: Span) => Promise<T> | T,
+    options: { kind?: SpanKind; attributes?: { [key: string]: AttributeValue } } = {}
+  ): Promise<T> {
+    const span = this.startSpan(name, req, options.kind);
+    if (!span) return fn(undefined);
+    span.setAttributes(options.attributes || {});
+    try {
+      return await this.active.run(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  export(span: Span): void {
+    if (this.queue.length >= MAX_QUEUE) return;
+    this.queue.push(span);
+    if (this.queue.length >= MAX_BATCH) {
+      void this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => void this.flush(), FLUSH_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  async flush(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+    if (!this.queue.length) return;
+    const spans = this.queue.splice(0, MAX_BATCH);
+    if (this.queue.length) void this.flush();
+    const { endpoint, headers, serviceName } = this.options;
+    const url = endpoint.replace(/\/+$/, '').replace(/(\/v1\/traces)?$/, '/v1/traces');
+    const body = {
+      resourceSpans: [
+        {
+          resource: { attributes: toOtlpAttributes({ 'service.name': serviceName, 'service.version': version }) },
+          scopeSpans: [{ scope: { name: 'claude-code-router', version }, spans: spans.map(span => span.toOtlp()) }]
+        }
+      ]
+    };
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(headers || {}) },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${await response.text()}`);
+      }
+      this.exportFailing = false;
+    } catch (error: any) {
+      // once per outage rather than once per batch
+      if (!this.exportFailing) {
+        console.warn(`Failed to export ${spans.length} spans to ${url}: ${error.message}`);
+      }
+      this.exportFailing = true;
+    }
+  }
+}
+
+// Shared by the request hooks, auth, the router and the upstream fallback loop
+export const tracing = new Tracer();
+
+// The provider chain steps llms calls, with the argument holding { req }
+const TRANSFORMER_STEPS: [method: string, phase: string][] = [
+  ['transformRequestIn', 'request'],
+  ['transformResponseOut', 'response']
+];
+
+const tracedChains = new WeakSet<object>();
+
+// A stand-in for one transformer of one provider's chain; the instance
+// itself, which providers may share, is left as it is
+const traceStep = (transformer: any) => {
+  if (!transformer || typeof transformer !== 'object') return transformer;
+  const step = Object.create(transformer);
+  for (const [method, phase] of TRANSFORMER_STEPS) {
+    if (typeof transformer[method] !== 'function') continue;
+    step[method] = (...args: any[]) => {
+      // untraced calls keep their original, possibly synchronous, result
+      if (!tracing.activeSpan()?.sampled) return transformer[method](...args);
+      return tracing.trace(`transformer ${transformer.name || 'anonymous'}`, undefined, () => transformer[method](...args), {
+        attributes: { 'ccr.transformer.phase': phase }
+      });
+    };
+  }
+  return step;
+};
+
+/**
+ * Swaps a registered provider's transformer chain for a copy whose steps
+ * run in their own spans under the upstream attempt. Only the provider's own
+ * entry changes; per-key and project copies made from it share the copy.
+ */
+export const traceProviderTransformers = (provider: any) => {
+  const chain = provider?.transformer;
+  if (!chain || tracedChains.has(chain)) return;
+  const traced: any = {};
+  for (const [key, value] of Object.entries<any>(chain)) {
+    traced[key] =
+      key === 'use'
+        ? value?.map?.(traceStep) ?? value
+        : { ...value, use: value?.use?.map?.(traceStep) ?? value?.use };
+  }
+  tracedChains.add(traced);
+  provider.transformer = traced;
+};
+
+// Tracing and metrics leave scrapes and health checks alone
+const UNTRACED = new Set(['/metrics', '/health']);
+
+/**
+ * Gives every request a request ID and a trace, returned in the x-request-id
+ * and x-trace-id headers and added to its log lines. The root span ends when
+ * the connection is done with the response, streamed or not.
+ */
+export const registerTracing = (app: any) => {
+  app.addHook('onRequest', async (req: any, reply: any) => {
+    const path = req.url?.split('?')[0] || '/';
+    if (UNTRACED.has(path)) return;
+    const incoming = req.headers[REQUEST_ID_HEADER];
+    req.requestId = typeof incoming === 'string' && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    const span = tracing.startTrace(`${req.method} ${path}`, req.headers.traceparent);
+    span.setAttributes({
+      'http.request.method': req.method,
+      'url.path': path,
+      'client.address': req.ip,
+      'ccr.request_id': req.requestId
+    });
+    req.traceSpan = span;
+    req.traceId = span.traceId;
+    reply.header(TRACE_ID_HEADER, span.traceId);
+    reply.header(REQUEST_ID_HEADER, req.requestId);
+    req.log = req.log.child({ traceId: span.traceId, requestId: req.requestId });
+    reply.log = req.log;
+    reply.raw.once('close', () => {
+      const status = reply.raw.writableFinished ? reply.statusCode : 499;
+      span.setAttributes({
+        'http.response.status_code': status,
+        'ccr.route_reason': req.routeReason,
+        'ccr.route_target': req.routeTarget,
+        'ccr.client_key': req.clientKey?.name,
+        'ccr.project_id': req.synapseContext?.projectId
+      });
+      if (status >= 500) {
+        span.setError(`HTTP ${status}`);
+      }
+      span.end();
+    });
+  });
+};
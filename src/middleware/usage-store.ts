@@ -0,0 +1,418 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { UsageFilters, UsageRecord } from './usage-tracking';
+import { log } from '../utils/log';
+
+export interface UsageStoreOptions {
+  // days of raw records to keep, 0 keeps them forever
+  retentionDays: number;
+  // days of hourly and daily rollups to keep, 0 keeps them forever
+  rollupRetentionDays: number;
+}
+
+// One group of records in an hour or a day
+export interface UsageRollupEntry {
+  // "2025-09-01T13" for hourly entries, "2025-09-01" for daily ones (UTC)
+  period: string;
+  model: string;
+  provider: string;
+  projectId?: string;
+  agentId?: string;
+  agentType?: string;
+  clientKey?: string;
+  apiKey?: string;
+  requests: number;
+  successes: number;
+  tokens: {
+    input: number;
+    output: number;
+    cacheRead: number;
+    cacheWrite: number;
+    total: number;
+  };
+  cost: number;
+  // sum over the group, divide by requests for the average
+  latency: number;
+}
+
+export interface UsageRollup {
+  day: string;
+  createdAt: string;
+  records: number;
+  hourly: UsageRollupEntry[];
+  daily: UsageRollupEntry[];
+}
+
+interface Segment {
+  day: string;
+  // bytes parsed so far; the file only ever grows
+  size: number;
+  records: UsageRecord[];
+  byProject: Map<string, UsageRecord[]>;
+  byAgent: Map<string, UsageRecord[]>;
+  byClient: Map<string, UsageRecord[]>;
+}
+
+export const DEFAULT_USAGE_STORE_OPTIONS: UsageStoreOptions = {
+  retentionDays: 90,
+  rollupRetentionDays: 0
+};
+
+// segments held in memory, enough for the monthly budget checks
+const MAX_CACHED_SEGMENTS = 35;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEGMENT_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const ROLLUP_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+const toDay = (date: Date | string): string => new Date(date).toISOString().slice(0, 10);
+
+const daysBetween = (start: Date, end: Date): string[] => {
+  const days: string[] = [];
+  for (let time = Date.parse(toDay(start)); time <= end.getTime(); time += DAY_MS) {
+    days.push(toDay(new Date(time)));
+  }
+  return days;
+};
+
+const addToIndex = (index: Map<string, UsageRecord[]>, key: string | undefined, record: UsageRecord) => {
+  if (!key) return;
+  const list = index.get(key);
+  if (list) list.push(record);
+  else index.set(key, [record]);
+};
+
+const matchesFilters = (record: UsageRecord, filters: UsageFilters): boolean => {
+  if (filters.projectId && record.projectId !== filters.projectId) return false;
+  if (filters.agentId && record.agentId !== filters.agentId) return false;
+  if (filters.clientKey && record.clientKey !== filters.clientKey) return false;
+  if (filters.timeRange) {
+    const timestamp = new Date(record.timestamp);
+    if (timestamp < filters.timeRange.start || timestamp > filters.timeRange.end) return false;
+  }
+  return true;
+};
+
+/**
+ * Usage records as append-only JSONL, one segment file per UTC day under
+ * ~/.claude-code-router/usage. Queries only read the segments in their time
+ * range, and parsed segments are indexed by project, agent and client key.
+ * Completed days are summarised into hourly and daily rollups so that raw
+ * segments past the retention period can be deleted without losing totals.
+ */
+export class UsageStore {
+  private readonly dir: string;
+  private readonly rollupDir: string;
+  private readonly legacyFile: string;
+  private options: UsageStoreOptions = { ...DEFAULT_USAGE_STORE_OPTIONS };
+  private segments = new Map<string, Segment>();
+  private rollups = new Map<string, UsageRollup>();
+  // appends run one at a time so lines never interleave
+  private writes: Promise<void> = Promise.resolve();
+  private maintenanceTimer?: NodeJS.Timeout;
+
+  constructor(baseDir?: string) {
+    const homeDir = process.env.HOME || process.env.USERPROFILE || '/tmp';
+    const root = baseDir || path.join(homeDir, '.claude-code-router');
+    this.dir = path.join(root, 'usage');
+    this.rollupDir = path.join(this.dir, 'rollups');
+    this.legacyFile = path.join(root, 'usage.json');
+  }
+
+  configure(options: Partial<UsageStoreOptions> = {}): void {
+    this.options = { ...DEFAULT_USAGE_STORE_OPTIONS, ...options };
+  }
+
+  async save(record: UsageRecord): Promise<void> {
+    const file = path.join(this.dir, `${toDay(record.timestamp)}.jsonl`);
+    const line = `${JSON.stringify(record)}\n`;
+    this.writes = this.writes
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(file, line);
+      })
+      .catch(error => console.error('Failed to save usage record:', error));
+    return this.writes;
+  }
+
+  // Resolves once every record saved so far is on disk
+  async flush(): Promise<void> {
+    await this.writes;
+  }
+
+  async query(filters: UsageFilters): Promise<UsageRecord[]> {
+    try {
+      const results: UsageRecord[] = [];
+      for await (const record of this.iterate(filters)) {
+        results.push(record);
+      }
+      return results;
+    } catch (error) {
+      console.error('Failed to query usage records:', error);
+      return [];
+    }
+  }
+
+  // Matching records one segment at a time, oldest first
+  async *iterate(filters: UsageFilters): AsyncGenerator<UsageRecord> {
+    for (const day of await this.getDays(this.dir, SEGMENT_FILE, filters.timeRange)) {
+      const segment = await this.loadSegment(day);
+      if (!segment) continue;
+      const candidates = filters.projectId
+        ? segment.byProject.get(filters.projectId)
+        : filters.agentId
+          ? segment.byAgent.get(filters.agentId)
+          : filters.clientKey
+            ? segment.byClient.get(filters.clientKey)
+            : segment.records;
+      for (const record of candidates || []) {
+        if (matchesFilters(record, filters)) yield record;
+      }
+    }
+  }
+
+  /**
+   * Hourly rollup entries for the days in range whose raw segment has been
+   * pruned, so totals can still cover them.
+   */
+  async queryRollups(filters: UsageFilters): Promise<UsageRollupEntry[]> {
+    try {
+      const rawDays = new Set(await this.getDays(this.dir, SEGMENT_FILE, filters.timeRange));
+      const entries: UsageRollupEntry[] = [];
+      for (const day of await this.getDays(this.rollupDir, ROLLUP_FILE, filters.timeRange)) {
+        if (rawDays.has(day)) continue;
+        const rollup = await this.loadRollup(day);
+        for (const entry of rollup?.hourly || []) {
+          if (filters.projectId && entry.projectId !== filters.projectId) continue;
+          if (filters.agentId && entry.agentId !== filters.agentId) continue;
+          if (filters.clientKey && entry.clientKey !== filters.clientKey) continue;
+          if (filters.timeRange) {
+            const hourStart = Date.parse(`${entry.period}:00:00.000Z`);
+            if (hourStart + 3600000 <= filters.timeRange.start.getTime() || hourStart > filters.timeRange.end.getTime()) {
+              continue;
+            }
+          }
+          entries.push(entry);
+        }
+      }
+      return entries;
+    } catch (error) {
+      console.error('Failed to query usage rollups:', error);
+      return [];
+    }
+  }
+
+  // Imports the old usage.json, rolls up completed days and applies retention
+  async maintain(): Promise<void> {
+    try {
+      this.writes = this.writes
+        .then(() => this.migrateLegacyFile())
+        .catch(error => console.error('Failed to import usage.json:', error));
+      await this.writes;
+      const today = toDay(new Date());
+      const now = Date.now();
+      for (const day of await this.getDays(this.dir, SEGMENT_FILE)) {
+        if (day >= today) continue;
+        if (!fs.existsSync(this.rollupPath(day))) {
+          await this.buildRollup(day);
+        }
+        if (this.options.retentionDays > 0 && now - Date.parse(day) > (this.options.retentionDays + 1) * DAY_MS) {
+          await fs.promises.unlink(path.join(this.dir, `${day}.jsonl`));
+          this.segments.delete(day);
+          log(`Pruned raw usage records of ${day}`);
+        }
+      }
+      if (this.options.rollupRetentionDays > 0) {
+        for (const day of await this.getDays(this.rollupDir, ROLLUP_FILE)) {
+          if (now - Date.parse(day) > (this.options.rollupRetentionDays + 1) * DAY_MS) {
+            await fs.promises.unlink(this.rollupPath(day));
+            this.rollups.delete(day);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Usage store maintenance failed:', error);
+    }
+  }
+
+  startMaintenance(): void {
+    if (this.maintenanceTimer) return;
+    this.maintain();
+    this.maintenanceTimer = setInterval(() => this.maintain(), MAINTENANCE_INTERVAL_MS);
+    this.maintenanceTimer.unref();
+  }
+
+  stopMaintenance(): void {
+    if (this.maintenanceTimer) {
+      clearInterval(this.maintenanceTimer);
+      this.maintenanceTimer = undefined;
+    }
+  }
+
+  private rollupPath(day: string): string {
+    return path.join(this.rollupDir, `${day}.json`);
+  }
+
+  // Days with a file in `dir`, limited to the time range when one is given
+  private async getDays(dir: string, pattern: RegExp, timeRange?: UsageFilters['timeRange']): Promise<string[]> {
+    let files: string[];
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const days = files
+      .map(file => pattern.exec(file)?.[1])
+      .filter((day): day is string => !!day)
+      .sort();
+    if (!timeRange) return days;
+    const wanted = new Set(daysBetween(timeRange.start, timeRange.end));
+    return days.filter(day => wanted.has(day));
+  }
+
+  // Parses the segment, or just the lines appended since the last read
+  private async loadSegment(day: string): Promise<Segment | null> {
+    const file = path.join(this.dir, `${day}.jsonl`);
+    let stat: fs.Stats;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch {
+      this.segments.delete(day);
+      return null;
+    }
+    let segment = this.segments.get(day);
+    if (!segment || stat.size < segment.size) {
+      segment = { day, size: 0, records: [], byProject: new Map(), byAgent: new Map(), byClient: new Map() };
+    }
+    // most recently used last, so eviction drops the oldest
+    this.segments.delete(day);
+    this.segments.set(day, segment);
+    if (this.segments.size > MAX_CACHED_SEGMENTS) {
+      this.segments.delete(this.segments.keys().next().value as string);
+    }
+    if (stat.size === segment.size) return segment;
+
+    const handle = await fs.promises.open(file, 'r');
+    try {
+      const buffer = Buffer.alloc(stat.size - segment.size);
+      await handle.read(buffer, 0, buffer.length, segment.size);
+      // an append may be half written, leave anything after the last newline
+      const end = buffer.lastIndexOf(10);
+      if (end < 0) return segment;
+      for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+        if (!line.trim()) continue;
+        let record: UsageRecord;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        segment.records.push(record);
+        addToIndex(segment.byProject, record.projectId, record);
+        addToIndex(segment.byAgent, record.agentId, record);
+        addToIndex(segment.byClient, record.clientKey, record);
+      }
+      segment.size += end + 1;
+    } finally {
+      await handle.close();
+    }
+    return segment;
+  }
+
+  private async loadRollup(day: string): Promise<UsageRollup | null> {
+    const cached = this.rollups.get(day);
+    if (cached) return cached;
+    try {
+      const rollup: UsageRollup = JSON.parse(await fs.promises.readFile(this.rollupPath(day), 'utf8'));
+      this.rollups.set(day, rollup);
+      return rollup;
+    } catch {
+      return null;
+    }
+  }
+
+  private async buildRollup(day: string): Promise<UsageRollup | null> {
+    const segment = await this.loadSegment(day);
+    if (!segment) return null;
+    const hourly = new Map<string, UsageRollupEntry>();
+    const daily = new Map<string, UsageRollupEntry>();
+    for (const record of segment.records) {
+      const hour = new Date(record.timestamp).toISOString().slice(0, 13);
+      this.addToRollup(hourly, hour, record);
+      this.addToRollup(daily, day, record);
+    }
+    const rollup: UsageRollup = {
+      day,
+      createdAt: new Date().toISOString(),
+      records: segment.records.length,
+      hourly: Array.from(hourly.values()),
+      daily: Array.from(daily.values())
+    };
+    await fs.promises.mkdir(this.rollupDir, { recursive: true });
+    await fs.promises.writeFile(this.rollupPath(day), JSON.stringify(rollup));
+    this.rollups.set(day, rollup);
+    return rollup;
+  }
+
+  private addToRollup(entries: Map<string, UsageRollupEntry>, period: string, record: UsageRecord): void {
+    const group = {
+      period,
+      model: record.model,
+      provider: record.provider,
+      projectId: record.projectId,
+      agentId: record.agentId,
+      agentType: record.agentType,
+      clientKey: record.clientKey,
+      apiKey: record.apiKey
+    };
+    const key = JSON.stringify(group);
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = {
+        ...group,
+        requests: 0,
+        successes: 0,
+        tokens: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0 },
+        cost: 0,
+        latency: 0
+      };
+      entries.set(key, entry);
+    }
+    entry.requests++;
+    if (record.success) entry.successes++;
+    entry.tokens.input += record.tokens?.input || 0;
+    entry.tokens.output += record.tokens?.output || 0;
+    entry.tokens.cacheRead += record.tokens?.cacheRead || 0;
+    entry.tokens.cacheWrite += record.tokens?.cacheWrite || 0;
+    entry.tokens.total += record.tokens?.total || 0;
+    entry.cost += record.cost || 0;
+    entry.latency += record.latency || 0;
+  }
+
+  private async migrateLegacyFile(): Promise<void> {
+    if (!fs.existsSync(this.legacyFile)) return;
+    let records: UsageRecord[] = [];
+    try {
+      const data = await fs.promises.readFile(this.legacyFile, 'utf8');
+      records = data.trim() ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error(`Cannot import ${this.legacyFile}, leaving it in place:`, error);
+      return;
+    }
+    const byDay = new Map<string, string[]>();
+    for (const record of records) {
+      const day = toDay(record.timestamp);
+      const lines = byDay.get(day) || [];
+      lines.push(JSON.stringify(record));
+      byDay.set(day, lines);
+    }
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    for (const [day, lines] of byDay) {
+      await fs.promises.appendFile(path.join(this.dir, `${day}.jsonl`), `${lines.join('\n')}\n`);
+    }
+    await fs.promises.rename(this.legacyFile, `${this.legacyFile}.migrated`);
+    log(`Imported ${records.length} usage records from ${this.legacyFile}`);
+  }
+}
@@ -1,7 +1,9 @@
 import { SynapseContext } from './synapse-context';
-import * as fs from 'fs';
-import * as path from 'path';
 import { randomUUID } from 'crypto';
+import { normalizeUsage, priceUsage } from '../utils/pricing';
+import { UsageRollupEntry, UsageStore, UsageStoreOptions } from './usage-store';
+import { ModelPerformance, RequestEvent, UsageBreakdown } from '../types/synapse-types';
+import { events } from './event-bus';
 
 export interface UsageRecord {
   id: string;
@@ -9,191 +11,451 @@ export interface UsageRecord {
   projectId?: string;
   agentId?: string;
   agentType?: string;
+  // ClientKeys entry that sent the request
+  clientKey?: string;
   model: string;
   provider: string;
   tokens: {
     input: number;
     output: number;
+    cacheRead?: number;
+    cacheWrite?: number;
     total: number;
   };
+  // USD
   cost: number;
+  // price list entry the cost was computed from, see utils/pricing
+  priceVersion?: string;
+  // billing currency and amount when the price is not in USD
+  currency?: string;
+  originalCost?: number;
   latency: number;
+  // ms until the first content token, streamed responses only
+  ttft?: number;
   success: boolean;
   routingReason: string;
+  // label of the pooled API key that served the request, e.g. "deepseek#2"
+  apiKey?: string;
+}
+
+// Milliseconds, nearest-rank over the raw records in range
+export interface LatencyPercentiles {
+  p50: number;
+  p95: number;
+  p99: number;
 }
 
 export interface UsageStats {
   totalRequests: number;
   totalTokens: number;
+  tokens: {
+    input: number;
+    output: number;
+    cacheRead: number;
+    cacheWrite: number;
+  };
   totalCost: number;
   averageLatency: number;
+  // days kept only as rollups have no per-request latencies and are left out
+  latencyPercentiles: LatencyPercentiles;
+  // streamed requests only, absent when there were none
+  timeToFirstToken?: LatencyPercentiles & { average: number };
+  // true when some of the requests are only kept as rollups, so the
+  // percentiles and time to first token cover fewer requests than the totals
+  percentilesPartial: boolean;
   successRate: number;
   modelBreakdown: { [key: string]: number };
   agentBreakdown: { [key: string]: number };
+  keyBreakdown: { [key: string]: number };
+  clientBreakdown: { [key: string]: number };
 }
 
 export interface UsageFilters {
   projectId?: string;
   agentId?: string;
+  clientKey?: string;
   timeRange?: { start: Date; end: Date };
 }
 
-export class UsageStorage {
-  private storagePath: string;
-
-  constructor() {
-    const homeDir = process.env.HOME || process.env.USERPROFILE || '/tmp';
-    this.storagePath = path.join(homeDir, '.claude-code-router', 'usage.json');
-    this.ensureStorageDirectory();
-  }
-
-  private ensureStorageDirectory(): void {
-    const dir = path.dirname(this.storagePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  }
-
-  async save(record: UsageRecord): Promise<void> {
-    try {
-      let records: UsageRecord[] = [];
-      
-      if (fs.existsSync(this.storagePath)) {
-        const data = fs.readFileSync(this.storagePath, 'utf8');
-        if (data.trim()) {
-          records = JSON.parse(data);
-        }
-      }
-
-      records.push(record);
-      
-      // Keep only last 10,000 records to prevent file from growing too large
-      if (records.length > 10000) {
-        records = records.slice(-10000);
-      }
+export type UsageBreakdownGroup = 'model' | 'provider' | 'agentType' | 'project' | 'timeOfDay';
 
-      fs.writeFileSync(this.storagePath, JSON.stringify(records, null, 2));
-    } catch (error) {
-      console.error('Failed to save usage record:', error);
-    }
+// Breakdown field and group key of each group; timeOfDay is the UTC hour, "00" to "23"
+const BREAKDOWN_GROUPS: {
+  [group in UsageBreakdownGroup]: {
+    field: keyof UsageBreakdown;
+    key: (entry: UsageRecord | UsageRollupEntry) => string | undefined;
+  };
+} = {
+  model: { field: 'byModel', key: entry => entry.model },
+  provider: { field: 'byProvider', key: entry => entry.provider },
+  agentType: { field: 'byAgentType', key: entry => entry.agentType },
+  project: { field: 'byProject', key: entry => entry.projectId },
+  timeOfDay: {
+    field: 'byTimeOfDay',
+    key: entry =>
+      'period' in entry
+        ? entry.period.slice(11, 13)
+        : new Date(entry.timestamp).toISOString().slice(11, 13)
   }
+};
 
-  async query(filters: UsageFilters): Promise<UsageRecord[]> {
-    try {
-      if (!fs.existsSync(this.storagePath)) {
-        return [];
-      }
+export const USAGE_BREAKDOWN_GROUPS = Object.keys(BREAKDOWN_GROUPS) as UsageBreakdownGroup[];
 
-      const data = fs.readFileSync(this.storagePath, 'utf8');
-      if (!data.trim()) {
-        return [];
-      }
+// What a budget is kept for; "global" has no name
+export type SpendScope = 'global' | 'project' | 'agent' | 'client';
 
-      let records: UsageRecord[] = JSON.parse(data);
+// USD spent in the current UTC day and month
+export interface Spend {
+  daily: number;
+  monthly: number;
+}
 
-      // Apply filters
-      if (filters.projectId) {
-        records = records.filter(r => r.projectId === filters.projectId);
-      }
+const spendKey = (scope: SpendScope, name: string | undefined, period: string) => `${scope}:${name || ''}:${period}`;
 
-      if (filters.agentId) {
-        records = records.filter(r => r.agentId === filters.agentId);
-      }
+const percentiles = (values: number[]): LatencyPercentiles => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (p: number) =>
+    sorted.length ? sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))] : 0;
+  return { p50: at(50), p95: at(95), p99: at(99) };
+};
 
-      if (filters.timeRange) {
-        records = records.filter(r => {
-          const timestamp = new Date(r.timestamp);
-          return timestamp >= filters.timeRange!.start && timestamp <= filters.timeRange!.end;
-        });
-      }
+export class UsageTracker {
+  private storage: UsageStore;
+  // running spend per scope, name and UTC day or month, so budget checks
+  // don't read the month's records on every request
+  private spend = new Map<string, number>();
+  private spendMonth?: string;
+  private spendDay?: string;
+  private seeding?: Promise<void>;
+  // records counted while the month is being read back, so they are not
+  // counted twice
+  private countedWhileSeeding?: Set<string>;
 
-      return records;
-    } catch (error) {
-      console.error('Failed to query usage records:', error);
-      return [];
-    }
+  constructor() {
+    this.storage = new UsageStore();
   }
-}
 
-export class UsageTracker {
-  private storage: UsageStorage;
+  configure(options?: Partial<UsageStoreOptions>): void {
+    this.storage.configure(options);
+  }
 
-  constructor() {
-    this.storage = new UsageStorage();
+  startMaintenance(): void {
+    this.storage.startMaintenance();
   }
 
   async trackRequest(context: SynapseContext, response: any): Promise<UsageRecord> {
+    const tokens = normalizeUsage(response.usage);
+    const priced = priceUsage(response.provider || '', response.model || '', tokens);
     const record: UsageRecord = {
       id: this.generateId(),
       timestamp: new Date(),
       projectId: context.projectId,
       agentId: context.agentId,
       agentType: context.agentType,
+      clientKey: context.clientKey,
       model: response.model,
       provider: response.provider,
       tokens: {
-        input: response.usage?.prompt_tokens || 0,
-        output: response.usage?.completion_tokens || 0,
-        total: response.usage?.total_tokens || 0
+        ...tokens,
+        total:
+          response.usage?.total_tokens ||
+          tokens.input + tokens.output + tokens.cacheRead + tokens.cacheWrite
       },
-      cost: this.calculateCost(response),
+      cost: priced.cost,
+      priceVersion: priced.priceVersion,
+      currency: priced.currency,
+      originalCost: priced.originalCost,
       latency: response.latency || 0,
+      ttft: response.ttft,
       success: response.success,
-      routingReason: response.routingReason || 'default'
+      routingReason: response.routingReason || 'default',
+      apiKey: response.apiKey
     };
 
+    if (this.spendMonth) {
+      this.addSpend(record.timestamp.toISOString(), record, record.cost);
+      this.countedWhileSeeding?.add(record.id);
+    }
     await this.storage.save(record);
+    events.publish<RequestEvent>('request', 'usage', {
+      context,
+      model: record.model,
+      provider: record.provider,
+      latency: record.latency,
+      success: record.success,
+      tokens: record.tokens,
+      cost: record.cost
+    });
     return record;
   }
 
+  /**
+   * Spend of everything, or of one project, agent or client key, in the
+   * current UTC day and month. The totals are read back from the month's
+   * records and rollups once, then kept up to date by trackRequest.
+   */
+  async getSpend(scope: SpendScope, name?: string): Promise<Spend> {
+    const now = new Date().toISOString();
+    const month = now.slice(0, 7);
+    const day = now.slice(0, 10);
+    if (this.spendMonth !== month && !this.seeding) {
+      this.seeding = this.seedSpend(month).finally(() => {
+        this.seeding = undefined;
+      });
+    }
+    if (this.seeding) await this.seeding;
+    if (this.spendDay !== day) {
+      // totals of past days are no longer needed
+      for (const key of Array.from(this.spend.keys())) {
+        const period = key.slice(key.lastIndexOf(':') + 1);
+        if (period.length === day.length && period !== day) this.spend.delete(key);
+      }
+      this.spendDay = day;
+    }
+    return {
+      daily: this.spend.get(spendKey(scope, name, day)) || 0,
+      monthly: this.spend.get(spendKey(scope, name, month)) || 0
+    };
+  }
+
+  private async seedSpend(month: string): Promise<void> {
+    this.spend.clear();
+    this.spendMonth = month;
+    this.spendDay = new Date().toISOString().slice(0, 10);
+    this.countedWhileSeeding = new Set();
+    try {
+      const start = new Date(`${month}-01T00:00:00.000Z`);
+      const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1) - 1);
+      // records saved before counting started are on disk once this settles
+      await this.storage.flush();
+      for await (const record of this.storage.iterate({ timeRange: { start, end } })) {
+        if (this.countedWhileSeeding.has(record.id)) continue;
+        this.addSpend(new Date(record.timestamp).toISOString(), record, record.cost);
+      }
+      // days whose raw records were pruned
+      for (const entry of await this.storage.queryRollups({ timeRange: { start, end } })) {
+        this.addSpend(entry.period, entry, entry.cost);
+      }
+    } catch (error) {
+      console.error('Failed to read back usage for budgets:', error);
+    } finally {
+      this.countedWhileSeeding = undefined;
+    }
+  }
+
+  // `period` starts with the UTC day, e.g. an ISO timestamp or an hourly rollup period
+  private addSpend(
+    period: string,
+    entry: Pick<UsageRecord, 'projectId' | 'agentId' | 'clientKey'>,
+    cost: number
+  ): void {
+    if (!cost || !this.spendMonth || !period.startsWith(this.spendMonth)) return;
+    const scopes: [SpendScope, string | undefined][] = [['global', undefined]];
+    if (entry.projectId) scopes.push(['project', entry.projectId]);
+    if (entry.agentId) scopes.push(['agent', entry.agentId]);
+    if (entry.clientKey) scopes.push(['client', entry.clientKey]);
+    const day = period.slice(0, 10);
+    // past days of the month only count towards the month
+    const periods = day >= this.spendDay! ? [this.spendMonth, day] : [this.spendMonth];
+    for (const [scope, name] of scopes) {
+      for (const key of periods.map(p => spendKey(scope, name, p))) {
+        this.spend.set(key, (this.spend.get(key) || 0) + cost);
+      }
+    }
+  }
+
+  async getRecords(filters: UsageFilters): Promise<UsageRecord[]> {
+    return this.storage.query(filters);
+  }
+
+  iterateRecords(filters: UsageFilters): AsyncGenerator<UsageRecord> {
+    return this.storage.iterate(filters);
+  }
+
+  // Hourly totals for days whose raw records have been pruned
+  async getRollups(filters: UsageFilters): Promise<UsageRollupEntry[]> {
+    return this.storage.queryRollups(filters);
+  }
+
   async getUsageStats(filters: UsageFilters): Promise<UsageStats> {
+    const { records, rollups } = await this.load(filters);
+    return this.summarize(records, rollups);
+  }
+
+  /**
+   * Totals and, when groups are asked for, the breakdown and the performance
+   * list, all from one read of the records and rollups in range.
+   */
+  async getUsageReport(
+    filters: UsageFilters,
+    groups?: UsageBreakdownGroup[]
+  ): Promise<{ usage: UsageStats; breakdown?: Partial<UsageBreakdown>; performance?: ModelPerformance[] }> {
+    const { records, rollups } = await this.load(filters);
+    const usage = this.summarize(records, rollups);
+    if (!groups) return { usage };
+    return {
+      usage,
+      breakdown: this.buildBreakdown(records, rollups, groups),
+      performance: this.buildPerformance(records, rollups)
+    };
+  }
+
+  /**
+   * Full stats per model, provider, agent type, project and hour of day, or
+   * only for the groups asked for.
+   */
+  async getUsageBreakdown(
+    filters: UsageFilters,
+    groups: UsageBreakdownGroup[] = USAGE_BREAKDOWN_GROUPS
+  ): Promise<Partial<UsageBreakdown>> {
+    const { records, rollups } = await this.load(filters);
+    return this.buildBreakdown(records, rollups, groups);
+  }
+
+  /**
+   * Latency, reliability, speed and cost of each provider,model target,
+   * most used first. Throughput is output tokens per second of latency.
+   */
+  async getModelPerformance(filters: UsageFilters): Promise<ModelPerformance[]> {
+    const { records, rollups } = await this.load(filters);
+    return this.buildPerformance(records, rollups);
+  }
+
+  private async load(filters: UsageFilters): Promise<{ records: UsageRecord[]; rollups: UsageRollupEntry[] }> {
     const records = await this.storage.query(filters);
+    // days whose raw records were pruned only have rollups left
+    const rollups = await this.storage.queryRollups(filters);
+    return { records, rollups };
+  }
 
-    if (records.length === 0) {
-      return {
-        totalRequests: 0,
-        totalTokens: 0,
-        totalCost: 0,
-        averageLatency: 0,
-        successRate: 0,
-        modelBreakdown: {},
-        agentBreakdown: {}
+  private buildBreakdown(
+    records: UsageRecord[],
+    rollups: UsageRollupEntry[],
+    groups: UsageBreakdownGroup[]
+  ): Partial<UsageBreakdown> {
+    const breakdown: Partial<UsageBreakdown> = {};
+    for (const group of groups) {
+      const { field, key } = BREAKDOWN_GROUPS[group];
+      const split = new Map<string, { records: UsageRecord[]; rollups: UsageRollupEntry[] }>();
+      const bucket = (entry: UsageRecord | UsageRollupEntry) => {
+        const name = key(entry) || 'unknown';
+        if (!split.has(name)) split.set(name, { records: [], rollups: [] });
+        return split.get(name)!;
       };
+      records.forEach(record => bucket(record).records.push(record));
+      rollups.forEach(entry => bucket(entry).rollups.push(entry));
+      breakdown[field] = {};
+      for (const [name, part] of split) {
+        breakdown[field]![name] = this.summarize(part.records, part.rollups);
+      }
     }
+    return breakdown;
+  }
 
-    return {
-      totalRequests: records.length,
-      totalTokens: records.reduce((sum, r) => sum + r.tokens.total, 0),
-      totalCost: records.reduce((sum, r) => sum + r.cost, 0),
-      averageLatency: records.reduce((sum, r) => sum + r.latency, 0) / records.length,
-      successRate: records.filter(r => r.success).length / records.length,
-      modelBreakdown: this.groupBy(records, 'model'),
-      agentBreakdown: this.groupBy(records, 'agentType')
+  private buildPerformance(records: UsageRecord[], rollups: UsageRollupEntry[]): ModelPerformance[] {
+    const targets = new Map<string, { records: UsageRecord[]; rollups: UsageRollupEntry[]; lastUpdated: Date }>();
+    const target = (provider: string, model: string, at: Date) => {
+      const name = `${provider},${model}`;
+      if (!targets.has(name)) targets.set(name, { records: [], rollups: [], lastUpdated: at });
+      const entry = targets.get(name)!;
+      if (at > entry.lastUpdated) entry.lastUpdated = at;
+      return entry;
     };
+    records.forEach(record =>
+      target(record.provider, record.model, new Date(record.timestamp)).records.push(record)
+    );
+    rollups.forEach(entry =>
+      target(entry.provider, entry.model, new Date(`${entry.period}:59:59.999Z`)).rollups.push(entry)
+    );
+    return Array.from(targets.entries())
+      .map(([name, entry]) => {
+        const [provider, ...model] = name.split(',');
+        const stats = this.summarize(entry.records, entry.rollups);
+        const latencySeconds =
+          [...entry.records.map(record => record.latency), ...entry.rollups.map(rollup => rollup.latency)]
+            .reduce((sum, latency) => sum + latency, 0) / 1000;
+        return {
+          model: model.join(','),
+          provider,
+          metrics: {
+            avgLatency: stats.averageLatency,
+            latencyPercentiles: stats.latencyPercentiles,
+            timeToFirstToken: stats.timeToFirstToken,
+            successRate: stats.successRate,
+            errorRate: stats.totalRequests ? 1 - stats.successRate : 0,
+            throughput: latencySeconds ? stats.tokens.output / latencySeconds : 0,
+            cost: stats.totalCost
+          },
+          sampleSize: stats.totalRequests,
+          lastUpdated: entry.lastUpdated
+        };
+      })
+      .sort((a, b) => b.sampleSize - a.sampleSize);
   }
 
-  private generateId(): string {
-    return randomUUID();
+  private summarize(records: UsageRecord[], rollups: UsageRollupEntry[]): UsageStats {
+    const groups = [...records.map(record => this.toRollupEntry(record)), ...rollups];
+    const totalRequests = groups.reduce((sum, group) => sum + group.requests, 0);
+    const sumTokens = (field: keyof UsageRollupEntry['tokens']) =>
+      groups.reduce((sum, group) => sum + (group.tokens[field] || 0), 0);
+    const count = (field: keyof UsageRollupEntry) =>
+      groups.reduce((acc, group) => {
+        if (field === 'apiKey' && !group.apiKey) return acc;
+        const key = String(group[field] || 'unknown');
+        acc[key] = (acc[key] || 0) + group.requests;
+        return acc;
+      }, {} as { [key: string]: number });
+    const ttfts = records.filter(record => typeof record.ttft === 'number').map(record => record.ttft!);
+    return {
+      totalRequests,
+      totalTokens: sumTokens('total'),
+      tokens: {
+        input: sumTokens('input'),
+        output: sumTokens('output'),
+        cacheRead: sumTokens('cacheRead'),
+        cacheWrite: sumTokens('cacheWrite')
+      },
+      totalCost: groups.reduce((sum, group) => sum + group.cost, 0),
+      averageLatency: totalRequests ? groups.reduce((sum, group) => sum + group.latency, 0) / totalRequests : 0,
+      latencyPercentiles: percentiles(records.map(record => record.latency)),
+      timeToFirstToken: ttfts.length
+        ? { average: ttfts.reduce((sum, ttft) => sum + ttft, 0) / ttfts.length, ...percentiles(ttfts) }
+        : undefined,
+      percentilesPartial: rollups.some(entry => entry.requests > 0),
+      successRate: totalRequests ? groups.reduce((sum, group) => sum + group.successes, 0) / totalRequests : 0,
+      modelBreakdown: count('model'),
+      agentBreakdown: count('agentType'),
+      keyBreakdown: count('apiKey'),
+      clientBreakdown: count('clientKey')
+    };
   }
 
-  private calculateCost(response: any): number {
-    // Basic cost calculation - this would need to be enhanced with actual pricing
-    const usage = response.usage || {};
-    const inputTokens = usage.prompt_tokens || 0;
-    const outputTokens = usage.completion_tokens || 0;
-    
-    // Rough estimates (would need actual pricing data)
-    const inputCostPer1k = 0.01; // $0.01 per 1k input tokens
-    const outputCostPer1k = 0.03; // $0.03 per 1k output tokens
-    
-    return (inputTokens / 1000) * inputCostPer1k + (outputTokens / 1000) * outputCostPer1k;
+  private toRollupEntry(record: UsageRecord): UsageRollupEntry {
+    return {
+      period: '',
+      model: record.model,
+      provider: record.provider,
+      agentType: record.agentType,
+      clientKey: record.clientKey,
+      apiKey: record.apiKey,
+      requests: 1,
+      successes: record.success ? 1 : 0,
+      tokens: {
+        input: record.tokens.input,
+        output: record.tokens.output,
+        cacheRead: record.tokens.cacheRead || 0,
+        cacheWrite: record.tokens.cacheWrite || 0,
+        total: record.tokens.total
+      },
+      cost: record.cost,
+      latency: record.latency
+    };
   }
 
-  private groupBy(records: UsageRecord[], field: keyof UsageRecord): { [key: string]: number } {
-    return records.reduce((acc, record) => {
-      const key = String(record[field] || 'unknown');
-      acc[key] = (acc[key] || 0) + 1;
-      return acc;
-    }, {} as { [key: string]: number });
+  private generateId(): string {
+    return randomUUID();
   }
-}
\ No newline at end of file
+}
+
+// Shared by the Synapse endpoints and the budget checks in the router
+export const usageTracker = new UsageTracker();
@@ -1,11 +1,21 @@
 import Server from "@musistudio/llms";
 import { EnhancedRouter } from "./utils/enhanced-router";
+import { registerFallback } from "./utils/fallback";
+import { registerUsageCapture } from "./utils/usageCapture";
+import { registerRequestMetrics } from "./middleware/metrics";
+import { registerTracing } from "./middleware/tracing";
+import { reloadConfig } from "./utils/configReload";
+import { parseCostLimitsHeader } from "./utils/costLimits";
 
 export const createServer = (config: any): Server => {
   const server = new Server(config);
+
+  // Request IDs and traces come first so every later step is part of the trace
+  registerTracing(server.app);
   
   // Initialize enhanced router for Synapse integration
   const enhancedRouter = new EnhancedRouter();
+  enhancedRouter.startHealthChecks(config.initialConfig?.providers);
   
   // Register Synapse endpoints as a plugin with higher priority
   console.log('Registering Synapse API endpoints...');
@@ -21,9 +31,22 @@ export const createServer = (config: any): Server => {
     fastify.post('/api/synapse/config', enhancedRouter.handleConfigUpdate.bind(enhancedRouter));
     fastify.get('/api/synapse/health', enhancedRouter.handleHealthCheck.bind(enhancedRouter));
     fastify.get('/api/synapse/usage', enhancedRouter.handleUsageStats.bind(enhancedRouter));
+    fastify.get('/api/synapse/usage/export', enhancedRouter.handleUsageExport.bind(enhancedRouter));
+    fastify.get('/api/synapse/events', enhancedRouter.handleEvents.bind(enhancedRouter));
+    fastify.get('/api/synapse/alerts', enhancedRouter.handleAlerts.bind(enhancedRouter));
     fastify.post('/api/synapse/test-model', enhancedRouter.handleModelTest.bind(enhancedRouter));
   });
   
+  // Prometheus metrics, see Monitoring.metrics for auth
+  server.app.get('/metrics', enhancedRouter.handleMetrics.bind(enhancedRouter));
+  registerRequestMetrics(server.app);
+  
+  // Re-read config.json without restarting the service
+  server.app.post('/api/config/reload', async (request: any, reply: any) => {
+    const result = await reloadConfig(true);
+    return reply.code(result.success ? 200 : 400).send(result);
+  });
+  
   console.log('Synapse API endpoints registered');
   
   // Add simple context extraction middleware (no blocking)
@@ -35,7 +58,10 @@ export const createServer = (config: any): Server => {
         agentId: request.headers['x-synapse-agent-id'] as string,
         agentType: request.headers['x-synapse-agent-type'] as string,
         taskType: request.headers['x-synapse-task-type'] as string,
-        estimatedTokens: parseInt(request.headers['x-synapse-token-estimate'] as string || '0')
+        estimatedTokens: parseInt(request.headers['x-synapse-token-estimate'] as string || '0'),
+        costLimits: parseCostLimitsHeader(request.headers['x-synapse-cost-limits'] as string),
+        requestId: (request as any).requestId,
+        traceId: (request as any).traceId
       };
       (request as any).synapseContext = context;
     } catch (error) {
@@ -43,6 +69,12 @@ export const createServer = (config: any): Server => {
     }
   });
   
+  // Retry failed upstream calls on the next Router target
+  registerFallback(server.app);
+
+  // Record usage of every /v1/messages response, including streamed ones
+  registerUsageCapture(server.app);
+  
   // Store enhanced router instance for cleanup
   (server as any)._enhancedRouter = enhancedRouter;
   
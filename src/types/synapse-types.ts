@@ -4,6 +4,11 @@ export * from '../middleware/usage-tracking';
 export * from '../middleware/health-monitoring';
 export * from '../api/synapse-endpoints';
 
+import { SynapseContext } from '../middleware/synapse-context';
+import { LatencyPercentiles, UsageRecord, UsageStats } from '../middleware/usage-tracking';
+import { MetricsOptions } from '../middleware/metrics';
+import { TracingOptions } from '../middleware/tracing';
+
 // Additional types for enhanced functionality
 export interface AgentMapping {
   primaryModel: string;
@@ -25,6 +30,11 @@ export interface CostLimits {
     daily: number;
     monthly: number;
   };
+  enabled?: boolean;
+  // fraction of a budget after which requests go to downgradeTo
+  downgradeAt?: number;
+  // cheaper target used near a limit, Router.background when omitted
+  downgradeTo?: string | string[];
 }
 
 export interface LoadBalancingConfig {
@@ -42,11 +52,28 @@ export interface CostOptimizationConfig {
 export interface AlertingConfig {
   enabled: boolean;
   thresholds: {
+    // share of a provider's upstream attempts in the window that failed, 0 to 1
     errorRate: number;
+    // ms, average of a provider's answered attempts in the window
     avgLatency: number;
+    // share of a budget spent, 0 to 1; defaults to 0.8
+    budgetUsage?: number;
   };
   webhookUrl?: string;
+  // further webhooks, each gets every notification
+  webhooks?: string[];
   emailNotifications?: string[];
+  // sliding window the provider thresholds are evaluated over, default 5 minutes
+  windowMs?: number;
+  // attempts a window needs before its rates count, default 10
+  minRequests?: number;
+  // an alert that resolved stays quiet this long if it comes back, default 10 minutes
+  cooldownMs?: number;
+}
+
+export interface RateLimitRuleConfig {
+  requestsPerMinute?: number;
+  burstLimit?: number;
 }
 
 export interface SecurityConfig {
@@ -54,10 +81,21 @@ export interface SecurityConfig {
     enabled: boolean;
     requestsPerMinute: number;
     burstLimit: number;
+    // 'queue' holds excess requests for up to maxQueueMs instead of rejecting them
+    mode?: 'reject' | 'queue';
+    maxQueueMs?: number;
+    // per-scope rules that replace the ones above, false turns a scope off
+    client?: RateLimitRuleConfig | false;
+    project?: RateLimitRuleConfig | false;
+    provider?: RateLimitRuleConfig | false;
   };
   apiKeyRotation: {
     enabled: boolean;
     intervalHours: number;
+    // how a key is picked when a provider's api_key is a list
+    strategy?: 'round_robin' | 'least_recently_limited';
+    // parking time for a rate limited key when there is no Retry-After
+    defaultParkSeconds?: number;
   };
   allowedOrigins?: string[];
   requireAuth?: boolean;
@@ -118,6 +156,7 @@ export interface RequestContext {
 
 export interface ModelCapabilities {
   maxTokens: number;
+  contextWindow: number;
   supportsVision: boolean;
   supportsCodeExecution: boolean;
   supportsTools: boolean;
@@ -162,9 +201,13 @@ export interface ModelPerformance {
   provider: string;
   metrics: {
     avgLatency: number;
+    latencyPercentiles: LatencyPercentiles;
+    timeToFirstToken?: LatencyPercentiles & { average: number };
     successRate: number;
     errorRate: number;
+    // output tokens per second
     throughput: number;
+    // USD
     cost: number;
   };
   sampleSize: number;
@@ -181,6 +224,10 @@ export interface EnhancedRouterConfig extends RouterConfig {
   monitoring: RouterConfig['monitoring'] & {
     performanceMetrics: boolean;
     alerting: AlertingConfig;
+    // GET /metrics in Prometheus text format
+    metrics?: Partial<MetricsOptions>;
+    // OTLP/HTTP trace export
+    tracing?: Partial<TracingOptions>;
   };
   security: SecurityConfig;
   caching: CachingConfig;
@@ -234,6 +281,20 @@ export interface SynapseEvent {
   source: string;
 }
 
+// A model request was routed and is about to go upstream
+export interface RouteEvent extends SynapseEvent {
+  type: 'route';
+  data: {
+    context: SynapseContext;
+    clientKey?: string;
+    // why the first target was chosen, "synapse" for enhanced routing
+    reason: string;
+    // the chosen target first, then its fallbacks
+    targets: string[];
+  };
+}
+
+// A model request finished and its usage was recorded
 export interface RequestEvent extends SynapseEvent {
   type: 'request';
   data: {
@@ -242,6 +303,8 @@ export interface RequestEvent extends SynapseEvent {
     provider: string;
     latency: number;
     success: boolean;
+    tokens: UsageRecord['tokens'];
+    cost: number;
   };
 }
 
@@ -251,6 +314,9 @@ export interface HealthCheckEvent extends SynapseEvent {
     provider: string;
     healthy: boolean;
     latency: number;
+    error?: string;
+    // healthy differs from the previous check, or this is the first one
+    changed: boolean;
   };
 }
 
@@ -272,6 +338,10 @@ export interface AlertEvent extends SynapseEvent {
     metric: string;
     value: number;
     threshold: number;
+    // the same for the firing and resolved notifications of one alert
+    key: string;
+    status: 'firing' | 'resolved';
+    provider?: string;
   };
 }
 
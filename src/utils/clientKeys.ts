@@ -0,0 +1,214 @@
+import fs from "node:fs";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { CONFIG_FILE } from "../constants";
+import { getProviderName } from "./projectConfig";
+import { usageTracker } from "../middleware/usage-tracking";
+import { RateLimitRuleConfig } from "../types/synapse-types";
+
+export type ClientKeyScope = "inference" | "admin";
+
+export const CLIENT_KEY_SCOPES: ClientKeyScope[] = ["inference", "admin"];
+
+// An entry of the `ClientKeys` list in config.json. Only the SHA-256 of the
+// key is stored; the key itself is shown once by `ccr keys create`.
+export interface ClientKey {
+  name: string;
+  keyHash: string;
+  scopes?: ClientKeyScope[];
+  // provider names this key may route to, all when omitted
+  providers?: string[];
+  // "provider,model" or bare model names, all when omitted
+  models?: string[];
+  expiresAt?: string;
+  // spend limits in USD
+  budget?: { daily?: number; monthly?: number };
+  // replaces Security.rateLimiting.client for this key
+  rateLimit?: RateLimitRuleConfig;
+  revoked?: boolean;
+  createdAt?: string;
+}
+
+// Who sent a request, attached to the request as req.clientKey
+export interface ClientIdentity {
+  name: string;
+  scopes: ClientKeyScope[];
+  providers?: string[];
+  models?: string[];
+  budget?: ClientKey["budget"];
+  rateLimit?: RateLimitRuleConfig;
+}
+
+export type AuthResult =
+  | { identity: ClientIdentity }
+  | { error: string; status: number };
+
+// The legacy single APIKEY can do everything
+const ROOT_IDENTITY: ClientIdentity = {
+  name: "APIKEY",
+  scopes: ["inference", "admin"],
+};
+
+export const hashClientKey = (key: string) =>
+  createHash("sha256").update(key).digest("hex");
+
+export const generateClientKey = () =>
+  `ccr-${randomBytes(24).toString("base64url")}`;
+
+// Compares digests so the time taken does not depend on where the inputs differ
+const safeEqualHash = (hash: string, expected: string) => {
+  const a = Buffer.from(hash, "hex");
+  const b = Buffer.from(expected, "hex");
+  return a.length === b.length && a.length > 0 && timingSafeEqual(a, b);
+};
+
+export const hasClientAuth = (config: any) =>
+  !!config?.APIKEY ||
+  (Array.isArray(config?.ClientKeys) && config.ClientKeys.length > 0);
+
+// Client keys are stored hashed, so a ccr command that talks to a service
+// using ClientKeys alone gets its key from this environment variable
+export const CLI_KEY_ENV = "CCR_API_KEY";
+
+// The key ccr commands send to the running service, CCR_API_KEY before APIKEY
+export const getCliApiKey = (config: any): string | undefined =>
+  process.env[CLI_KEY_ENV] || config?.APIKEY || undefined;
+
+// Why the service answered a ccr command with a 401
+export const describeCliAuthFailure = (config: any): string => {
+  if (process.env[CLI_KEY_ENV]) {
+    return `the service rejected the key in ${CLI_KEY_ENV}`;
+  }
+  if (config?.APIKEY) {
+    return "the service rejected APIKEY; a changed APIKEY needs a restart";
+  }
+  return `the service requires an API key, set ${CLI_KEY_ENV} to a client key with the admin scope`;
+};
+
+export const authenticateClient = (config: any, token: string): AuthResult => {
+  const tokenHash = hashClientKey(token);
+  if (config?.APIKEY && safeEqualHash(tokenHash, hashClientKey(config.APIKEY))) {
+    return { identity: ROOT_IDENTITY };
+  }
+  const clientKeys: ClientKey[] = Array.isArray(config?.ClientKeys)
+    ? config.ClientKeys
+    : [];
+  // check every entry so the response time does not reveal a match position
+  let match: ClientKey | undefined;
+  for (const clientKey of clientKeys) {
+    if (
+      typeof clientKey?.keyHash === "string" &&
+      safeEqualHash(tokenHash, clientKey.keyHash)
+    ) {
+      match = clientKey;
+    }
+  }
+  if (!match) {
+    return { error: "Invalid API key", status: 401 };
+  }
+  if (match.revoked) {
+    return { error: `API key "${match.name}" has been revoked`, status: 401 };
+  }
+  if (match.expiresAt && Date.parse(match.expiresAt) <= Date.now()) {
+    return { error: `API key "${match.name}" expired at ${match.expiresAt}`, status: 401 };
+  }
+  return {
+    identity: {
+      name: match.name,
+      scopes: match.scopes?.length ? match.scopes : ["inference"],
+      providers: match.providers,
+      models: match.models,
+      budget: match.budget,
+      rateLimit: match.rateLimit,
+    },
+  };
+};
+
+// Model calls need `inference`; the management API needs `admin`
+export const requiredScope = (url: string): ClientKeyScope =>
+  url.startsWith("/v1/") ? "inference" : "admin";
+
+export const isTargetAllowed = (identity: ClientIdentity, target: string) => {
+  const provider = getProviderName(target);
+  const model = target.split(",").slice(1).join(",");
+  if (identity.providers?.length && !identity.providers.includes(provider)) {
+    return false;
+  }
+  if (
+    identity.models?.length &&
+    !identity.models.some(
+      (allowed) => allowed === model || allowed === `${provider},${model}`
+    )
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const readRawConfig = (file: string) =>
+  fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : {};
+
+// Edits ClientKeys in the raw file, so secret references elsewhere stay as
+// they are. A running service picks the change up through hot reload.
+const updateClientKeys = (
+  file: string,
+  update: (clientKeys: ClientKey[]) => void
+) => {
+  const config = readRawConfig(file);
+  const clientKeys: ClientKey[] = Array.isArray(config.ClientKeys)
+    ? config.ClientKeys
+    : [];
+  update(clientKeys);
+  config.ClientKeys = clientKeys;
+  fs.writeFileSync(file, JSON.stringify(config, null, 2));
+};
+
+export const createClientKey = (
+  options: Omit<ClientKey, "keyHash" | "createdAt">,
+  file: string = CONFIG_FILE
+): string => {
+  const key = generateClientKey();
+  updateClientKeys(file, (clientKeys) => {
+    if (clientKeys.some((clientKey) => clientKey.name === options.name)) {
+      throw new Error(`A client key named "${options.name}" already exists`);
+    }
+    clientKeys.push({
+      ...options,
+      keyHash: hashClientKey(key),
+      createdAt: new Date().toISOString(),
+    });
+  });
+  return key;
+};
+
+export const revokeClientKey = (name: string, file: string = CONFIG_FILE) => {
+  updateClientKeys(file, (clientKeys) => {
+    const clientKey = clientKeys.find((item) => item.name === name);
+    if (!clientKey) {
+      throw new Error(`No client key named "${name}"`);
+    }
+    clientKey.revoked = true;
+  });
+};
+
+export const listClientKeys = (file: string = CONFIG_FILE): ClientKey[] => {
+  const config = readRawConfig(file);
+  return Array.isArray(config.ClientKeys) ? config.ClientKeys : [];
+};
+
+// Returns why the key may not spend more, or null while it is within budget
+export const checkClientBudget = async (
+  identity: ClientIdentity
+): Promise<string | null> => {
+  if (!identity.budget) return null;
+  const spend = await usageTracker.getSpend("client", identity.name);
+  for (const period of ["daily", "monthly"] as const) {
+    const limit = identity.budget[period];
+    if (limit === undefined) continue;
+    if (spend[period] >= limit) {
+      return `API key "${identity.name}" has used its ${period} budget ($${spend[
+        period
+      ].toFixed(2)} of $${limit})`;
+    }
+  }
+  return null;
+};
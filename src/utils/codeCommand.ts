@@ -1,24 +1,48 @@
 import { spawn } from "child_process";
+import { dirname } from "path";
 import {
   incrementReferenceCount,
   decrementReferenceCount,
 } from "./processCheck";
 import { closeService } from "./close";
 import { readConfigFile } from ".";
+import { findProjectConfig, findProjectName } from "./projectConfig";
+import { PROJECT_HEADER } from "../constants";
+import { CLI_KEY_ENV, getCliApiKey, hasClientAuth } from "./clientKeys";
 
 export async function executeCodeCommand(args: string[] = []) {
   // Set environment variables
   const config = await readConfigFile();
-  const env = {
+  const env: NodeJS.ProcessEnv = {
     ...process.env,
     ANTHROPIC_AUTH_TOKEN: "test",
     ANTHROPIC_BASE_URL: `http://127.0.0.1:3456`,
     API_TIMEOUT_MS: "600000",
   };
 
-  if (config?.APIKEY) {
-    env.ANTHROPIC_API_KEY = config.APIKEY;
+  const apiKey = getCliApiKey(config);
+  if (apiKey) {
+    env.ANTHROPIC_API_KEY = apiKey;
     delete env.ANTHROPIC_AUTH_TOKEN;
+  } else if (hasClientAuth(config)) {
+    console.warn(
+      `config.json only has ClientKeys, set ${CLI_KEY_ENV} to a client key with the inference scope`
+    );
+  }
+
+  // Tell the server which project's routing overrides to apply
+  const projectConfigFile = findProjectConfig(process.cwd());
+  const projectName =
+    projectConfigFile && findProjectName(config, dirname(projectConfigFile));
+  if (projectName) {
+    const projectHeader = `${PROJECT_HEADER}: ${encodeURIComponent(projectName)}`;
+    env.ANTHROPIC_CUSTOM_HEADERS = env.ANTHROPIC_CUSTOM_HEADERS
+      ? `${env.ANTHROPIC_CUSTOM_HEADERS}\n${projectHeader}`
+      : projectHeader;
+  } else if (projectConfigFile) {
+    console.warn(
+      `${dirname(projectConfigFile)} is not listed in Projects in config.json, ignoring ${projectConfigFile}`
+    );
   }
 
   // Increment reference count when command starts
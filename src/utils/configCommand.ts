@@ -0,0 +1,107 @@
+import { CONFIG_FILE, SYNAPSE_CONFIG_FILE } from "../constants";
+import { migrateSynapseConfig } from "./unifiedConfig";
+import { formatValidationError, validateConfigFile } from "./configValidation";
+import { getServiceInfo } from "./processCheck";
+import { describeCliAuthFailure, getCliApiKey } from "./clientKeys";
+
+const CONFIG_HELP_TEXT = `
+Usage: ccr config <command>
+
+Commands:
+  validate [file]  Check config.json (default: ${CONFIG_FILE}) for errors
+  migrate [file]   Merge synapse-config.json (default: ${SYNAPSE_CONFIG_FILE}) into config.json
+`;
+
+const migrate = (file?: string) => {
+  try {
+    const result = migrateSynapseConfig(file || SYNAPSE_CONFIG_FILE);
+    result.changes.forEach((change) => console.log(`✅ ${change}`));
+    result.warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+    if (result.backupFile) {
+      console.log(`Previous config.json saved to ${result.backupFile}`);
+    }
+    console.log(`Migrated file renamed to ${result.migratedFile}`);
+  } catch (error: any) {
+    console.error(`Failed to migrate config: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const validate = (file?: string) => {
+  const configFile = file || CONFIG_FILE;
+  const result = validateConfigFile(configFile);
+  result.errors.forEach((error) =>
+    (error.severity === "error" ? console.error : console.warn)(
+      formatValidationError(error)
+    )
+  );
+  if (!result.valid) {
+    console.error(`${configFile} is invalid`);
+    process.exit(1);
+  }
+  console.log(`✅ ${configFile} is valid`);
+};
+
+export function executeConfigCommand(args: string[] = []) {
+  const [subcommand, ...rest] = args;
+  switch (subcommand) {
+    case "validate":
+      validate(rest[0]);
+      break;
+    case "migrate":
+      migrate(rest[0]);
+      break;
+    default:
+      console.log(CONFIG_HELP_TEXT);
+      if (subcommand && subcommand !== "help") {
+        process.exit(1);
+      }
+  }
+}
+
+// Asks the running service to re-read config.json
+export async function executeReloadCommand() {
+  const info = getServiceInfo();
+  if (!info.running) {
+    console.log("Service is not running, config.json is read on the next start.");
+    return;
+  }
+  const result = validateConfigFile(CONFIG_FILE);
+  const headers: Record<string, string> = {};
+  const apiKey = getCliApiKey(result.config);
+  if (apiKey) {
+    headers["x-api-key"] = apiKey;
+  }
+  try {
+    const response = await fetch(`${info.endpoint}/api/config/reload`, {
+      method: "POST",
+      headers,
+    });
+    if (response.status === 401) {
+      throw new Error(describeCliAuthFailure(result.config));
+    }
+    const body: any = await response.json();
+    if (body.error) {
+      // e.g. a client key without the admin scope
+      throw new Error(body.error.message || body.error);
+    }
+    (body.errors || []).forEach((error: any) =>
+      (error.severity === "error" ? console.error : console.warn)(
+        formatValidationError(error)
+      )
+    );
+    if (!body.success) {
+      console.error("Config not reloaded, the service keeps the previous config");
+      process.exit(1);
+    }
+    console.log("✅ Config reloaded");
+    if (body.restartRequired?.length) {
+      console.warn(
+        `⚠️ Changes to ${body.restartRequired.join(", ")} need a restart (ccr stop && ccr start)`
+      );
+    }
+  } catch (error: any) {
+    console.error(`Failed to reload config: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,198 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG_FILE } from "../constants";
+import { ConfigValidationError } from "../types/synapse-types";
+import { log } from "./log";
+import {
+  formatValidationError,
+  hasErrors,
+  validateConfig,
+  validateConfigContent,
+} from "./configValidation";
+import { withLegacySynapseConfig } from "./unifiedConfig";
+import { redactSecrets, resolveConfigSecrets } from "./secrets";
+import { hasClientAuth } from "./clientKeys";
+import { events } from "../middleware/event-bus";
+import { ConfigChangeEvent } from "../types/synapse-types";
+
+export interface ReloadResult {
+  success: boolean;
+  // false when the file content did not change since the last load
+  changed: boolean;
+  errors: ConfigValidationError[];
+  // keys that changed but only take effect after a restart
+  restartRequired: string[];
+}
+
+export type ReloadListener = (config: any, previous: any) => void;
+
+// Only read when the server starts
+const RESTART_KEYS = ["HOST", "PROXY_URL", "transformers"];
+const WATCH_DEBOUNCE_MS = 300;
+
+// The config object is never mutated, a reload swaps in a new one. Requests
+// keep the object they started with, so in-flight requests finish on the old
+// config.
+let currentConfig: any = null;
+let currentContent: string | null = null;
+// where the server listens, which a reload cannot change
+let listenHost: string | undefined;
+const listeners: ReloadListener[] = [];
+let reloading: Promise<ReloadResult> | null = null;
+
+export const getCurrentConfig = () => currentConfig;
+
+export const setCurrentConfig = (config: any, host?: string) => {
+  currentConfig = config;
+  listenHost = host;
+  try {
+    currentContent = fs.readFileSync(CONFIG_FILE, "utf-8");
+  } catch {
+    currentContent = null;
+  }
+};
+
+export const onConfigReload = (listener: ReloadListener) => {
+  listeners.push(listener);
+};
+
+// One config_change event per top-level key that changed
+const publishChanges = (previous: any, config: any) => {
+  const fields = new Set([...Object.keys(previous || {}), ...Object.keys(config)]);
+  for (const field of fields) {
+    if (JSON.stringify(previous?.[field]) === JSON.stringify(config[field])) {
+      continue;
+    }
+    events.publish<ConfigChangeEvent>("config_change", "config", {
+      field,
+      oldValue: redactSecrets(previous?.[field], field),
+      newValue: redactSecrets(config[field], field),
+    });
+  }
+};
+
+const isLoopback = (host?: string) =>
+  !host || host === "localhost" || host === "::1" || host.startsWith("127.");
+
+// A server listening beyond this machine must keep requiring client auth,
+// since the config swapped in applies to requests right away
+const checkListenAuth = (config: any): ConfigValidationError[] =>
+  isLoopback(listenHost) || hasClientAuth(config)
+    ? []
+    : [
+        {
+          field: "APIKEY",
+          message: `APIKEY or ClientKeys is required while the service listens on ${listenHost}; to run without them, set HOST to 127.0.0.1 and restart`,
+          severity: "error",
+        },
+      ];
+
+const logRejected = (errors: ConfigValidationError[]) =>
+  log(
+    `Not reloading ${CONFIG_FILE}, keeping the current configuration:`,
+    errors.map(formatValidationError).join("; ")
+  );
+
+const doReload = async (force: boolean): Promise<ReloadResult> => {
+  let content: string;
+  try {
+    content = fs.readFileSync(CONFIG_FILE, "utf-8");
+  } catch (error: any) {
+    log(`Cannot read ${CONFIG_FILE}:`, error.message);
+    return {
+      success: false,
+      changed: true,
+      errors: [{ field: CONFIG_FILE, message: error.message, severity: "error" }],
+      restartRequired: [],
+    };
+  }
+  if (!force && content === currentContent) {
+    return { success: true, changed: false, errors: [], restartRequired: [] };
+  }
+
+  const result = validateConfigContent(content, CONFIG_FILE);
+  let config = result.config;
+  let errors = result.errors;
+  if (config !== undefined) {
+    config = withLegacySynapseConfig(config);
+    errors = [...validateConfig(config), ...checkListenAuth(config)];
+  }
+  if (config === undefined || hasErrors(errors)) {
+    logRejected(errors.filter((error) => error.severity === "error"));
+    return { success: false, changed: true, errors, restartRequired: [] };
+  }
+
+  const resolved = resolveConfigSecrets(config);
+  if (resolved.errors.length) {
+    logRejected(resolved.errors);
+    return {
+      success: false,
+      changed: true,
+      errors: resolved.errors,
+      restartRequired: [],
+    };
+  }
+  config = resolved.config;
+  const previous = currentConfig;
+  const restartRequired = RESTART_KEYS.filter(
+    (key) => JSON.stringify(previous?.[key]) !== JSON.stringify(config[key])
+  );
+  currentConfig = config;
+  currentContent = content;
+  for (const listener of listeners) {
+    try {
+      listener(config, previous);
+    } catch (error: any) {
+      log("Error while applying reloaded config:", error.message);
+    }
+  }
+  publishChanges(previous, config);
+  log(`Reloaded ${CONFIG_FILE}`);
+  errors.forEach((error) => log(formatValidationError(error)));
+  if (restartRequired.length) {
+    log(
+      `Changes to ${restartRequired.join(", ")} only take effect after restarting the service (ccr stop && ccr start)`
+    );
+  }
+  return { success: true, changed: true, errors, restartRequired };
+};
+
+/**
+ * Re-reads config.json and swaps it in if it is valid. Concurrent calls share
+ * one reload. `force` reloads even when the file content is unchanged.
+ */
+export const reloadConfig = (force = false): Promise<ReloadResult> => {
+  if (!reloading) {
+    reloading = doReload(force).finally(() => {
+      reloading = null;
+    });
+  }
+  return reloading;
+};
+
+// Watches the config directory rather than the file, since editors often
+// save by writing a new file and renaming it over the old one
+export const watchConfigFile = () => {
+  const fileName = path.basename(CONFIG_FILE);
+  let timer: NodeJS.Timeout | null = null;
+  try {
+    const watcher = fs.watch(path.dirname(CONFIG_FILE), (_event, changed) => {
+      if (changed && changed.toString() !== fileName) {
+        return;
+      }
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        log("config.json changed, reloading");
+        reloadConfig().catch((error) =>
+          log("Failed to reload config:", error.message)
+        );
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.unref();
+    return watcher;
+  } catch (error: any) {
+    log(`Cannot watch ${CONFIG_FILE}, use \`ccr reload\` instead:`, error.message);
+    return null;
+  }
+};
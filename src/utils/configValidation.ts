@@ -0,0 +1,1030 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG_FILE, PROJECT_CONFIG_FILE } from "../constants";
+import { ConfigValidationError } from "../types/synapse-types";
+import { toTargets } from "./rules";
+import { resolveCustomRouterPath } from "./customRouter";
+import { checkSecretReference, isSecretReference } from "./secrets";
+import { CLIENT_KEY_SCOPES } from "./clientKeys";
+import { DEFAULT_EXCHANGE_RATES } from "./pricing";
+
+export interface ConfigValidationResult {
+  valid: boolean;
+  errors: ConfigValidationError[];
+  config?: any;
+}
+
+// Router keys holding a "provider,model" target or a list of them
+const ROUTER_TARGET_KEYS = [
+  "default",
+  "background",
+  "think",
+  "longContext",
+  "image",
+  "coder",
+  "tool",
+  "fast",
+];
+
+const isObject = (value: any) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+const isValidRegex = (pattern: string) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isValidUrl = (value: string) => {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// "Unexpected token } in JSON at position 42" -> "line 3, column 7"
+export const describeJsonError = (content: string, error: Error) => {
+  const position = Number(/at position (\d+)/.exec(error.message)?.[1]);
+  if (Number.isNaN(position)) {
+    return error.message;
+  }
+  const lines = content.slice(0, position).split("\n");
+  const column = lines[lines.length - 1].length + 1;
+  return `${error.message.replace(/ in JSON at position \d+.*/, "")} at line ${lines.length}, column ${column}`;
+};
+
+const validateTransformerUse = (
+  use: any,
+  field: string,
+  errors: ConfigValidationError[]
+) => {
+  if (!Array.isArray(use)) {
+    errors.push({ field, message: "must be an array", severity: "error" });
+    return;
+  }
+  use.forEach((entry: any, index: number) => {
+    const entryField = `${field}[${index}]`;
+    if (typeof entry === "string") {
+      if (!entry) {
+        errors.push({
+          field: entryField,
+          message: "transformer name must not be empty",
+          severity: "error",
+        });
+      }
+      return;
+    }
+    if (
+      !Array.isArray(entry) ||
+      typeof entry[0] !== "string" ||
+      entry.length > 2 ||
+      (entry.length === 2 && !isObject(entry[1]))
+    ) {
+      errors.push({
+        field: entryField,
+        message:
+          'must be a transformer name or a ["name", { ...options }] pair',
+        severity: "error",
+      });
+    }
+  });
+};
+
+const validateApiKey = (
+  key: any,
+  field: string,
+  errors: ConfigValidationError[]
+) => {
+  if (typeof key !== "string" || !key) {
+    errors.push({
+      field,
+      message: "must be a non-empty string",
+      severity: "error",
+    });
+    return;
+  }
+  if (!isSecretReference(key)) {
+    return;
+  }
+  // the value itself is only read by the server, see resolveConfigSecrets
+  const problem = checkSecretReference(key);
+  if (problem) {
+    errors.push({
+      field,
+      message: `cannot resolve ${key}: ${problem}`,
+      severity: "error",
+    });
+  }
+};
+
+const validateRateLimitRule = (
+  rule: any,
+  field: string,
+  errors: ConfigValidationError[]
+) => {
+  if (!isObject(rule)) {
+    errors.push({ field, message: "must be an object", severity: "error" });
+    return;
+  }
+  for (const key of ["requestsPerMinute", "burstLimit"]) {
+    const value = rule[key];
+    if (value !== undefined && (typeof value !== "number" || value <= 0)) {
+      errors.push({
+        field: `${field}.${key}`,
+        message: "must be a positive number",
+        severity: "error",
+      });
+    }
+  }
+};
+
+const validateRateLimiting = (
+  rateLimiting: any,
+  errors: ConfigValidationError[]
+) => {
+  const field = "Security.rateLimiting";
+  validateRateLimitRule(rateLimiting, field, errors);
+  if (!isObject(rateLimiting)) {
+    return;
+  }
+  if (
+    rateLimiting.mode !== undefined &&
+    !["reject", "queue"].includes(rateLimiting.mode)
+  ) {
+    errors.push({
+      field: `${field}.mode`,
+      message: 'must be "reject" or "queue"',
+      severity: "error",
+    });
+  }
+  if (
+    rateLimiting.maxQueueMs !== undefined &&
+    (typeof rateLimiting.maxQueueMs !== "number" || rateLimiting.maxQueueMs < 0)
+  ) {
+    errors.push({
+      field: `${field}.maxQueueMs`,
+      message: "must be a non-negative number",
+      severity: "error",
+    });
+  }
+  for (const scope of ["client", "project", "provider"]) {
+    if (rateLimiting[scope] !== undefined && rateLimiting[scope] !== false) {
+      validateRateLimitRule(rateLimiting[scope], `${field}.${scope}`, errors);
+    }
+  }
+};
+
+const validateAlerting = (alerting: any, errors: ConfigValidationError[]) => {
+  const field = "Monitoring.alerting";
+  if (!isObject(alerting)) {
+    errors.push({ field, message: "must be an object", severity: "error" });
+    return;
+  }
+  if (alerting.enabled !== undefined && typeof alerting.enabled !== "boolean") {
+    errors.push({ field: `${field}.enabled`, message: "must be a boolean", severity: "error" });
+  }
+  const thresholds = alerting.thresholds;
+  if (thresholds !== undefined && !isObject(thresholds)) {
+    errors.push({ field: `${field}.thresholds`, message: "must be an object", severity: "error" });
+  } else if (thresholds) {
+    for (const key of ["errorRate", "budgetUsage"]) {
+      const value = thresholds[key];
+      if (value !== undefined && (typeof value !== "number" || value <= 0 || value > 1)) {
+        errors.push({
+          field: `${field}.thresholds.${key}`,
+          message: "must be a number above 0 and at most 1",
+          severity: "error",
+        });
+      }
+    }
+    if (
+      thresholds.avgLatency !== undefined &&
+      (typeof thresholds.avgLatency !== "number" || thresholds.avgLatency <= 0)
+    ) {
+      errors.push({
+        field: `${field}.thresholds.avgLatency`,
+        message: "must be a positive number of milliseconds",
+        severity: "error",
+      });
+    }
+  }
+  if (alerting.webhooks !== undefined && !Array.isArray(alerting.webhooks)) {
+    errors.push({ field: `${field}.webhooks`, message: "must be an array of URLs", severity: "error" });
+  }
+  const webhooks: [string, any][] = [];
+  if (alerting.webhookUrl !== undefined) {
+    webhooks.push([`${field}.webhookUrl`, alerting.webhookUrl]);
+  }
+  if (Array.isArray(alerting.webhooks)) {
+    alerting.webhooks.forEach((url: any, index: number) => webhooks.push([`${field}.webhooks[${index}]`, url]));
+  }
+  for (const [name, url] of webhooks) {
+    if (typeof url !== "string" || (!isSecretReference(url) && !/^https?:\/\/\S+$/.test(url))) {
+      errors.push({
+        field: name,
+        message: "must be an http(s) URL or a secret reference",
+        severity: "error",
+      });
+    } else if (isSecretReference(url)) {
+      validateApiKey(url, name, errors);
+    }
+  }
+  for (const key of ["windowMs", "minRequests", "cooldownMs"]) {
+    const value = alerting[key];
+    if (value !== undefined && (typeof value !== "number" || value < (key === "cooldownMs" ? 0 : 1))) {
+      errors.push({
+        field: `${field}.${key}`,
+        message: key === "cooldownMs" ? "must be a non-negative number" : "must be a positive number",
+        severity: "error",
+      });
+    }
+  }
+  if (alerting.emailNotifications !== undefined) {
+    errors.push({
+      field: `${field}.emailNotifications`,
+      message: "is not supported, alerts are only sent to webhooks",
+      severity: "warning",
+    });
+  }
+  if (alerting.enabled && !webhooks.length) {
+    errors.push({
+      field,
+      message: "has no webhookUrl or webhooks, alerts are only logged and listed at /api/synapse/alerts",
+      severity: "warning",
+    });
+  }
+};
+
+const validateCostLimits = (
+  costLimits: any,
+  providers: any[],
+  errors: ConfigValidationError[]
+) => {
+  if (!isObject(costLimits)) {
+    errors.push({ field: "CostLimits", message: "must be an object", severity: "error" });
+    return;
+  }
+  for (const scope of ["global", "perProject", "perAgent"]) {
+    const limits = costLimits[scope];
+    if (limits === undefined) continue;
+    if (!isObject(limits)) {
+      errors.push({
+        field: `CostLimits.${scope}`,
+        message: "must be an object with daily and/or monthly limits",
+        severity: "error",
+      });
+      continue;
+    }
+    for (const period of ["daily", "monthly"]) {
+      const limit = limits[period];
+      if (limit !== undefined && (typeof limit !== "number" || limit < 0)) {
+        errors.push({
+          field: `CostLimits.${scope}.${period}`,
+          message: "must be a non-negative number",
+          severity: "error",
+        });
+      }
+    }
+  }
+  const { downgradeAt, downgradeTo } = costLimits;
+  if (
+    downgradeAt !== undefined &&
+    (typeof downgradeAt !== "number" || downgradeAt <= 0 || downgradeAt > 1)
+  ) {
+    errors.push({
+      field: "CostLimits.downgradeAt",
+      message: "must be a number between 0 and 1",
+      severity: "error",
+    });
+  }
+  if (downgradeTo !== undefined) {
+    validateRouteTarget(downgradeTo, "CostLimits.downgradeTo", providers, errors);
+  }
+};
+
+const validatePricing = (pricing: any, errors: ConfigValidationError[]) => {
+  if (!isObject(pricing)) {
+    errors.push({ field: "Pricing", message: "must be an object", severity: "error" });
+    return;
+  }
+  const rates = pricing.exchangeRates ?? {};
+  if (!isObject(rates)) {
+    errors.push({
+      field: "Pricing.exchangeRates",
+      message: 'must map currencies to USD rates, e.g. { "CNY": 0.14 }',
+      severity: "error",
+    });
+  } else {
+    for (const [currency, rate] of Object.entries<any>(rates)) {
+      if (typeof rate !== "number" || rate <= 0) {
+        errors.push({
+          field: `Pricing.exchangeRates.${currency}`,
+          message: "must be a positive number",
+          severity: "error",
+        });
+      }
+    }
+  }
+  if (pricing.prices === undefined) return;
+  if (!isObject(pricing.prices)) {
+    errors.push({ field: "Pricing.prices", message: "must be an object", severity: "error" });
+    return;
+  }
+  for (const [target, price] of Object.entries<any>(pricing.prices)) {
+    const field = `Pricing.prices["${target}"]`;
+    if (!isObject(price)) {
+      errors.push({ field, message: "must be an object", severity: "error" });
+      continue;
+    }
+    for (const key of ["input", "output", "cacheRead", "cacheWrite"]) {
+      const value = price[key];
+      const required = key === "input" || key === "output";
+      if (value === undefined && !required) continue;
+      if (typeof value !== "number" || value < 0) {
+        errors.push({
+          field: `${field}.${key}`,
+          message: "must be a non-negative price per million tokens",
+          severity: "error",
+        });
+      }
+    }
+    const currency = price.currency;
+    if (currency === undefined || currency === "USD") continue;
+    if (typeof currency !== "string" || !/^[A-Z]{3}$/.test(currency)) {
+      errors.push({
+        field: `${field}.currency`,
+        message: "must be an ISO 4217 code such as USD or CNY",
+        severity: "error",
+      });
+    } else if (!isObject(rates) || (rates[currency] === undefined && !DEFAULT_EXCHANGE_RATES[currency])) {
+      errors.push({
+        field: `${field}.currency`,
+        message: `no exchange rate for ${currency} in Pricing.exchangeRates, its cost will count as 0 USD`,
+        severity: "warning",
+      });
+    }
+  }
+};
+
+const validateProviders = (
+  providers: any,
+  errors: ConfigValidationError[]
+) => {
+  if (!Array.isArray(providers)) {
+    errors.push({
+      field: "Providers",
+      message: "must be an array of providers",
+      severity: "error",
+    });
+    return;
+  }
+  const seen = new Map<string, number>();
+  providers.forEach((provider: any, index: number) => {
+    const field = `Providers[${index}]`;
+    if (!isObject(provider)) {
+      errors.push({ field, message: "must be an object", severity: "error" });
+      return;
+    }
+    if (typeof provider.name !== "string" || !provider.name) {
+      errors.push({
+        field: `${field}.name`,
+        message: "is required",
+        severity: "error",
+      });
+    } else if (provider.name.includes(",") || provider.name.includes("@")) {
+      errors.push({
+        field: `${field}.name`,
+        message: `"${provider.name}" must not contain "," or "@"`,
+        severity: "error",
+      });
+    } else if (seen.has(provider.name)) {
+      errors.push({
+        field: `${field}.name`,
+        message: `duplicate provider name "${provider.name}" (also used by Providers[${seen.get(provider.name)}])`,
+        severity: "error",
+      });
+    } else {
+      seen.set(provider.name, index);
+    }
+    if (typeof provider.api_base_url !== "string" || !provider.api_base_url) {
+      errors.push({
+        field: `${field}.api_base_url`,
+        message: "is required",
+        severity: "error",
+      });
+    } else if (!isValidUrl(provider.api_base_url)) {
+      errors.push({
+        field: `${field}.api_base_url`,
+        message: `"${provider.api_base_url}" is not a valid URL`,
+        severity: "error",
+      });
+    }
+    if (
+      provider.api_key === undefined ||
+      provider.api_key === "" ||
+      (Array.isArray(provider.api_key) && !provider.api_key.length)
+    ) {
+      errors.push({
+        field: `${field}.api_key`,
+        message: "is not set",
+        severity: "warning",
+      });
+    } else if (Array.isArray(provider.api_key)) {
+      provider.api_key.forEach((key: any, keyIndex: number) =>
+        validateApiKey(key, `${field}.api_key[${keyIndex}]`, errors)
+      );
+    } else {
+      validateApiKey(provider.api_key, `${field}.api_key`, errors);
+    }
+    if (
+      !Array.isArray(provider.models) ||
+      provider.models.some((model: any) => typeof model !== "string")
+    ) {
+      errors.push({
+        field: `${field}.models`,
+        message: "must be an array of model names",
+        severity: "error",
+      });
+    } else if (!provider.models.length) {
+      errors.push({
+        field: `${field}.models`,
+        message: "is empty, nothing can be routed to this provider",
+        severity: "warning",
+      });
+    }
+    if (provider.rateLimit !== undefined) {
+      validateRateLimitRule(provider.rateLimit, `${field}.rateLimit`, errors);
+    }
+    if (provider.transformer === undefined) {
+      return;
+    }
+    if (!isObject(provider.transformer)) {
+      errors.push({
+        field: `${field}.transformer`,
+        message: "must be an object",
+        severity: "error",
+      });
+      return;
+    }
+    for (const [key, value] of Object.entries<any>(provider.transformer)) {
+      if (key === "use") {
+        validateTransformerUse(value, `${field}.transformer.use`, errors);
+        continue;
+      }
+      // any other key is a model name with its own transformer list
+      const modelField = `${field}.transformer.${key}`;
+      if (!isObject(value) || value.use === undefined) {
+        errors.push({
+          field: modelField,
+          message: 'must be an object with a "use" array',
+          severity: "error",
+        });
+        continue;
+      }
+      validateTransformerUse(value.use, `${modelField}.use`, errors);
+      if (Array.isArray(provider.models) && !provider.models.includes(key)) {
+        errors.push({
+          field: modelField,
+          message: `model "${key}" is not listed in ${field}.models`,
+          severity: "warning",
+        });
+      }
+    }
+  });
+};
+
+const validateTarget = (
+  target: any,
+  field: string,
+  providers: any[],
+  errors: ConfigValidationError[]
+) => {
+  if (typeof target !== "string" || !target.includes(",")) {
+    errors.push({
+      field,
+      message: `${JSON.stringify(target)} must be in the form "provider,model"`,
+      severity: "error",
+    });
+    return;
+  }
+  const [providerName, ...rest] = target.split(",");
+  const model = rest.join(",");
+  const provider = providers.find((item) => item?.name === providerName);
+  if (!provider) {
+    errors.push({
+      field,
+      message: `unknown provider "${providerName}"`,
+      severity: "error",
+    });
+  } else if (
+    Array.isArray(provider.models) &&
+    !provider.models.includes(model)
+  ) {
+    errors.push({
+      field,
+      message: `model "${model}" is not listed in the models of provider "${providerName}"`,
+      severity: "error",
+    });
+  }
+};
+
+const validateRouteTarget = (
+  value: any,
+  field: string,
+  providers: any[],
+  errors: ConfigValidationError[]
+) => {
+  if (Array.isArray(value)) {
+    if (!value.length) {
+      errors.push({ field, message: "must not be empty", severity: "error" });
+    }
+    value.forEach((target, index) =>
+      validateTarget(target, `${field}[${index}]`, providers, errors)
+    );
+  } else {
+    validateTarget(value, field, providers, errors);
+  }
+};
+
+const validateRules = (
+  rules: any,
+  providers: any[],
+  errors: ConfigValidationError[]
+) => {
+  if (!Array.isArray(rules)) {
+    errors.push({
+      field: "Router.rules",
+      message: "must be an array",
+      severity: "error",
+    });
+    return;
+  }
+  rules.forEach((rule: any, index: number) => {
+    const field = `Router.rules[${index}]`;
+    if (!isObject(rule)) {
+      errors.push({ field, message: "must be an object", severity: "error" });
+      return;
+    }
+    if (rule.route === undefined) {
+      errors.push({
+        field: `${field}.route`,
+        message: "is required",
+        severity: "error",
+      });
+    } else {
+      validateRouteTarget(rule.route, `${field}.route`, providers, errors);
+    }
+    if (rule.model !== undefined && !isValidRegex(rule.model)) {
+      errors.push({
+        field: `${field}.model`,
+        message: `invalid regular expression ${JSON.stringify(rule.model)}`,
+        severity: "error",
+      });
+    }
+    for (const [name, pattern] of Object.entries<any>(rule.headers || {})) {
+      if (typeof pattern !== "string" || !isValidRegex(pattern)) {
+        errors.push({
+          field: `${field}.headers.${name}`,
+          message: `invalid regular expression ${JSON.stringify(pattern)}`,
+          severity: "error",
+        });
+      }
+    }
+    if (
+      rule.tokens !== undefined &&
+      (!isObject(rule.tokens) ||
+        (rule.tokens.min !== undefined && typeof rule.tokens.min !== "number") ||
+        (rule.tokens.max !== undefined && typeof rule.tokens.max !== "number"))
+    ) {
+      errors.push({
+        field: `${field}.tokens`,
+        message: "must be { min?: number, max?: number }",
+        severity: "error",
+      });
+    }
+  });
+};
+
+const validateRouter = (
+  router: any,
+  providers: any[],
+  errors: ConfigValidationError[]
+) => {
+  if (!isObject(router)) {
+    errors.push({
+      field: "Router",
+      message: "must be an object",
+      severity: "error",
+    });
+    return;
+  }
+  if (!toTargets(router.default).length) {
+    errors.push({
+      field: "Router.default",
+      message: "is required",
+      severity: "error",
+    });
+  }
+  for (const key of ROUTER_TARGET_KEYS) {
+    if (router[key] !== undefined && router[key] !== "") {
+      validateRouteTarget(router[key], `Router.${key}`, providers, errors);
+    }
+  }
+  if (router.imageDescriber !== undefined) {
+    validateTarget(
+      router.imageDescriber,
+      "Router.imageDescriber",
+      providers,
+      errors
+    );
+  }
+  if (
+    router.imageFallback !== undefined &&
+    !["placeholder", "describe"].includes(router.imageFallback)
+  ) {
+    errors.push({
+      field: "Router.imageFallback",
+      message: 'must be "placeholder" or "describe"',
+      severity: "error",
+    });
+  }
+  if (router.imageFallback === "describe" && !router.imageDescriber) {
+    errors.push({
+      field: "Router.imageDescriber",
+      message: 'is required when imageFallback is "describe"',
+      severity: "error",
+    });
+  }
+  if (router.rules !== undefined) {
+    validateRules(router.rules, providers, errors);
+  }
+};
+
+const validateProjects = (projects: any, errors: ConfigValidationError[]) => {
+  if (!isObject(projects)) {
+    errors.push({
+      field: "Projects",
+      message: "must be an object mapping project names to directories",
+      severity: "error",
+    });
+    return;
+  }
+  for (const [name, dir] of Object.entries<any>(projects)) {
+    const field = `Projects["${name}"]`;
+    if (typeof dir !== "string" || !path.isAbsolute(dir)) {
+      errors.push({ field, message: "must be an absolute directory path", severity: "error" });
+    } else if (!fs.existsSync(path.join(dir, PROJECT_CONFIG_FILE))) {
+      errors.push({
+        field,
+        message: `${dir} has no ${PROJECT_CONFIG_FILE}`,
+        severity: "warning",
+      });
+    }
+  }
+};
+
+const validateModels = (
+  models: any,
+  providers: any[],
+  errors: ConfigValidationError[]
+) => {
+  if (!isObject(models)) {
+    errors.push({
+      field: "Models",
+      message: "must be an object keyed by provider,model",
+      severity: "error",
+    });
+    return;
+  }
+  for (const [target, entry] of Object.entries<any>(models)) {
+    const field = `Models["${target}"]`;
+    const [providerName] = target.split(",");
+    if (!target.includes(",")) {
+      errors.push({
+        field,
+        message: 'key must be in the form "provider,model"',
+        severity: "error",
+      });
+    } else if (!providers.some((provider) => provider?.name === providerName)) {
+      errors.push({
+        field,
+        message: `unknown provider "${providerName}"`,
+        severity: "warning",
+      });
+    }
+    if (
+      entry?.contextWindow !== undefined &&
+      (typeof entry.contextWindow !== "number" || entry.contextWindow <= 0)
+    ) {
+      errors.push({
+        field: `${field}.contextWindow`,
+        message: "must be a positive number",
+        severity: "error",
+      });
+    }
+  }
+};
+
+const validateCustomRouterPath = (value: any, errors: ConfigValidationError[]) => {
+  if (typeof value !== "string") {
+    errors.push({
+      field: "CUSTOM_ROUTER_PATH",
+      message: "must be a string",
+      severity: "error",
+    });
+    return;
+  }
+  const resolved = resolveCustomRouterPath(value);
+  if (!fs.existsSync(resolved)) {
+    errors.push({
+      field: "CUSTOM_ROUTER_PATH",
+      message: `${resolved} does not exist`,
+      severity: "warning",
+    });
+  }
+};
+
+const validateClientKeys = (
+  clientKeys: any,
+  providers: any[],
+  errors: ConfigValidationError[]
+) => {
+  if (!Array.isArray(clientKeys)) {
+    errors.push({
+      field: "ClientKeys",
+      message: "must be an array",
+      severity: "error",
+    });
+    return;
+  }
+  const names = new Set<string>();
+  clientKeys.forEach((clientKey: any, index: number) => {
+    const field = `ClientKeys[${index}]`;
+    if (!isObject(clientKey)) {
+      errors.push({ field, message: "must be an object", severity: "error" });
+      return;
+    }
+    if (typeof clientKey.name !== "string" || !clientKey.name) {
+      errors.push({ field: `${field}.name`, message: "is required", severity: "error" });
+    } else if (names.has(clientKey.name)) {
+      errors.push({
+        field: `${field}.name`,
+        message: `duplicate client key name "${clientKey.name}"`,
+        severity: "error",
+      });
+    } else {
+      names.add(clientKey.name);
+    }
+    if (!/^[0-9a-f]{64}$/.test(clientKey.keyHash || "")) {
+      errors.push({
+        field: `${field}.keyHash`,
+        message: "must be a SHA-256 hex digest, create keys with `ccr keys create`",
+        severity: "error",
+      });
+    }
+    for (const [scopeIndex, scope] of (clientKey.scopes || []).entries()) {
+      if (!CLIENT_KEY_SCOPES.includes(scope)) {
+        errors.push({
+          field: `${field}.scopes[${scopeIndex}]`,
+          message: `must be one of ${CLIENT_KEY_SCOPES.join(", ")}`,
+          severity: "error",
+        });
+      }
+    }
+    for (const [providerIndex, name] of (clientKey.providers || []).entries()) {
+      if (!providers.some((provider) => provider?.name === name)) {
+        errors.push({
+          field: `${field}.providers[${providerIndex}]`,
+          message: `unknown provider "${name}"`,
+          severity: "warning",
+        });
+      }
+    }
+    if (
+      clientKey.expiresAt !== undefined &&
+      Number.isNaN(Date.parse(clientKey.expiresAt))
+    ) {
+      errors.push({
+        field: `${field}.expiresAt`,
+        message: "must be an ISO date",
+        severity: "error",
+      });
+    }
+    for (const period of ["daily", "monthly"]) {
+      const limit = clientKey.budget?.[period];
+      if (limit !== undefined && (typeof limit !== "number" || limit < 0)) {
+        errors.push({
+          field: `${field}.budget.${period}`,
+          message: "must be a non-negative number",
+          severity: "error",
+        });
+      }
+    }
+    if (clientKey.rateLimit !== undefined) {
+      validateRateLimitRule(clientKey.rateLimit, `${field}.rateLimit`, errors);
+    }
+  });
+};
+
+/**
+ * Checks a parsed config.json. Every problem is reported with the path of the
+ * offending field; only `error` severity entries make the config unusable.
+ */
+export const validateConfig = (config: any): ConfigValidationError[] => {
+  const errors: ConfigValidationError[] = [];
+  if (!isObject(config)) {
+    return [
+      { field: "(root)", message: "must be a JSON object", severity: "error" },
+    ];
+  }
+  validateProviders(config.Providers, errors);
+  const providers = Array.isArray(config.Providers) ? config.Providers : [];
+  validateRouter(config.Router, providers, errors);
+  if (config.Projects !== undefined) {
+    validateProjects(config.Projects, errors);
+  }
+  if (config.Models !== undefined) {
+    validateModels(config.Models, providers, errors);
+  }
+  if (config.ClientKeys !== undefined) {
+    validateClientKeys(config.ClientKeys, providers, errors);
+  }
+  if (config.CUSTOM_ROUTER_PATH) {
+    validateCustomRouterPath(config.CUSTOM_ROUTER_PATH, errors);
+  }
+  const strategy = config.Security?.apiKeyRotation?.strategy;
+  if (
+    strategy !== undefined &&
+    !["round_robin", "least_recently_limited"].includes(strategy)
+  ) {
+    errors.push({
+      field: "Security.apiKeyRotation.strategy",
+      message: 'must be "round_robin" or "least_recently_limited"',
+      severity: "error",
+    });
+  }
+  if (config.CostLimits !== undefined) {
+    validateCostLimits(config.CostLimits, providers, errors);
+  }
+  if (config.Usage !== undefined) {
+    if (!isObject(config.Usage)) {
+      errors.push({ field: "Usage", message: "must be an object", severity: "error" });
+    } else {
+      for (const key of ["retentionDays", "rollupRetentionDays"]) {
+        const value = config.Usage[key];
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+          errors.push({
+            field: `Usage.${key}`,
+            message: "must be a whole number of days, 0 keeps everything",
+            severity: "error",
+          });
+        }
+      }
+    }
+  }
+  if (config.Pricing !== undefined) {
+    validatePricing(config.Pricing, errors);
+  }
+  const metricsConfig = config.Monitoring?.metrics;
+  if (metricsConfig !== undefined) {
+    if (!isObject(metricsConfig)) {
+      errors.push({ field: "Monitoring.metrics", message: "must be an object", severity: "error" });
+    } else {
+      for (const key of ["enabled", "public"]) {
+        if (metricsConfig[key] !== undefined && typeof metricsConfig[key] !== "boolean") {
+          errors.push({ field: `Monitoring.metrics.${key}`, message: "must be a boolean", severity: "error" });
+        }
+      }
+      if (metricsConfig.token !== undefined) {
+        validateApiKey(metricsConfig.token, "Monitoring.metrics.token", errors);
+      }
+      if (metricsConfig.public && metricsConfig.token) {
+        errors.push({
+          field: "Monitoring.metrics.public",
+          message: "makes the token unused, /metrics is open to anyone who can reach the service",
+          severity: "warning",
+        });
+      }
+    }
+  }
+  const tracingConfig = config.Monitoring?.tracing;
+  if (tracingConfig !== undefined) {
+    if (!isObject(tracingConfig)) {
+      errors.push({ field: "Monitoring.tracing", message: "must be an object", severity: "error" });
+    } else {
+      if (tracingConfig.enabled !== undefined && typeof tracingConfig.enabled !== "boolean") {
+        errors.push({ field: "Monitoring.tracing.enabled", message: "must be a boolean", severity: "error" });
+      }
+      if (tracingConfig.endpoint !== undefined && !/^https?:\/\/\S+$/.test(String(tracingConfig.endpoint))) {
+        errors.push({
+          field: "Monitoring.tracing.endpoint",
+          message: "must be an http(s) URL of an OTLP/HTTP collector",
+          severity: "error",
+        });
+      }
+      if (
+        tracingConfig.headers !== undefined &&
+        (!isObject(tracingConfig.headers) ||
+          Object.values(tracingConfig.headers).some((value) => typeof value !== "string"))
+      ) {
+        errors.push({
+          field: "Monitoring.tracing.headers",
+          message: "must be an object of string header values",
+          severity: "error",
+        });
+      }
+      if (tracingConfig.serviceName !== undefined && (typeof tracingConfig.serviceName !== "string" || !tracingConfig.serviceName)) {
+        errors.push({ field: "Monitoring.tracing.serviceName", message: "must be a non-empty string", severity: "error" });
+      }
+      const ratio = tracingConfig.sampleRatio;
+      if (ratio !== undefined && (typeof ratio !== "number" || ratio < 0 || ratio > 1)) {
+        errors.push({ field: "Monitoring.tracing.sampleRatio", message: "must be a number from 0 to 1", severity: "error" });
+      }
+    }
+  }
+  if (config.Monitoring?.alerting !== undefined) {
+    validateAlerting(config.Monitoring.alerting, errors);
+  }
+  if (config.Security?.rateLimiting !== undefined) {
+    validateRateLimiting(config.Security.rateLimiting, errors);
+  }
+  if (config.HOST !== undefined && typeof config.HOST !== "string") {
+    errors.push({ field: "HOST", message: "must be a string", severity: "error" });
+  }
+  if (config.APIKEY !== undefined && typeof config.APIKEY !== "string") {
+    errors.push({ field: "APIKEY", message: "must be a string", severity: "error" });
+  }
+  if (config.LOG !== undefined && typeof config.LOG !== "boolean") {
+    errors.push({ field: "LOG", message: "must be a boolean", severity: "warning" });
+  }
+  if (config.transformers !== undefined) {
+    if (!Array.isArray(config.transformers)) {
+      errors.push({
+        field: "transformers",
+        message: "must be an array",
+        severity: "error",
+      });
+    } else {
+      config.transformers.forEach((transformer: any, index: number) => {
+        if (typeof transformer?.path !== "string") {
+          errors.push({
+            field: `transformers[${index}].path`,
+            message: "is required",
+            severity: "error",
+          });
+        }
+      });
+    }
+  }
+  return errors;
+};
+
+export const hasErrors = (errors: ConfigValidationError[]) =>
+  errors.some((error) => error.severity === "error");
+
+export const formatValidationError = (error: ConfigValidationError) =>
+  `${error.severity === "error" ? "❌" : error.severity === "warning" ? "⚠️" : "ℹ️"} ${error.field}: ${error.message}`;
+
+// Reads, parses and validates a config file without ever prompting
+export const validateConfigFile = (
+  file: string = CONFIG_FILE
+): ConfigValidationResult => {
+  let content: string;
+  try {
+    content = fs.readFileSync(file, "utf-8");
+  } catch (error: any) {
+    return {
+      valid: false,
+      errors: [{ field: file, message: error.message, severity: "error" }],
+    };
+  }
+  return validateConfigContent(content, file);
+};
+
+export const validateConfigContent = (
+  content: string,
+  file: string = CONFIG_FILE
+): ConfigValidationResult => {
+  let config: any;
+  try {
+    config = JSON.parse(content);
+  } catch (error: any) {
+    return {
+      valid: false,
+      errors: [
+        {
+          field: file,
+          message: `invalid JSON: ${describeJsonError(content, error)}`,
+          severity: "error",
+        },
+      ],
+    };
+  }
+  const errors = validateConfig(config);
+  return { valid: !hasErrors(errors), errors, config };
+};
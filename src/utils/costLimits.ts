@@ -0,0 +1,178 @@
+import { SpendScope, usageTracker } from "../middleware/usage-tracking";
+import { SynapseContext } from "../middleware/synapse-context";
+import { toTargets } from "./rules";
+
+export type BudgetPeriod = "daily" | "monthly";
+
+// "header" is the x-synapse-cost-limits a caller sent for its own traffic
+export type BudgetScope = "global" | "project" | "agent" | "header";
+
+export type BudgetState = "ok" | "downgrade" | "exceeded";
+
+export interface BudgetStatus {
+  scope: BudgetScope;
+  // project or agent id, absent for the global budget
+  name?: string;
+  period: BudgetPeriod;
+  limit: number;
+  spent: number;
+  // spent / limit
+  used: number;
+  state: BudgetState;
+}
+
+export interface CostLimitCheck {
+  action: "allow" | "downgrade" | "reject";
+  // the budget that decided the action
+  status?: BudgetStatus;
+  // where to send the request when action is "downgrade"
+  target?: string;
+  message?: string;
+}
+
+const PERIODS: BudgetPeriod[] = ["daily", "monthly"];
+
+const DEFAULT_DOWNGRADE_AT = 0.8;
+
+// The x-synapse-cost-limits header is JSON like {"daily": 5}
+export const parseCostLimitsHeader = (
+  value: string | undefined
+): { daily?: number; monthly?: number } | undefined => {
+  if (!value) return undefined;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+// First target of CostLimits.downgradeTo, falling back to Router.background,
+// the route ccr already uses for cheap requests
+export const getDowngradeTarget = (config: any): string | undefined =>
+  toTargets(config?.CostLimits?.downgradeTo ?? config?.Router?.background)[0];
+
+const describeScope = (status: BudgetStatus) => {
+  const scope =
+    status.scope === "header" ? "x-synapse-cost-limits" : status.scope;
+  return status.name ? `${scope} "${status.name}"` : scope;
+};
+
+export const describeBudget = (status: BudgetStatus) =>
+  `${describeScope(status)} ${status.period} budget ($${status.spent.toFixed(
+    2
+  )} of $${status.limit})`;
+
+interface BudgetRule {
+  scope: BudgetScope;
+  name?: string;
+  limits?: { daily?: number; monthly?: number };
+  // whose running spend the limits are checked against
+  spend: [SpendScope, string?];
+}
+
+// Budgets that apply to a request with this context. perProject and perAgent
+// apply to every project and agent on its own.
+const getBudgetRules = (
+  config: any,
+  context: Partial<SynapseContext> = {}
+): BudgetRule[] => {
+  const costLimits = config?.CostLimits || {};
+  const rules: BudgetRule[] = [
+    { scope: "global", limits: costLimits.global, spend: ["global"] },
+  ];
+  const { projectId, agentId } = context;
+  if (projectId) {
+    rules.push({
+      scope: "project",
+      name: projectId,
+      limits: costLimits.perProject,
+      spend: ["project", projectId],
+    });
+  }
+  if (agentId) {
+    rules.push({
+      scope: "agent",
+      name: agentId,
+      limits: costLimits.perAgent,
+      spend: ["agent", agentId],
+    });
+  }
+  if (context.costLimits) {
+    rules.push({
+      scope: "header",
+      name: projectId || agentId,
+      limits: context.costLimits,
+      spend: projectId
+        ? ["project", projectId]
+        : agentId
+        ? ["agent", agentId]
+        : ["global"],
+    });
+  }
+  return rules.filter((rule) => rule.limits);
+};
+
+/**
+ * Spend against every budget that applies to the context, from the running
+ * totals of the current UTC day and month.
+ */
+export const getBudgetStatus = async (
+  config: any,
+  context: Partial<SynapseContext> = {}
+): Promise<BudgetStatus[]> => {
+  const rules = getBudgetRules(config, context);
+  if (!rules.length) return [];
+  const downgradeAt = config?.CostLimits?.downgradeAt ?? DEFAULT_DOWNGRADE_AT;
+  const statuses: BudgetStatus[] = [];
+  for (const rule of rules) {
+    const spend = await usageTracker.getSpend(...rule.spend);
+    for (const period of PERIODS) {
+      const limit = rule.limits?.[period];
+      if (typeof limit !== "number") continue;
+      const spent = spend[period];
+      const used = limit > 0 ? spent / limit : 1;
+      statuses.push({
+        scope: rule.scope,
+        name: rule.name,
+        period,
+        limit,
+        spent,
+        used,
+        state: used >= 1 ? "exceeded" : used >= downgradeAt ? "downgrade" : "ok",
+      });
+    }
+  }
+  return statuses;
+};
+
+// Decides, before routing, whether spend allows the request as routed, on a
+// cheaper target, or not at all
+export const checkCostLimits = async (
+  config: any,
+  context: Partial<SynapseContext> = {}
+): Promise<CostLimitCheck> => {
+  if (config?.CostLimits?.enabled === false) {
+    return { action: "allow" };
+  }
+  const statuses = await getBudgetStatus(config, context);
+  const exceeded = statuses.find((status) => status.state === "exceeded");
+  if (exceeded) {
+    return {
+      action: "reject",
+      status: exceeded,
+      message: `Cost limit reached: ${describeBudget(exceeded)}`,
+    };
+  }
+  const nearLimit = statuses.find((status) => status.state === "downgrade");
+  const target = nearLimit && getDowngradeTarget(config);
+  if (nearLimit && target) {
+    return {
+      action: "downgrade",
+      status: nearLimit,
+      target,
+      message: `Near the ${describeBudget(nearLimit)}, using ${target}`,
+    };
+  }
+  return { action: "allow" };
+};
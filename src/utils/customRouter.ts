@@ -0,0 +1,78 @@
+import path from "node:path";
+import { PLUGINS_DIR } from "../constants";
+import { log } from "./log";
+
+export interface CustomRouterHelpers {
+  tokenCount: number;
+  synapseContext?: any;
+}
+
+export type CustomRouter = (
+  req: any,
+  config: any,
+  helpers: CustomRouterHelpers
+) => Promise<string | null | undefined> | string | null | undefined;
+
+let cachedPath: string | null = null;
+let cachedRouter: CustomRouter | null = null;
+
+export const resolveCustomRouterPath = (routerPath: string) => {
+  const expanded = routerPath.replace(
+    /\$HOME|^~/g,
+    process.env.HOME || process.env.USERPROFILE || ""
+  );
+  return path.isAbsolute(expanded)
+    ? expanded
+    : path.resolve(PLUGINS_DIR, expanded);
+};
+
+const loadCustomRouter = (routerPath: string): CustomRouter | null => {
+  const resolved = resolveCustomRouterPath(routerPath);
+  if (cachedPath === resolved) {
+    return cachedRouter;
+  }
+  cachedPath = resolved;
+  cachedRouter = null;
+  try {
+    const mod = require(resolved);
+    const fn = typeof mod === "function" ? mod : mod?.default;
+    if (typeof fn !== "function") {
+      log("Custom router does not export a function:", resolved);
+    } else {
+      cachedRouter = fn;
+    }
+  } catch (error: any) {
+    log("Failed to load custom router:", resolved, error.message);
+  }
+  return cachedRouter;
+};
+
+// Returns the "provider,model" chosen by the custom router, or null to fall
+// through to the built-in routing. Never throws.
+export const runCustomRouter = async (
+  req: any,
+  config: any,
+  helpers: CustomRouterHelpers
+): Promise<string | null> => {
+  if (!config.CUSTOM_ROUTER_PATH) {
+    return null;
+  }
+  const customRouter = loadCustomRouter(config.CUSTOM_ROUTER_PATH);
+  if (!customRouter) {
+    return null;
+  }
+  try {
+    const model = await customRouter(req, config, helpers);
+    if (!model) {
+      return null;
+    }
+    if (typeof model !== "string" || !model.includes(",")) {
+      log("Custom router returned an invalid target:", model);
+      return null;
+    }
+    return model;
+  } catch (error: any) {
+    log("Error in custom router:", error.message);
+    return null;
+  }
+};
@@ -1,8 +1,36 @@
 import { Request, Response } from 'express';
+import { Readable } from 'stream';
 import { SynapseContextMiddleware, SynapseContext } from '../middleware/synapse-context';
-import { UsageTracker } from '../middleware/usage-tracking';
-import { HealthMonitor, FallbackManager } from '../middleware/health-monitoring';
+import { UsageTracker, usageTracker } from '../middleware/usage-tracking';
+import { HealthMonitor, FallbackManager, fromRouterProviders } from '../middleware/health-monitoring';
 import { SynapseAPI } from '../api/synapse-endpoints';
+import { circuitBreakers } from '../middleware/circuit-breaker';
+import { keyPools } from '../middleware/key-pool';
+import { rateLimiters } from '../middleware/rate-limiter';
+import { metrics } from '../middleware/metrics';
+import { alerts } from '../middleware/alerting';
+import { ALL_EVENTS, EVENT_TYPES, events } from '../middleware/event-bus';
+import { SynapseEvent } from '../types/synapse-types';
+import { getBudgetStatus } from './costLimits';
+import { getCurrentConfig } from './configReload';
+import {
+  parseUsageFilters,
+  parseGroupBy,
+  parseBreakdownGroups,
+  groupUsage,
+  toCsvLine,
+  recordToCsvLine,
+  REPORT_COLUMNS,
+  RECORD_COLUMNS,
+  UsageQueryError
+} from './usageReport';
+
+// Tells EventSource clients how soon to reconnect, and keeps proxies from
+// closing an idle stream
+const SSE_RETRY_MS = 3000;
+const SSE_HEARTBEAT_MS = 15000;
+// A client this far behind is dropped rather than buffered without bound
+const SSE_MAX_BUFFERED = 1024 * 1024;
 
 export class EnhancedRouter {
   private synapseContext: SynapseContextMiddleware;
@@ -13,7 +41,7 @@ export class EnhancedRouter {
 
   constructor() {
     this.synapseContext = new SynapseContextMiddleware();
-    this.usageTracker = new UsageTracker();
+    this.usageTracker = usageTracker;
     this.healthMonitor = new HealthMonitor();
     this.fallbackManager = new FallbackManager(this.healthMonitor);
     this.synapseAPI = new SynapseAPI(this.healthMonitor, this.usageTracker);
@@ -86,16 +114,15 @@ export class EnhancedRouter {
   async handleHealthCheck(req: any, res: any): Promise<void> {
     try {
       console.log('Health check called');
-      const config = await this.synapseAPI.loadConfig();
-      console.log('Config loaded:', !!config);
       
-      if (config.monitoring && config.monitoring.healthChecks) {
-        await this.healthMonitor.checkAllProviders(config.providers);
+      // Results come from the scheduled probes; ?refresh=true probes right away
+      if (req.query?.refresh === 'true') {
+        await this.healthMonitor.checkAllProviders();
       }
       
       const health = this.healthMonitor.getOverallHealth();
       console.log('Health check result:', health);
-      return res.code(200).send({ success: true, health });
+      return res.code(200).send({ success: true, health, circuits: circuitBreakers.getAllStatus() });
     } catch (error: any) {
       console.error('Health check error:', error);
       return res.code(500).send({ 
@@ -108,17 +135,25 @@ export class EnhancedRouter {
 
   async handleUsageStats(req: any, res: any): Promise<void> {
     try {
-      const { projectId, agentId, timeRange } = req.query;
-      
-      const filters = {
-        projectId: projectId as string,
-        agentId: agentId as string,
-        timeRange: timeRange ? JSON.parse(timeRange as string) : undefined
-      };
+      const filters = parseUsageFilters(req.query);
+      const groups = parseBreakdownGroups(req.query.groupBy);
 
-      const usage = await this.usageTracker.getUsageStats(filters);
-      return res.code(200).send({ success: true, usage });
+      const report = await this.usageTracker.getUsageReport(filters, groups);
+      const budgets = await getBudgetStatus(getCurrentConfig(), {
+        projectId: filters.projectId,
+        agentId: filters.agentId
+      });
+      return res.code(200).send({
+        success: true,
+        ...report,
+        budgets,
+        keys: keyPools.getAllStatus(),
+        rateLimits: rateLimiters.getAllStatus()
+      });
     } catch (error: any) {
+      if (error instanceof UsageQueryError) {
+        return res.code(400).send({ success: false, error: error.message });
+      }
       return res.code(500).send({ 
         success: false, 
         error: 'Failed to get usage statistics',
@@ -127,6 +162,133 @@ export class EnhancedRouter {
     }
   }
 
+  /**
+   * Usage as CSV, JSONL or JSON. Without groupBy every record in range is
+   * sent, CSV and JSONL streamed as they are read; with groupBy one row per
+   * group, including days only kept as rollups.
+   */
+  async handleUsageExport(req: any, res: any): Promise<void> {
+    let filters, groupBy, format;
+    try {
+      filters = parseUsageFilters(req.query);
+      groupBy = parseGroupBy(req.query.groupBy);
+      format = req.query.format || 'jsonl';
+      if (!['csv', 'jsonl', 'json'].includes(format)) {
+        throw new UsageQueryError('format must be csv, jsonl or json');
+      }
+    } catch (error: any) {
+      return res.code(400).send({ success: false, error: error.message });
+    }
+
+    try {
+      if (groupBy) {
+        const rows = groupUsage(
+          groupBy,
+          await this.usageTracker.getRecords(filters),
+          await this.usageTracker.getRollups(filters)
+        );
+        if (format === 'json') {
+          return res.code(200).send({ success: true, groupBy, rows });
+        }
+        const body = format === 'csv'
+          ? [toCsvLine(REPORT_COLUMNS), ...rows.map(row => toCsvLine(REPORT_COLUMNS.map(column => row[column])))].join('')
+          : rows.map(row => JSON.stringify(row) + '\n').join('');
+        return res.code(200).type(format === 'csv' ? 'text/csv' : 'application/x-ndjson').send(body);
+      }
+
+      if (format === 'json') {
+        return res.code(200).send({ success: true, records: await this.usageTracker.getRecords(filters) });
+      }
+      const records = this.usageTracker.iterateRecords(filters);
+      const lines = async function* () {
+        if (format === 'csv') yield toCsvLine(RECORD_COLUMNS);
+        for await (const record of records) {
+          yield format === 'csv' ? recordToCsvLine(record) : JSON.stringify(record) + '\n';
+        }
+      };
+      return res
+        .code(200)
+        .type(format === 'csv' ? 'text/csv' : 'application/x-ndjson')
+        .send(Readable.from(lines()));
+    } catch (error: any) {
+      return res.code(500).send({
+        success: false,
+        error: 'Failed to export usage',
+        details: error.message
+      });
+    }
+  }
+
+  // Active alerts and the latest notifications, newest first
+  async handleAlerts(req: any, res: any): Promise<void> {
+    const limit = req.query?.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.code(400).send({ success: false, error: 'limit must be a positive integer' });
+    }
+    return res.code(200).send({ success: true, enabled: alerts.enabled, ...alerts.getAlerts(limit) });
+  }
+
+  /**
+   * Server-Sent Events of everything published on the event bus, or only
+   * ?types=route,health_check. A client that reconnects with Last-Event-ID
+   * first gets the events it missed, as long as they are still kept.
+   */
+  async handleEvents(req: any, res: any): Promise<void> {
+    const requested: string[] = req.query?.types
+      ? String(req.query.types).split(',').map((type: string) => type.trim()).filter(Boolean)
+      : EVENT_TYPES;
+    const unknown = requested.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length) {
+      return res.code(400).send({
+        success: false,
+        error: `Unknown event type ${unknown.join(', ')}, expected ${EVENT_TYPES.join(', ')}`
+      });
+    }
+    const types = new Set(requested);
+
+    res.hijack();
+    const raw = res.raw;
+    raw.writeHead(200, {
+      ...res.getHeaders(),
+      'content-type': 'text/event-stream',
+      'cache-control': 'no-cache',
+      connection: 'keep-alive',
+      'x-accel-buffering': 'no'
+    });
+    const send = (event: SynapseEvent) => {
+      if (!types.has(event.type)) return;
+      if (raw.writableLength > SSE_MAX_BUFFERED) {
+        raw.destroy();
+        return;
+      }
+      raw.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    raw.write(`retry: ${SSE_RETRY_MS}\n\n`);
+    const lastEventId = req.headers['last-event-id'];
+    if (typeof lastEventId === 'string') {
+      events.since(lastEventId)?.forEach(send);
+    }
+    const unsubscribe = events.on(ALL_EVENTS, send);
+    const heartbeat = setInterval(() => raw.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    raw.once('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  async handleMetrics(req: any, res: any): Promise<void> {
+    if (!metrics.enabled) {
+      return res.code(404).send({ success: false, error: 'Metrics are disabled' });
+    }
+    if (!metrics.isAuthorized(req.headers.authorization)) {
+      return res.code(401).send({ success: false, error: 'Invalid metrics token' });
+    }
+    return res
+      .code(200)
+      .type('text/plain; version=0.0.4; charset=utf-8')
+      .send(metrics.render(this.healthMonitor.getOverallHealth().providers));
+  }
+
   async handleConfigGet(req: any, res: any): Promise<void> {
     await this.synapseAPI.getConfig(req, res);
   }
@@ -212,6 +374,11 @@ export class EnhancedRouter {
     };
   }
 
+  // Schedule active probes for the providers in config.json
+  startHealthChecks(providers: any[] = []): void {
+    this.healthMonitor.startPeriodicHealthChecks(fromRouterProviders(providers));
+  }
+
   // Get the health monitor instance
   getHealthMonitor(): HealthMonitor {
     return this.healthMonitor;
@@ -0,0 +1,294 @@
+import { ROUTE_HEADER } from "../constants";
+import { log } from "./log";
+import { getProviderName } from "./projectConfig";
+import { isTargetAllowed } from "./clientKeys";
+import { circuitBreakers } from "../middleware/circuit-breaker";
+import { alerts } from "../middleware/alerting";
+import { keyPools, PooledKey } from "../middleware/key-pool";
+import {
+  SpanKind,
+  traceProviderTransformers,
+  tracing,
+} from "../middleware/tracing";
+import {
+  rateLimiters,
+  RateLimitResult,
+  sendRateLimited,
+  sleep,
+} from "../middleware/rate-limiter";
+
+// 429s, 5xx responses and connection errors are worth trying elsewhere;
+// anything else (bad request, auth, unknown provider) would fail again
+export const isRetryableError = (error: any): boolean => {
+  const status = error?.statusCode;
+  if (typeof status === "number") {
+    return status === 429 || status >= 500;
+  }
+  return (
+    !!error?.cause?.code ||
+    /fetch failed|ECONN|ETIMEDOUT|ENOTFOUND|socket|aborted/i.test(
+      error?.message || ""
+    )
+  );
+};
+
+const useTarget = (req: any, target: string) => {
+  const [provider, ...model] = target.split(",");
+  req.provider = provider;
+  req.body.model = model.join(",");
+};
+
+// A rate limit or exhausted quota on one key says nothing about the others
+export const isKeyLimitError = (error: any): boolean =>
+  error?.statusCode === 429 ||
+  error?.statusCode === 402 ||
+  (error?.statusCode === 403 && /quota|rate.?limit/i.test(error.message || ""));
+
+// Answered like the router answers when every target's circuit is open,
+// rather than thrown into the llms error handler with its own error shape
+const sendCircuitOpen = (reply: any, targets: string[]) =>
+  reply.code(503).send({
+    type: "error",
+    error: {
+      type: "overloaded_error",
+      message: `No available provider for ${targets.join(", ")}: circuit open`,
+    },
+  });
+
+// Takes a slot from the provider's rate limiter, waiting for it in queue mode
+const acquireProviderSlot = async (
+  req: any,
+  provider: string
+): Promise<RateLimitResult> => {
+  const entry = req.config?.Providers?.find(
+    (item: any) => item?.name === provider
+  );
+  const result = rateLimiters.acquire([
+    { scope: "provider", name: provider, override: entry?.rateLimit },
+  ]);
+  if (result.allowed && result.waitMs > 0) {
+    log(`Provider ${provider} is rate limited, queued for ${result.waitMs}ms`);
+    await sleep(result.waitMs);
+  }
+  return result;
+};
+
+// One span per upstream attempt, with a span per provider transformer under
+// it. The outcome feeds the provider's error rate and latency alerts.
+const callUpstream = (
+  handler: any,
+  self: any,
+  req: any,
+  reply: any,
+  attempt: number
+) => {
+  const [provider, ...model] = (
+    req.routeTarget || `${req.provider},${req.body?.model}`
+  ).split(",");
+  if (tracing.enabled) {
+    traceProviderTransformers(
+      req.server?._server?.providerService?.getProvider(req.provider)
+    );
+  }
+  const started = Date.now();
+  const recordOutcome = (success: boolean) =>
+    alerts.recordOutcome(
+      provider.split(/[@#]/)[0],
+      success,
+      Date.now() - started
+    );
+  return tracing.trace(
+    `upstream ${provider}`,
+    req,
+    () => handler.call(self, req, reply),
+    {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        "ccr.provider": req.provider,
+        "ccr.model": model.join(","),
+        "ccr.api_key": req.apiKeyLabel,
+        "ccr.attempt": attempt + 1,
+        "ccr.retry": attempt > 0,
+      },
+    }
+  ).then(
+    (result) => {
+      recordOutcome(true);
+      return result;
+    },
+    (error) => {
+      // an answer the request itself caused is not the provider failing
+      recordOutcome(!isRetryableError(error));
+      throw error;
+    }
+  );
+};
+
+const skipTarget = (req: any, target: string, reason: string) => {
+  log(`Skipping ${target}: ${reason}`);
+  req.traceSpan?.addEvent("target skipped", { "ccr.target": target, reason });
+};
+
+// Per-key copies of a provider, registered the same way as project providers
+const keyProviders = new Map<string, { base: any; key: string }>();
+
+const useKey = (req: any, key: PooledKey) => {
+  const providerService = req.server?._server?.providerService;
+  const base = providerService?.getProvider(req.provider);
+  if (!base) {
+    return;
+  }
+  const name = `${req.provider}#${key.index + 1}`;
+  const registered = keyProviders.get(name);
+  if (registered?.base !== base || registered?.key !== key.key) {
+    providerService.registerProvider({ ...base, name, apiKey: key.key });
+    keyProviders.set(name, { base, key: key.key });
+  }
+  req.provider = name;
+  req.apiKeyLabel = key.label;
+};
+
+// Wraps every POST route so that a failed upstream call is retried on the
+// next target in req.routeTargets, as long as nothing has been sent yet.
+// Every attempt feeds the provider's circuit breaker. Routes without a
+// provider, such as the admin APIs, are passed straight through.
+export const registerFallback = (app: any) => {
+  app.addHook("onRoute", (routeOptions: any) => {
+    const methods: string[] = Array.isArray(routeOptions.method)
+      ? routeOptions.method
+      : [routeOptions.method];
+    if (!methods.includes("POST")) {
+      return;
+    }
+    const handler = routeOptions.handler;
+    routeOptions.handler = async function (this: any, req: any, reply: any) {
+      const targets: string[] = req.routeTargets || [];
+      if (!targets.length) {
+        if (!req.provider) {
+          // not a model request, e.g. /api/synapse/config or llms /providers
+          return handler.call(this, req, reply);
+        }
+        // the router left the model to enhanced routing, so the client
+        // key's allowlist is checked once it is resolved
+        const target = `${req.provider},${req.body?.model}`;
+        if (req.clientKey && !isTargetAllowed(req.clientKey, target)) {
+          log(`Rejected by client key ${req.clientKey.name}:`, target);
+          return reply.code(403).send({
+            type: "error",
+            error: {
+              type: "permission_error",
+              message: `API key "${req.clientKey.name}" may not use ${target}`,
+            },
+          });
+        }
+        const provider = getProviderName(req.provider);
+        const slot = await acquireProviderSlot(req, provider);
+        if (!slot.allowed) {
+          log(`Provider ${provider} is rate limited`);
+          return sendRateLimited(
+            reply,
+            slot.waitMs,
+            `No available provider for ${provider}: rate limit exceeded`
+          );
+        }
+        return callUpstream(handler, this, req, reply, 0);
+      }
+      const originalBody = structuredClone(req.body);
+      let attempted = false;
+      let lastError: any;
+      let retryAfterMs: number | undefined;
+      let limitReason = "";
+      let attempts = 0;
+      for (let attempt = 0; attempt < targets.length; attempt++) {
+        const target = targets[attempt];
+        const provider = getProviderName(target);
+        if (!circuitBreakers.isAvailable(provider)) {
+          skipTarget(req, target, "circuit open");
+          continue;
+        }
+        const pool = keyPools.get(provider);
+        if (pool && !pool.isAvailable()) {
+          skipTarget(req, target, "all API keys are rate limited");
+          retryAfterMs = Math.min(retryAfterMs ?? Infinity, pool.getRetryAfterMs());
+          limitReason = "all API keys are rate limited";
+          continue;
+        }
+        const slot = await acquireProviderSlot(req, provider);
+        if (!slot.allowed) {
+          skipTarget(req, target, "provider rate limit exceeded");
+          retryAfterMs = Math.min(retryAfterMs ?? Infinity, slot.waitMs);
+          limitReason = "rate limit exceeded";
+          continue;
+        }
+        reply.header(ROUTE_HEADER, target);
+        const triedKeys: number[] = [];
+        while (true) {
+          if (attempted) {
+            req.body = structuredClone(originalBody);
+          }
+          if (attempt > 0 || triedKeys.length) {
+            useTarget(req, target);
+          }
+          attempted = true;
+          req.routeTarget = target;
+          const key = pool?.acquire(triedKeys);
+          if (key) {
+            triedKeys.push(key.index);
+            useKey(req, key);
+          }
+          circuitBreakers.onAttempt(provider);
+          try {
+            const result = await callUpstream(handler, this, req, reply, attempts++);
+            circuitBreakers.recordSuccess(provider);
+            if (key) pool!.recordSuccess(key.index);
+            return result;
+          } catch (error: any) {
+            if (key) pool!.recordFailure(key.index);
+            if (key && isKeyLimitError(error)) {
+              pool!.park(key.key, keyPools.takeRetryAfter(key.key));
+            }
+            if (
+              key &&
+              isKeyLimitError(error) &&
+              !reply.sent &&
+              pool!.isAvailable(triedKeys)
+            ) {
+              log(`Key ${key.label} is rate limited, trying another key`);
+              continue;
+            }
+            const retryable = isRetryableError(error);
+            if (retryable) {
+              circuitBreakers.recordFailure(provider, error.message);
+            } else {
+              // the provider answered, it just didn't like the request
+              circuitBreakers.recordSuccess(provider);
+            }
+            const isLast = attempt === targets.length - 1;
+            if (isLast || reply.sent || !retryable) {
+              throw error;
+            }
+            log(
+              `Request to ${target} failed, trying the next target:`,
+              error.message
+            );
+            lastError = error;
+            break;
+          }
+        }
+      }
+      // the targets after a failed attempt were all skipped, so the client
+      // gets that failure rather than a 503 for targets it never reached
+      if (lastError) {
+        throw lastError;
+      }
+      if (retryAfterMs !== undefined && !attempted) {
+        return sendRateLimited(
+          reply,
+          retryAfterMs,
+          `No available provider for ${targets.join(", ")}: ${limitReason}`
+        );
+      }
+      return sendCircuitOpen(reply, targets);
+    };
+  });
+};
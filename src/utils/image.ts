@@ -0,0 +1,119 @@
+import { createHash } from "node:crypto";
+import { log } from "./log";
+
+export const IMAGE_PLACEHOLDER =
+  "[Image omitted: the selected model does not support images]";
+
+const DESCRIBE_PROMPT =
+  "Describe this image in detail for someone who cannot see it. Transcribe any text, code or error messages exactly.";
+
+// Claude Code resends the whole conversation every turn, so descriptions are
+// cached by image content
+const MAX_CACHED_DESCRIPTIONS = 200;
+const descriptionCache = new Map<string, string>();
+
+const isImage = (part: any) => part?.type === "image";
+
+const partHasImage = (part: any): boolean =>
+  isImage(part) ||
+  (part?.type === "tool_result" &&
+    Array.isArray(part.content) &&
+    part.content.some(isImage));
+
+export const hasImages = (messages: any): boolean =>
+  Array.isArray(messages) &&
+  messages.some(
+    (message) =>
+      Array.isArray(message?.content) && message.content.some(partHasImage)
+  );
+
+const replaceInParts = async (
+  parts: any[],
+  replacer: (image: any) => Promise<string>
+): Promise<any[]> => {
+  const result = [];
+  for (const part of parts) {
+    if (isImage(part)) {
+      result.push({ type: "text", text: await replacer(part) });
+    } else if (part?.type === "tool_result" && Array.isArray(part.content)) {
+      result.push({
+        ...part,
+        content: await replaceInParts(part.content, replacer),
+      });
+    } else {
+      result.push(part);
+    }
+  }
+  return result;
+};
+
+export const replaceImages = async (
+  messages: any[],
+  replacer: (image: any) => Promise<string>
+) => {
+  for (const message of messages) {
+    if (Array.isArray(message?.content) && message.content.some(partHasImage)) {
+      message.content = await replaceInParts(message.content, replacer);
+    }
+  }
+};
+
+// Asks the describer model for a text description by sending a request
+// through this server, so the provider's transformers apply as usual
+export const describeImage = async (
+  req: any,
+  image: any,
+  describer: string
+): Promise<string> => {
+  const key = createHash("sha1")
+    .update(JSON.stringify(image.source || image))
+    .digest("hex");
+  const cached = descriptionCache.get(key);
+  if (cached) {
+    return cached;
+  }
+  try {
+    const response = await req.server.inject({
+      method: "POST",
+      url: "/v1/messages",
+      headers: JSON.parse(
+        JSON.stringify({
+          "content-type": "application/json",
+          authorization: req.headers.authorization,
+          "x-api-key": req.headers["x-api-key"],
+        })
+      ),
+      payload: {
+        model: describer,
+        max_tokens: 1024,
+        stream: false,
+        messages: [
+          {
+            role: "user",
+            content: [image, { type: "text", text: DESCRIBE_PROMPT }],
+          },
+        ],
+      },
+    });
+    if (response.statusCode >= 400) {
+      throw new Error(`HTTP ${response.statusCode}: ${response.body}`);
+    }
+    const text = (response.json().content || [])
+      .filter((part: any) => part.type === "text")
+      .map((part: any) => part.text)
+      .join("\n")
+      .trim();
+    if (!text) {
+      return IMAGE_PLACEHOLDER;
+    }
+    const description = `[Image description: ${text}]`;
+    if (descriptionCache.size >= MAX_CACHED_DESCRIPTIONS) {
+      descriptionCache.delete(descriptionCache.keys().next().value!);
+    }
+    descriptionCache.set(key, description);
+    return description;
+  } catch (error: any) {
+    log("Failed to describe image:", error.message);
+    return IMAGE_PLACEHOLDER;
+  }
+};
@@ -6,6 +6,14 @@ import {
   HOME_DIR,
   PLUGINS_DIR,
 } from "../constants";
+import { withLegacySynapseConfig } from "./unifiedConfig";
+import { resolveConfigSecrets } from "./secrets";
+import {
+  describeJsonError,
+  formatValidationError,
+  hasErrors,
+  validateConfig,
+} from "./configValidation";
 
 const ensureDir = async (dir_path: string) => {
   try {
@@ -43,30 +51,44 @@ const confirm = async (query: string): Promise<boolean> => {
 };
 
 export const readConfigFile = async () => {
+  let content: string | undefined;
   try {
-    const config = await fs.readFile(CONFIG_FILE, "utf-8");
-    return JSON.parse(config);
-  } catch {
-    const name = await question("Enter Provider Name: ");
-    const APIKEY = await question("Enter Provider API KEY: ");
-    const baseUrl = await question("Enter Provider URL: ");
-    const model = await question("Enter MODEL Name: ");
-    const config = Object.assign({}, DEFAULT_CONFIG, {
-      Providers: [
-        {
-          name,
-          api_base_url: baseUrl,
-          api_key: APIKEY,
-          models: [model],
-        },
-      ],
-      Router: {
-        default: `${name},${model}`,
-      },
-    });
-    await writeConfigFile(config);
-    return config;
+    content = await fs.readFile(CONFIG_FILE, "utf-8");
+  } catch (error: any) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
   }
+  if (content !== undefined) {
+    try {
+      return JSON.parse(content);
+    } catch (error: any) {
+      // a typo must not send the user back through the setup questions
+      console.error(
+        `❌ ${CONFIG_FILE} is not valid JSON: ${describeJsonError(content, error)}`
+      );
+      process.exit(1);
+    }
+  }
+  const name = await question("Enter Provider Name: ");
+  const APIKEY = await question("Enter Provider API KEY: ");
+  const baseUrl = await question("Enter Provider URL: ");
+  const model = await question("Enter MODEL Name: ");
+  const config = Object.assign({}, DEFAULT_CONFIG, {
+    Providers: [
+      {
+        name,
+        api_base_url: baseUrl,
+        api_key: APIKEY,
+        models: [model],
+      },
+    ],
+    Router: {
+      default: `${name},${model}`,
+    },
+  });
+  await writeConfigFile(config);
+  return config;
 };
 
 export const writeConfigFile = async (config: any) => {
@@ -75,7 +97,41 @@ export const writeConfigFile = async (config: any) => {
 };
 
 export const initConfig = async () => {
-  const config = await readConfigFile();
-  Object.assign(process.env, config);
-  return config;
+  const config = withLegacySynapseConfig(await readConfigFile());
+  const errors = validateConfig(config);
+  errors.forEach((error) =>
+    (error.severity === "error" ? console.error : console.warn)(
+      formatValidationError(error)
+    )
+  );
+  if (hasErrors(errors)) {
+    console.error(
+      `Invalid configuration in ${CONFIG_FILE}, run \`ccr config validate\` after fixing it.`
+    );
+    process.exit(1);
+  }
+  exportEnvSettings(config);
+  const resolved = resolveConfigSecrets(config);
+  if (resolved.errors.length) {
+    resolved.errors.forEach((error) =>
+      console.error(formatValidationError(error))
+    );
+    console.error(
+      `Cannot resolve the secrets referenced in ${CONFIG_FILE}, run \`ccr config validate\` after fixing them.`
+    );
+    process.exit(1);
+  }
+  return resolved.config;
+};
+
+// Only settings that are read back from the environment are exported, so
+// provider keys never reach child processes
+const ENV_SETTINGS = ["LOG"];
+
+export const exportEnvSettings = (config: any) => {
+  for (const key of ENV_SETTINGS) {
+    if (config?.[key] !== undefined) {
+      process.env[key] = String(config[key]);
+    }
+  }
 };
@@ -0,0 +1,165 @@
+import { CONFIG_FILE } from "../constants";
+import {
+  CLIENT_KEY_SCOPES,
+  ClientKey,
+  ClientKeyScope,
+  createClientKey,
+  listClientKeys,
+  revokeClientKey,
+} from "./clientKeys";
+
+const KEYS_HELP_TEXT = `
+Usage: ccr keys <command>
+
+Commands:
+  create <name> [options]   Create a client key and print it once
+  revoke <name>             Revoke a client key
+  list                      List client keys
+
+Options for create:
+  --scopes <list>      inference, admin (default: inference)
+  --providers <list>   Providers the key may use (default: all)
+  --models <list>      provider,model or model names the key may use (default: all)
+  --expires <when>     ISO date, or a duration such as 30d or 12h
+  --daily <usd>        Daily budget
+  --monthly <usd>      Monthly budget
+
+Lists are separated by spaces or semicolons, e.g. --models "deepseek,deepseek-chat;gpt-4o".
+Keys are stored as SHA-256 hashes in ${CONFIG_FILE}.
+`;
+
+const parseOptions = (args: string[]) => {
+  const options: { [name: string]: string } = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      options[args[i].slice(2)] = args[i + 1] ?? "";
+      i++;
+    }
+  }
+  return options;
+};
+
+const parseList = (value?: string) =>
+  value
+    ?.split(/[\s;]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseExpiry = (value?: string) => {
+  if (!value) return undefined;
+  const match = /^(\d+)([dh])$/.exec(value);
+  if (match) {
+    const hours = Number(match[1]) * (match[2] === "d" ? 24 : 1);
+    return new Date(Date.now() + hours * 3600 * 1000).toISOString();
+  }
+  if (Number.isNaN(Date.parse(value))) {
+    throw new Error(`Invalid --expires value "${value}"`);
+  }
+  return new Date(value).toISOString();
+};
+
+const parseAmount = (name: string, value?: string) => {
+  if (value === undefined) return undefined;
+  const amount = Number(value);
+  if (Number.isNaN(amount) || amount < 0) {
+    throw new Error(`Invalid --${name} value "${value}"`);
+  }
+  return amount;
+};
+
+const create = (name: string | undefined, args: string[]) => {
+  if (!name || name.startsWith("--")) {
+    console.log(KEYS_HELP_TEXT);
+    process.exit(1);
+  }
+  const options = parseOptions(args);
+  const scopes = (parseList(options.scopes) || ["inference"]) as ClientKeyScope[];
+  const invalidScope = scopes.find((scope) => !CLIENT_KEY_SCOPES.includes(scope));
+  if (invalidScope) {
+    throw new Error(`Unknown scope "${invalidScope}"`);
+  }
+  const daily = parseAmount("daily", options.daily);
+  const monthly = parseAmount("monthly", options.monthly);
+  const clientKey: Omit<ClientKey, "keyHash" | "createdAt"> = {
+    name,
+    scopes,
+    providers: parseList(options.providers),
+    models: parseList(options.models),
+    expiresAt: parseExpiry(options.expires),
+    budget:
+      daily !== undefined || monthly !== undefined ? { daily, monthly } : undefined,
+  };
+  const key = createClientKey(JSON.parse(JSON.stringify(clientKey)));
+  console.log(`✅ Created client key ${name}`);
+  console.log("");
+  console.log(`   ${key}`);
+  console.log("");
+  console.log("This is the only time the key is shown, store it somewhere safe.");
+};
+
+const describe = (clientKey: ClientKey) => {
+  if (clientKey.revoked) return "revoked";
+  if (clientKey.expiresAt && Date.parse(clientKey.expiresAt) <= Date.now()) {
+    return "expired";
+  }
+  return "active";
+};
+
+const list = () => {
+  const clientKeys = listClientKeys();
+  if (!clientKeys.length) {
+    console.log("No client keys. Create one with `ccr keys create <name>`.");
+    return;
+  }
+  for (const clientKey of clientKeys) {
+    console.log(`${clientKey.name} (${describe(clientKey)})`);
+    console.log(`   scopes:    ${(clientKey.scopes || ["inference"]).join(", ")}`);
+    console.log(`   providers: ${clientKey.providers?.join(", ") || "all"}`);
+    console.log(`   models:    ${clientKey.models?.join("; ") || "all"}`);
+    if (clientKey.expiresAt) {
+      console.log(`   expires:   ${clientKey.expiresAt}`);
+    }
+    if (clientKey.budget) {
+      const { daily, monthly } = clientKey.budget;
+      console.log(
+        `   budget:    ${[
+          daily !== undefined && `$${daily}/day`,
+          monthly !== undefined && `$${monthly}/month`,
+        ]
+          .filter(Boolean)
+          .join(", ")}`
+      );
+    }
+  }
+};
+
+export function executeKeysCommand(args: string[] = []) {
+  const [subcommand, ...rest] = args;
+  try {
+    switch (subcommand) {
+      case "create":
+        create(rest[0], rest.slice(1));
+        break;
+      case "revoke":
+        if (!rest[0]) {
+          console.log(KEYS_HELP_TEXT);
+          process.exit(1);
+        }
+        revokeClientKey(rest[0]);
+        console.log(`Revoked client key ${rest[0]}`);
+        break;
+      case "list":
+      case "ls":
+        list();
+        break;
+      default:
+        console.log(KEYS_HELP_TEXT);
+        if (subcommand && subcommand !== "help") {
+          process.exit(1);
+        }
+    }
+  } catch (error: any) {
+    console.error(`Failed to ${subcommand} client key: ${error.message}`);
+    process.exit(1);
+  }
+}
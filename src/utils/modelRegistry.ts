@@ -0,0 +1,71 @@
+import { ModelCapabilities } from "../types/synapse-types";
+
+export type ModelEntry = Partial<ModelCapabilities>;
+
+export interface ModelRequirements {
+  tokenCount: number;
+  // the request's max_tokens; the completion has to fit in the window too,
+  // once it is capped to the model's own maxTokens
+  maxTokens?: number;
+  tools?: boolean;
+  vision?: boolean;
+}
+
+// The registry lives under the `Models` key of config.json, keyed by
+// "provider,model".
+export const getModelRegistry = (config: any): { [target: string]: ModelEntry } =>
+  config?.Models && typeof config.Models === "object" ? config.Models : {};
+
+export const getModelCapabilities = (
+  config: any,
+  target: string
+): ModelEntry | undefined => getModelRegistry(config)[target];
+
+// Unknown capabilities are treated as supported, so models that are not in
+// the registry are never rejected.
+export const meetsRequirements = (
+  entry: ModelEntry | undefined,
+  requirements: ModelRequirements
+): boolean => {
+  if (!entry) return true;
+  const completion = entry.maxTokens
+    ? Math.min(requirements.maxTokens || 0, entry.maxTokens)
+    : requirements.maxTokens || 0;
+  if (
+    entry.contextWindow &&
+    requirements.tokenCount + completion > entry.contextWindow
+  ) {
+    return false;
+  }
+  if (requirements.tools && entry.supportsTools === false) {
+    return false;
+  }
+  if (requirements.vision && entry.supportsVision === false) {
+    return false;
+  }
+  return true;
+};
+
+const inputPrice = (entry: ModelEntry) =>
+  entry.costPer1kTokens?.input ?? Infinity;
+
+// The registered model with the smallest context window that still fits the
+// request, preferring the cheaper one when windows are equal.
+export const findCapableModel = (
+  config: any,
+  requirements: ModelRequirements,
+  exclude: string[] = []
+): string | null => {
+  const candidates = Object.entries(getModelRegistry(config))
+    .filter(([target]) => !exclude.includes(target))
+    .filter(([, entry]) => entry.contextWindow)
+    .filter(([, entry]) => meetsRequirements(entry, requirements))
+    .sort(
+      ([, a], [, b]) =>
+        a.contextWindow! - b.contextWindow! || inputPrice(a) - inputPrice(b)
+    );
+  return candidates.length ? candidates[0][0] : null;
+};
+
+export const requiresTools = (body: any) =>
+  Array.isArray(body?.tools) && body.tools.length > 0;
@@ -0,0 +1,184 @@
+import { getCurrentConfig } from "./configReload";
+import { getModelCapabilities } from "./modelRegistry";
+import { log } from "./log";
+
+// Prices are per million tokens, in the currency the provider bills in
+export interface ModelPrice {
+  input: number;
+  output: number;
+  cacheRead?: number;
+  cacheWrite?: number;
+  // ISO 4217 code, USD when omitted
+  currency?: string;
+}
+
+// The `Pricing` section of config.json
+export interface PricingConfig {
+  // recorded with every usage record priced from `prices`
+  version?: string;
+  // "provider,model" or bare model names
+  prices?: { [target: string]: ModelPrice };
+  // USD per unit of another currency, e.g. { "CNY": 0.14 }
+  exchangeRates?: { [currency: string]: number };
+}
+
+export interface TokenUsage {
+  input: number;
+  output: number;
+  cacheRead: number;
+  cacheWrite: number;
+}
+
+export interface PricedUsage {
+  // always USD, so costs from different providers add up
+  cost: number;
+  // set when the price is in another currency
+  currency?: string;
+  originalCost?: number;
+  // "builtin:2025-08-01", "config:<version>", "models" or "unpriced"
+  priceVersion: string;
+}
+
+export const BUILTIN_PRICING_VERSION = "2025-08-01";
+
+// List prices as of BUILTIN_PRICING_VERSION. Matched by model name, so they
+// apply whatever the provider entry is called; dated variants such as
+// claude-3-5-haiku-20241022 match the longest listed prefix.
+export const DEFAULT_PRICES: { [model: string]: ModelPrice } = {
+  "claude-opus-4": { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  "claude-sonnet-4": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  "claude-3-7-sonnet": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  "claude-3-5-sonnet": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  "claude-3-5-haiku": { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  "gpt-4o": { input: 2.5, output: 10, cacheRead: 1.25 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6, cacheRead: 0.075 },
+  "gpt-4.1": { input: 2, output: 8, cacheRead: 0.5 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6, cacheRead: 0.1 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4, cacheRead: 0.025 },
+  o3: { input: 2, output: 8, cacheRead: 0.5 },
+  "o3-mini": { input: 1.1, output: 4.4, cacheRead: 0.55 },
+  "o4-mini": { input: 1.1, output: 4.4, cacheRead: 0.275 },
+  "deepseek-chat": { input: 0.27, output: 1.1, cacheRead: 0.07 },
+  "deepseek-reasoner": { input: 0.55, output: 2.19, cacheRead: 0.14 },
+  "gemini-2.5-pro": { input: 1.25, output: 10, cacheRead: 0.31 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5, cacheRead: 0.075 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4, cacheRead: 0.025 },
+  "qwen-max": { input: 2.4, output: 9.6, currency: "CNY" },
+  "qwen-plus": { input: 0.8, output: 2, currency: "CNY" },
+  "qwen-turbo": { input: 0.3, output: 0.6, currency: "CNY" },
+  "qwen3-coder-plus": { input: 4, output: 16, currency: "CNY" },
+  "kimi-k2": { input: 4, output: 16, cacheRead: 1, currency: "CNY" },
+  "glm-4.5": { input: 0.8, output: 2, cacheRead: 0.16, currency: "CNY" },
+};
+
+export const DEFAULT_EXCHANGE_RATES: { [currency: string]: number } = {
+  USD: 1,
+  CNY: 0.14,
+};
+
+const getPricingConfig = (config: any): PricingConfig =>
+  config?.Pricing && typeof config.Pricing === "object" ? config.Pricing : {};
+
+const matchPrefix = (
+  prices: { [model: string]: ModelPrice },
+  model: string
+): ModelPrice | undefined => {
+  if (prices[model]) return prices[model];
+  const key = Object.keys(prices)
+    .filter((name) => !name.includes(",") && model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : undefined;
+};
+
+/**
+ * Finds the price for a target, in order: `Pricing.prices` by
+ * "provider,model" then model name, the `costPer1kTokens` of a `Models`
+ * entry, and the built-in list. OpenRouter style names such as
+ * "anthropic/claude-sonnet-4" are also looked up without the vendor prefix.
+ */
+export const findPrice = (
+  config: any,
+  provider: string,
+  model: string
+): { price: ModelPrice; version: string } | null => {
+  const pricing = getPricingConfig(config);
+  const prices = pricing.prices || {};
+  // "deepseek#2" (pooled key) and "deepseek@project" bill as "deepseek"
+  provider = provider.split(/[@#]/)[0];
+  const bareModel = model.split("/").pop() || model;
+  const configured =
+    prices[`${provider},${model}`] ||
+    matchPrefix(prices, model) ||
+    matchPrefix(prices, bareModel);
+  if (configured) {
+    return { price: configured, version: `config:${pricing.version || "unversioned"}` };
+  }
+  const perThousand = getModelCapabilities(config, `${provider},${model}`)
+    ?.costPer1kTokens;
+  if (perThousand) {
+    return {
+      price: { input: perThousand.input * 1000, output: perThousand.output * 1000 },
+      version: "models",
+    };
+  }
+  const builtin = matchPrefix(DEFAULT_PRICES, bareModel);
+  return builtin
+    ? { price: builtin, version: `builtin:${BUILTIN_PRICING_VERSION}` }
+    : null;
+};
+
+// Reads Anthropic (input_tokens, cache_*_input_tokens) and OpenAI
+// (prompt_tokens, prompt_tokens_details.cached_tokens) usage blocks
+export const normalizeUsage = (usage: any = {}): TokenUsage => {
+  if (usage.input_tokens !== undefined || usage.output_tokens !== undefined) {
+    return {
+      input: usage.input_tokens || 0,
+      output: usage.output_tokens || 0,
+      cacheRead: usage.cache_read_input_tokens || 0,
+      cacheWrite: usage.cache_creation_input_tokens || 0,
+    };
+  }
+  const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+  return {
+    input: Math.max(0, (usage.prompt_tokens || 0) - cached),
+    output: usage.completion_tokens || 0,
+    cacheRead: cached,
+    cacheWrite: 0,
+  };
+};
+
+export const priceUsage = (
+  provider: string,
+  model: string,
+  tokens: TokenUsage,
+  config: any = getCurrentConfig()
+): PricedUsage => {
+  const found = findPrice(config, provider, model);
+  if (!found) {
+    return { cost: 0, priceVersion: "unpriced" };
+  }
+  const { price, version } = found;
+  // cache prices default to the input price when a provider lists none
+  const amount =
+    (tokens.input * price.input +
+      tokens.output * price.output +
+      tokens.cacheRead * (price.cacheRead ?? price.input) +
+      tokens.cacheWrite * (price.cacheWrite ?? price.input)) /
+    1_000_000;
+  const currency = price.currency || "USD";
+  if (currency === "USD") {
+    return { cost: amount, priceVersion: version };
+  }
+  const rate =
+    getPricingConfig(config).exchangeRates?.[currency] ??
+    DEFAULT_EXCHANGE_RATES[currency];
+  if (rate === undefined) {
+    log(`No exchange rate for ${currency}, ${provider},${model} is not counted in USD totals`);
+  }
+  return {
+    cost: amount * (rate ?? 0),
+    currency,
+    originalCost: amount,
+    priceVersion: version,
+  };
+};
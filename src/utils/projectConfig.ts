@@ -0,0 +1,228 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { PROJECT_CONFIG_FILE, PROJECT_HEADER } from "../constants";
+import { log } from "./log";
+import { RouteDecision, toDecision } from "./rules";
+
+export interface ProjectConfig {
+  // absolute directory holding the project's config file
+  dir: string;
+  // short, stable id derived from the directory
+  id: string;
+  Router?: { [key: string]: any };
+  Providers?: Array<{ name: string; transformer?: any }>;
+  allowedProviders?: string[];
+}
+
+const cache = new Map<string, { mtimeMs: number; project: ProjectConfig }>();
+const registeredProviders = new Map<string, ProjectConfig>();
+
+// Walks up from startDir looking for a project config file
+export const findProjectConfig = (startDir: string): string | null => {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const file = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+};
+
+export const loadProjectConfig = (dir: string): ProjectConfig | null => {
+  const file = path.join(dir, PROJECT_CONFIG_FILE);
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.project;
+    }
+    const project: ProjectConfig = {
+      ...JSON.parse(fs.readFileSync(file, "utf-8")),
+      dir,
+      id: createHash("sha1").update(dir).digest("hex").slice(0, 8),
+    };
+    cache.set(file, { mtimeMs, project });
+    log("Loaded project config:", file);
+    return project;
+  } catch (error: any) {
+    log("Failed to load project config:", file, error.message);
+    return null;
+  }
+};
+
+// A project header the server can't map to a known directory
+export class ProjectHeaderError extends Error {
+  statusCode = 400;
+}
+
+// `Projects` in config.json maps project names to the directories whose
+// .claude-code-router.json may be applied. Clients only send the name, so
+// they can't make the server read config from anywhere else.
+export const getProjectDirs = (config: any): { [name: string]: string } =>
+  config?.Projects && typeof config.Projects === "object" && !Array.isArray(config.Projects)
+    ? config.Projects
+    : {};
+
+export const findProjectName = (config: any, dir: string) =>
+  Object.entries(getProjectDirs(config)).find(
+    ([, projectDir]) =>
+      typeof projectDir === "string" && path.resolve(projectDir) === path.resolve(dir)
+  )?.[0];
+
+export const getRequestProject = (req: any, config: any): ProjectConfig | null => {
+  const header = req.headers?.[PROJECT_HEADER];
+  if (!header || typeof header !== "string") {
+    return null;
+  }
+  let name: string;
+  try {
+    name = decodeURIComponent(header);
+  } catch {
+    throw new ProjectHeaderError(`Malformed ${PROJECT_HEADER} header`);
+  }
+  const projects = getProjectDirs(config);
+  const dir = Object.prototype.hasOwnProperty.call(projects, name)
+    ? projects[name]
+    : undefined;
+  if (typeof dir !== "string") {
+    throw new ProjectHeaderError(
+      `Unknown project "${name}", it has to be listed in Projects in config.json`
+    );
+  }
+  return loadProjectConfig(path.resolve(dir));
+};
+
+// The configured provider behind a target, without the project suffix added
+// by useProjectProvider
+export const getProviderName = (target: string) =>
+  target.split(",")[0].split("@")[0];
+
+// Project Router entries replace the global ones key by key
+export const applyProjectConfig = (config: any, project: ProjectConfig) => ({
+  ...config,
+  Router: { ...config.Router, ...(project.Router || {}) },
+});
+
+const isAllowed = (project: ProjectConfig, target: string) =>
+  !project.allowedProviders?.length ||
+  project.allowedProviders.includes(target.split(",")[0]);
+
+const buildTransformers = (transformerService: any, uses: any[]) =>
+  uses
+    .map((item) => {
+      const [name, options] = Array.isArray(item) ? item : [item];
+      const transformer = transformerService.getTransformer(name);
+      if (!transformer) {
+        log("Unknown transformer in project config:", name);
+        return undefined;
+      }
+      return typeof transformer === "function"
+        ? new transformer(options)
+        : transformer;
+    })
+    .filter((transformer) => transformer !== undefined);
+
+// Registers a copy of the provider that uses the project's transformers and
+// returns its name, so other projects keep the global transformers
+const registerProjectProvider = (
+  server: any,
+  project: ProjectConfig,
+  providerName: string
+): string | null => {
+  const override = project.Providers?.find((p) => p.name === providerName);
+  if (!override?.transformer || !server?.providerService) {
+    return null;
+  }
+  const base = server.providerService.getProvider(providerName);
+  if (!base) {
+    return null;
+  }
+  const name = `${providerName}@${project.id}`;
+  if (registeredProviders.get(name) === project) {
+    return name;
+  }
+  const transformer: any = {};
+  for (const [key, value] of Object.entries<any>(override.transformer)) {
+    if (key === "use" && Array.isArray(value)) {
+      transformer.use = buildTransformers(server.transformerService, value);
+    } else if (Array.isArray(value?.use)) {
+      transformer[key] = {
+        use: buildTransformers(server.transformerService, value.use),
+      };
+    }
+  }
+  registeredProviders.set(name, project);
+  server.providerService.registerProvider({
+    name,
+    baseUrl: base.baseUrl,
+    apiKey: base.apiKey,
+    models: base.models,
+    transformer,
+  });
+  return name;
+};
+
+// Project providers copy the global provider's URL and key, so they are
+// rebuilt on next use after config.json is reloaded
+export const resetProjectProviders = (server: any) => {
+  for (const name of registeredProviders.keys()) {
+    server?.providerService?.deleteProvider(name);
+  }
+  registeredProviders.clear();
+};
+
+// Enforces the project's provider allowlist
+export const enforceProjectProviders = (
+  project: ProjectConfig,
+  decision: RouteDecision
+): RouteDecision => {
+  const fallbacks = (decision.fallbacks || []).filter((target) =>
+    isAllowed(project, target)
+  );
+  if (isAllowed(project, decision.model)) {
+    return { ...decision, fallbacks };
+  }
+  const projectDefault = toDecision(project.Router?.default, "project");
+  const allowed = [
+    ...fallbacks,
+    projectDefault.model,
+    ...(projectDefault.fallbacks || []),
+  ].filter((target) => target && isAllowed(project, target));
+  if (!allowed.length) {
+    throw new Error(
+      `Provider of ${decision.model} is not allowed in project ${project.dir}`
+    );
+  }
+  log(`${decision.model} is not allowed in ${project.dir}, using`, allowed[0]);
+  const [model, ...rest] = allowed;
+  return { model, reason: "project", fallbacks: rest };
+};
+
+const toProjectTarget = (req: any, project: ProjectConfig, target: string) => {
+  const [providerName, ...model] = target.split(",");
+  const projectProvider = registerProjectProvider(
+    req.server?._server,
+    project,
+    providerName
+  );
+  return projectProvider ? [projectProvider, ...model].join(",") : target;
+};
+
+// Points the targets at the project's transformer overrides, if any
+export const useProjectProvider = (
+  req: any,
+  project: ProjectConfig,
+  decision: RouteDecision
+): RouteDecision => ({
+  ...decision,
+  model: toProjectTarget(req, project, decision.model),
+  fallbacks: (decision.fallbacks || []).map((target) =>
+    toProjectTarget(req, project, target)
+  ),
+});
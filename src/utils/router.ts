@@ -1,35 +1,181 @@
 import { MessageCreateParamsBase } from "@anthropic-ai/sdk/resources/messages";
 import { get_encoding } from "tiktoken";
 import { log } from "./log";
+import { evaluateRules, RouteDecision, toDecision, toTargets } from "./rules";
+import { runCustomRouter } from "./customRouter";
+import {
+  findCapableModel,
+  getModelCapabilities,
+  meetsRequirements,
+  requiresTools,
+} from "./modelRegistry";
+import {
+  applyProjectConfig,
+  enforceProjectProviders,
+  getProviderName,
+  getRequestProject,
+  ProjectConfig,
+  useProjectProvider,
+} from "./projectConfig";
+import {
+  describeImage,
+  hasImages,
+  IMAGE_PLACEHOLDER,
+  replaceImages,
+} from "./image";
+import { circuitBreakers } from "../middleware/circuit-breaker";
+import { tracing } from "../middleware/tracing";
+import { checkClientBudget, isTargetAllowed } from "./clientKeys";
+import { checkCostLimits } from "./costLimits";
 
 const enc = get_encoding("cl100k_base");
 
-const getUseModel = (req: any, tokenCount: number, config: any) => {
+const getUseModel = (
+  req: any,
+  tokenCount: number,
+  config: any
+): RouteDecision => {
   if (req.body.model.includes(",")) {
-    return req.body.model;
+    return { model: req.body.model, reason: "explicit" };
   }
-  // if tokenCount is greater than 60K, use the long context model
-  if (tokenCount > 1000 * 60 && config.Router.longContext) {
-    log("Using long context model due to token count:", tokenCount);
-    return config.Router.longContext;
+  // user rules first, then longContext (> 60K tokens), background
+  // (claude-3-5-haiku) and think (thinking enabled)
+  const decision = evaluateRules(req, tokenCount, config.Router);
+  if (decision) {
+    log(
+      `Using ${decision.model} (${decision.reason}) for`,
+      req.body.model,
+      "with token count:",
+      tokenCount
+    );
+    return decision;
   }
-  // If the model is claude-3-5-haiku, use the background model
-  if (req.body.model?.startsWith("claude-3-5-haiku") && config.Router.background) {
-    log("Using background model for ", req.body.model);
-    return config.Router.background;
+  return toDecision(config.Router!.default, "default");
+};
+
+// Moves up to the next registered model when the chosen one can't take the
+// request, instead of sending something the provider will reject
+const ensureCapableModel = (
+  req: any,
+  decision: RouteDecision,
+  tokenCount: number,
+  config: any
+): RouteDecision => {
+  if (decision.reason === "explicit") {
+    return decision;
+  }
+  const requirements = {
+    tokenCount,
+    maxTokens: Number(req.body.max_tokens) || 0,
+    tools: requiresTools(req.body),
+    vision: hasImages(req.body.messages),
+  };
+  if (
+    meetsRequirements(getModelCapabilities(config, decision.model), requirements)
+  ) {
+    return decision;
+  }
+  const upgrade = findCapableModel(config, requirements, [decision.model]);
+  if (!upgrade) {
+    log(
+      `No registered model can handle ${tokenCount} tokens plus ${requirements.maxTokens || 0} max_tokens, keeping`,
+      decision.model
+    );
+    return decision;
+  }
+  log(
+    `${decision.model} cannot handle ${tokenCount} tokens plus ${requirements.maxTokens || 0} max_tokens, moving up to`,
+    upgrade
+  );
+  return { ...decision, model: upgrade, reason: "contextWindow" };
+};
+
+const supportsVision = (config: any, target: string) =>
+  toTargets(config.Router?.image).includes(target) ||
+  target === config.Router?.imageDescriber ||
+  getModelCapabilities(config, target)?.supportsVision === true;
+
+// Replaces image blocks with a placeholder or a description from a vision
+// model when the target can't read them
+const applyImageFallback = async (req: any, target: string, config: any) => {
+  const mode = config.Router?.imageFallback;
+  if (
+    !mode ||
+    !hasImages(req.body.messages) ||
+    supportsVision(config, target)
+  ) {
+    return;
   }
-  // if exits thinking, use the think model
-  if (req.body.thinking && config.Router.think) {
-    log("Using think model for ", req.body.thinking);
-    return config.Router.think;
+  const describer = config.Router.imageDescriber;
+  log(`Replacing images for ${target} using`, mode);
+  await replaceImages(req.body.messages, async (image) =>
+    mode === "describe" && describer
+      ? describeImage(req, image, describer)
+      : IMAGE_PLACEHOLDER
+  );
+};
+
+// Approximate prompt size with cl100k_base, used to pick long context routes
+const countTokens = (
+  messages: MessageCreateParamsBase["messages"],
+  system: MessageCreateParamsBase["system"] = [],
+  tools: MessageCreateParamsBase["tools"]
+): number => {
+  let tokenCount = 0;
+  if (Array.isArray(messages)) {
+    messages.forEach((message) => {
+      if (typeof message.content === "string") {
+        tokenCount += enc.encode(message.content).length;
+      } else if (Array.isArray(message.content)) {
+        message.content.forEach((contentPart) => {
+          if (contentPart.type === "text") {
+            tokenCount += enc.encode(contentPart.text).length;
+          } else if (contentPart.type === "tool_use") {
+            tokenCount += enc.encode(
+              JSON.stringify(contentPart.input)
+            ).length;
+          } else if (contentPart.type === "tool_result") {
+            tokenCount += enc.encode(
+              typeof contentPart.content === "string"
+                ? contentPart.content
+                : JSON.stringify(contentPart.content)
+            ).length;
+          }
+        });
+      }
+    });
+  }
+  if (typeof system === "string") {
+    tokenCount += enc.encode(system).length;
+  } else if (Array.isArray(system)) {
+    system.forEach((item) => {
+      if (item.type !== "text") return;
+      if (typeof item.text === "string") {
+        tokenCount += enc.encode(item.text).length;
+      } else if (Array.isArray(item.text)) {
+        item.text.forEach((textPart) => {
+          tokenCount += enc.encode(textPart || "").length;
+        });
+      }
+    });
   }
-  return config.Router!.default;
+  if (tools) {
+    tools.forEach((tool) => {
+      if (tool.description) {
+        tokenCount += enc.encode(tool.name + tool.description).length;
+      }
+      if (tool.input_schema) {
+        tokenCount += enc.encode(JSON.stringify(tool.input_schema)).length;
+      }
+    });
+  }
+  return tokenCount;
 };
 
 export const router = async (req: any, res: any, config: any) => {
-  // Skip processing for Synapse API endpoints
-  if (req.url && req.url.startsWith('/api/synapse/')) {
-    console.log('Skipping router processing for Synapse API:', req.url);
+  // Skip processing for Synapse and management API endpoints
+  if (req.url && req.url.startsWith('/api/')) {
+    console.log('Skipping router processing for API endpoint:', req.url);
     return;
   }
   
@@ -40,6 +186,26 @@ export const router = async (req: any, res: any, config: any) => {
   
   console.log('Processing router for:', req.url);
   const { messages, system = [], tools }: MessageCreateParamsBase = req.body;
+
+  const clientKey = req.clientKey;
+  if (clientKey) {
+    const budgetError = await checkClientBudget(clientKey);
+    if (budgetError) {
+      log("Rejected by client key budget:", budgetError);
+      return res.code(402).send({
+        type: "error",
+        error: { type: "billing_error", message: budgetError },
+      });
+    }
+  }
+  const costCheck = await checkCostLimits(config, req.synapseContext);
+  if (costCheck.action === "reject") {
+    log("Rejected by cost limits:", costCheck.message);
+    return res.code(402).send({
+      type: "error",
+      error: { type: "billing_error", message: costCheck.message },
+    });
+  }
   
   // Check for Synapse context headers
   const hasSynapseContext = req.headers['x-synapse-project-id'] || 
@@ -50,64 +216,119 @@ export const router = async (req: any, res: any, config: any) => {
   // let the enhanced router handle the request
   if (hasSynapseContext && (req as any).synapseContext) {
     log("Synapse context detected, using enhanced routing");
-    // Enhanced router will handle model selection
+    if (costCheck.action === "downgrade") {
+      log(costCheck.message);
+      req.body.model = costCheck.target;
+    }
+    // Enhanced router will handle model selection. The client key's
+    // allowlist is checked against the target it resolves to, see
+    // registerFallback.
     return;
   }
   
+  // Overlay the per-project config sent by `ccr code`
+  let project: ProjectConfig | null;
   try {
-    let tokenCount = 0;
-    if (Array.isArray(messages)) {
-      messages.forEach((message) => {
-        if (typeof message.content === "string") {
-          tokenCount += enc.encode(message.content).length;
-        } else if (Array.isArray(message.content)) {
-          message.content.forEach((contentPart) => {
-            if (contentPart.type === "text") {
-              tokenCount += enc.encode(contentPart.text).length;
-            } else if (contentPart.type === "tool_use") {
-              tokenCount += enc.encode(
-                JSON.stringify(contentPart.input)
-              ).length;
-            } else if (contentPart.type === "tool_result") {
-              tokenCount += enc.encode(
-                typeof contentPart.content === "string"
-                  ? contentPart.content
-                  : JSON.stringify(contentPart.content)
-              ).length;
-            }
-          });
-        }
-      });
+    project = getRequestProject(req, config);
+  } catch (error: any) {
+    log("Rejected project header:", error.message);
+    return res.code(error.statusCode || 400).send({
+      type: "error",
+      error: { type: "invalid_request_error", message: error.message },
+    });
+  }
+  if (project) {
+    config = applyProjectConfig(config, project);
+  }
+
+  let decision: RouteDecision;
+  try {
+    const tokenCount = await tracing.trace("count tokens", req, (span) => {
+      const count = countTokens(messages, system, tools);
+      span?.setAttribute("ccr.token_count", count);
+      return count;
+    });
+    const customModel = await runCustomRouter(req, config, {
+      tokenCount,
+      synapseContext: req.synapseContext,
+    });
+    if (customModel) {
+      log("Using custom router model:", customModel);
+      decision = { model: customModel, reason: "custom" };
+    } else {
+      decision = ensureCapableModel(
+        req,
+        getUseModel(req, tokenCount, config),
+        tokenCount,
+        config
+      );
     }
-    if (typeof system === "string") {
-      tokenCount += enc.encode(system).length;
-    } else if (Array.isArray(system)) {
-      system.forEach((item) => {
-        if (item.type !== "text") return;
-        if (typeof item.text === "string") {
-          tokenCount += enc.encode(item.text).length;
-        } else if (Array.isArray(item.text)) {
-          item.text.forEach((textPart) => {
-            tokenCount += enc.encode(textPart || "").length;
-          });
-        }
+    const capabilities = getModelCapabilities(config, decision.model);
+    if (
+      capabilities?.maxTokens &&
+      req.body.max_tokens > capabilities.maxTokens
+    ) {
+      req.body.max_tokens = capabilities.maxTokens;
+    }
+  } catch (error: any) {
+    log("Error in router middleware:", error.message);
+    decision = toDecision(config.Router!.default, "default");
+  }
+  if (costCheck.action === "downgrade" && costCheck.target !== decision.model) {
+    log(costCheck.message);
+    decision = { model: costCheck.target!, reason: "budget" };
+  }
+  if (project) {
+    try {
+      decision = enforceProjectProviders(project, decision);
+    } catch (error: any) {
+      log("Rejected by project config:", error.message);
+      return res.code(403).send({
+        type: "error",
+        error: { type: "permission_error", message: error.message },
       });
     }
-    if (tools) {
-      tools.forEach((tool) => {
-        if (tool.description) {
-          tokenCount += enc.encode(tool.name + tool.description).length;
-        }
-        if (tool.input_schema) {
-          tokenCount += enc.encode(JSON.stringify(tool.input_schema)).length;
-        }
+  }
+  await applyImageFallback(req, decision.model, config);
+  if (project) {
+    decision = useProjectProvider(req, project, decision);
+  }
+  let targets = [decision.model, ...(decision.fallbacks || [])];
+  if (clientKey) {
+    const allowed = targets.filter((target) => isTargetAllowed(clientKey, target));
+    if (!allowed.length) {
+      log(`Rejected by client key ${clientKey.name}:`, targets);
+      return res.code(403).send({
+        type: "error",
+        error: {
+          type: "permission_error",
+          message: `API key "${clientKey.name}" may not use ${targets.join(", ")}`,
+        },
       });
     }
-    const model = getUseModel(req, tokenCount, config);
-    req.body.model = model;
-  } catch (error: any) {
-    log("Error in router middleware:", error.message);
-    req.body.model = config.Router!.default;
+    targets = allowed;
+  }
+  // Skip providers whose circuit is open instead of waiting for them to time out
+  const availableTargets = targets.filter((target) =>
+    circuitBreakers.isAvailable(getProviderName(target))
+  );
+  if (!availableTargets.length) {
+    log("All targets have an open circuit:", targets);
+    return res.code(503).send({
+      type: "error",
+      error: {
+        type: "overloaded_error",
+        message: `No available provider for ${targets.join(
+          ", "
+        )}: circuit open`,
+      },
+    });
+  }
+  if (availableTargets[0] !== decision.model) {
+    log(`Circuit open for ${decision.model}, using`, availableTargets[0]);
   }
+  req.body.model = availableTargets[0];
+  req.routeReason = decision.reason;
+  req.routeTargets = availableTargets;
   return;
 };
@@ -0,0 +1,170 @@
+import { log } from "./log";
+import { hasImages } from "./image";
+
+export interface RouteRule {
+  name?: string;
+  // inclusive token count range
+  tokens?: { min?: number; max?: number };
+  // regex tested against the requested model
+  model?: string;
+  thinking?: boolean;
+  // matches on whether any message carries an image block
+  image?: boolean;
+  // matches when any of the listed tools is present in the request
+  tools?: string[];
+  // matches when the system prompt contains any of the substrings
+  system?: string | string[];
+  // header name -> regex, all must match
+  headers?: { [name: string]: string };
+  // a target, or an ordered list of targets to fall back through
+  route: RouteTarget;
+}
+
+export type RouteTarget = string | string[];
+
+export interface RouteDecision {
+  model: string;
+  reason: string;
+  // tried in order when the upstream call for `model` fails
+  fallbacks?: string[];
+}
+
+export const toTargets = (target: RouteTarget | undefined): string[] =>
+  (Array.isArray(target) ? target : [target]).filter(
+    (item): item is string => typeof item === "string" && item.length > 0
+  );
+
+export const toDecision = (
+  target: RouteTarget | undefined,
+  reason: string
+): RouteDecision => {
+  const [model, ...fallbacks] = toTargets(target);
+  return { model, reason, fallbacks };
+};
+
+const testRegex = (pattern: string, value: string) => {
+  try {
+    return new RegExp(pattern).test(value);
+  } catch (error: any) {
+    log("Invalid regex in routing rule:", pattern, error.message);
+    return false;
+  }
+};
+
+const getSystemText = (system: any): string => {
+  if (typeof system === "string") {
+    return system;
+  }
+  if (Array.isArray(system)) {
+    return system
+      .filter((item) => item?.type === "text")
+      .map((item) =>
+        Array.isArray(item.text) ? item.text.join("") : item.text || ""
+      )
+      .join("\n");
+  }
+  return "";
+};
+
+export const matchesRule = (
+  rule: RouteRule,
+  req: any,
+  tokenCount: number
+): boolean => {
+  const body = req.body || {};
+  if (rule.tokens) {
+    if (rule.tokens.min !== undefined && tokenCount < rule.tokens.min) {
+      return false;
+    }
+    if (rule.tokens.max !== undefined && tokenCount > rule.tokens.max) {
+      return false;
+    }
+  }
+  if (rule.model !== undefined && !testRegex(rule.model, body.model || "")) {
+    return false;
+  }
+  if (rule.thinking !== undefined && !!body.thinking !== rule.thinking) {
+    return false;
+  }
+  if (rule.image !== undefined && hasImages(body.messages) !== rule.image) {
+    return false;
+  }
+  if (rule.tools?.length) {
+    const toolNames: string[] = (body.tools || []).map((tool: any) => tool.name);
+    if (!rule.tools.some((name) => toolNames.includes(name))) {
+      return false;
+    }
+  }
+  if (rule.system !== undefined) {
+    const systemText = getSystemText(body.system);
+    const needles = Array.isArray(rule.system) ? rule.system : [rule.system];
+    if (!needles.some((needle) => systemText.includes(needle))) {
+      return false;
+    }
+  }
+  if (rule.headers) {
+    for (const [name, pattern] of Object.entries(rule.headers)) {
+      const value = req.headers?.[name.toLowerCase()];
+      if (value === undefined) {
+        return false;
+      }
+      const headerValue = Array.isArray(value) ? value.join(",") : String(value);
+      if (!testRegex(pattern, headerValue)) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+// The fixed Router keys, expressed as rules evaluated after the user's rules
+export const getBuiltinRules = (routerConfig: any = {}): RouteRule[] => {
+  const rules: RouteRule[] = [];
+  if (routerConfig.image) {
+    rules.push({
+      name: "image",
+      image: true,
+      route: routerConfig.image,
+    });
+  }
+  if (routerConfig.longContext) {
+    rules.push({
+      name: "longContext",
+      tokens: { min: 1000 * 60 + 1 },
+      route: routerConfig.longContext,
+    });
+  }
+  if (routerConfig.background) {
+    rules.push({
+      name: "background",
+      model: "^claude-3-5-haiku",
+      route: routerConfig.background,
+    });
+  }
+  if (routerConfig.think) {
+    rules.push({
+      name: "think",
+      thinking: true,
+      route: routerConfig.think,
+    });
+  }
+  return rules;
+};
+
+export const evaluateRules = (
+  req: any,
+  tokenCount: number,
+  routerConfig: any = {}
+): RouteDecision | null => {
+  const userRules: RouteRule[] = Array.isArray(routerConfig.rules)
+    ? routerConfig.rules
+    : [];
+  const rules = [...userRules, ...getBuiltinRules(routerConfig)];
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || !toTargets(rule.route).length) continue;
+    if (matchesRule(rule, req, tokenCount)) {
+      return toDecision(rule.route, rule.name || `rule[${index}]`);
+    }
+  }
+  return null;
+};
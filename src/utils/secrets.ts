@@ -0,0 +1,293 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+} from "node:crypto";
+import { HOME_DIR, SECRET_KEY_FILE, SECRETS_FILE } from "../constants";
+import { ConfigValidationError } from "../types/synapse-types";
+
+// api_key values may reference a secret instead of containing it:
+//   "$DEEPSEEK_API_KEY" or "${DEEPSEEK_API_KEY}"  environment variable
+//   "file:~/.keys/deepseek"                       first line of a file
+//   "secret:deepseek"                             encrypted local store
+const ENV_REFERENCE = /^\$(?:\{([A-Za-z_][A-Za-z0-9_]*)\}|([A-Za-z_][A-Za-z0-9_]*))$/;
+const FILE_PREFIX = "file:";
+const SECRET_PREFIX = "secret:";
+const SECRET_NAME = /^[A-Za-z0-9_.-]+$/;
+
+interface StoredSecret {
+  iv: string;
+  tag: string;
+  data: string;
+  updatedAt: string;
+}
+
+interface SecretStore {
+  version: 1;
+  secrets: { [name: string]: StoredSecret };
+}
+
+export const isSecretReference = (value: any): boolean =>
+  typeof value === "string" &&
+  (ENV_REFERENCE.test(value) ||
+    value.startsWith(FILE_PREFIX) ||
+    value.startsWith(SECRET_PREFIX));
+
+const expandHome = (file: string) =>
+  file.replace(/^~(?=$|\/|\\)/, os.homedir());
+
+const referencedFile = (value: string) =>
+  path.resolve(HOME_DIR, expandHome(value.slice(FILE_PREFIX.length)));
+
+const writePrivateFile = (file: string, content: string) => {
+  fs.mkdirSync(HOME_DIR, { recursive: true });
+  fs.writeFileSync(file, content, { mode: 0o600 });
+};
+
+// The store key is generated on first use and never leaves this machine
+const getStoreKey = (create: boolean): Buffer | null => {
+  if (fs.existsSync(SECRET_KEY_FILE)) {
+    return Buffer.from(fs.readFileSync(SECRET_KEY_FILE, "utf-8").trim(), "base64");
+  }
+  if (!create) {
+    return null;
+  }
+  const key = randomBytes(32);
+  writePrivateFile(SECRET_KEY_FILE, key.toString("base64"));
+  return key;
+};
+
+const readStore = (): SecretStore => {
+  if (!fs.existsSync(SECRETS_FILE)) {
+    return { version: 1, secrets: {} };
+  }
+  return JSON.parse(fs.readFileSync(SECRETS_FILE, "utf-8"));
+};
+
+const writeStore = (store: SecretStore) => {
+  writePrivateFile(SECRETS_FILE, JSON.stringify(store, null, 2));
+};
+
+export const setSecret = (name: string, value: string) => {
+  if (!SECRET_NAME.test(name)) {
+    throw new Error(
+      `Invalid secret name "${name}", use letters, digits, ".", "_" and "-"`
+    );
+  }
+  const key = getStoreKey(true)!;
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(value, "utf-8"), cipher.final()]);
+  const store = readStore();
+  store.secrets[name] = {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+    updatedAt: new Date().toISOString(),
+  };
+  writeStore(store);
+};
+
+export const removeSecret = (name: string): boolean => {
+  const store = readStore();
+  if (!store.secrets[name]) {
+    return false;
+  }
+  delete store.secrets[name];
+  writeStore(store);
+  return true;
+};
+
+export const listSecrets = () =>
+  Object.entries(readStore().secrets).map(([name, secret]) => ({
+    name,
+    updatedAt: secret.updatedAt,
+  }));
+
+const getSecret = (name: string): string => {
+  const secret = readStore().secrets[name];
+  if (!secret) {
+    throw new Error(`secret "${name}" is not in the secret store`);
+  }
+  const key = getStoreKey(false);
+  if (!key) {
+    throw new Error(`${SECRET_KEY_FILE} is missing, cannot decrypt "${name}"`);
+  }
+  try {
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(secret.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(secret.tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(secret.data, "base64")),
+      decipher.final(),
+    ]).toString("utf-8");
+  } catch {
+    throw new Error(`secret "${name}" cannot be decrypted with ${SECRET_KEY_FILE}`);
+  }
+};
+
+/**
+ * Returns the value a secret reference points to. Plain values are returned
+ * unchanged. Throws when the reference cannot be resolved.
+ */
+export const resolveSecret = (value: any): any => {
+  if (typeof value !== "string") {
+    return value;
+  }
+  const envMatch = ENV_REFERENCE.exec(value);
+  if (envMatch) {
+    const name = envMatch[1] || envMatch[2];
+    const resolved = process.env[name];
+    if (!resolved) {
+      throw new Error(`environment variable ${name} is not set`);
+    }
+    return resolved;
+  }
+  if (value.startsWith(FILE_PREFIX)) {
+    const file = referencedFile(value);
+    let content: string;
+    try {
+      content = fs.readFileSync(file, "utf-8");
+    } catch (error: any) {
+      throw new Error(`cannot read ${file}: ${error.code || error.message}`);
+    }
+    const resolved = content.split(/\r?\n/)[0].trim();
+    if (!resolved) {
+      throw new Error(`${file} is empty`);
+    }
+    return resolved;
+  }
+  if (value.startsWith(SECRET_PREFIX)) {
+    return getSecret(value.slice(SECRET_PREFIX.length));
+  }
+  return value;
+};
+
+// What redactSecrets puts in place of a secret
+export const REDACTED = "[redacted]";
+
+const SECRET_FIELD =
+  /^(api_?key|apikey|keyhash|token|secret|password|authorization|headers|webhookurl|webhooks)$/i;
+
+// Copy of part of the config fit to show to API clients, with keys, tokens,
+// header values and webhook URLs replaced
+export const redactSecrets = (value: any, field = ""): any => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (SECRET_FIELD.test(field)) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactSecrets(item));
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactSecrets(item, key)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Checks that a secret reference points at something without reading the
+ * secret itself: the format of an environment reference, that a file exists,
+ * that the store has an entry of that name. Returns why it cannot be
+ * resolved, or undefined. Used by validation, which also runs in the CLI.
+ */
+export const checkSecretReference = (value: string): string | undefined => {
+  if (ENV_REFERENCE.test(value)) {
+    return undefined;
+  }
+  if (value.startsWith(FILE_PREFIX)) {
+    const file = referencedFile(value);
+    return fs.existsSync(file) ? undefined : `${file} does not exist`;
+  }
+  if (value.startsWith(SECRET_PREFIX)) {
+    const name = value.slice(SECRET_PREFIX.length);
+    if (!SECRET_NAME.test(name)) {
+      return `invalid secret name "${name}"`;
+    }
+    let store: SecretStore;
+    try {
+      store = readStore();
+    } catch (error: any) {
+      return `cannot read ${SECRETS_FILE}: ${error.message}`;
+    }
+    return store.secrets[name]
+      ? undefined
+      : `secret "${name}" is not in the secret store`;
+  }
+  return undefined;
+};
+
+// Copy of the config with every provider api_key, the metrics token and the
+// alert webhook URLs resolved, and the references that could not be. Only the server process
+// calls this, and the result is never written to disk or process.env.
+export const resolveConfigSecrets = (
+  config: any
+): { config: any; errors: ConfigValidationError[] } => {
+  const errors: ConfigValidationError[] = [];
+  const resolve = (value: any, field: string) => {
+    try {
+      return resolveSecret(value);
+    } catch (error: any) {
+      errors.push({
+        field,
+        message: `cannot resolve ${value}: ${error.message}`,
+        severity: "error",
+      });
+      return undefined;
+    }
+  };
+  const resolved = { ...config };
+  if (Array.isArray(config?.Providers)) {
+    resolved.Providers = config.Providers.map((provider: any, index: number) =>
+      provider?.api_key === undefined
+        ? provider
+        : {
+            ...provider,
+            api_key: Array.isArray(provider.api_key)
+              ? provider.api_key.map((key: any, keyIndex: number) =>
+                  resolve(key, `Providers[${index}].api_key[${keyIndex}]`)
+                )
+              : resolve(provider.api_key, `Providers[${index}].api_key`),
+          }
+    );
+  }
+  const metrics = config?.Monitoring?.metrics;
+  if (metrics?.token !== undefined) {
+    resolved.Monitoring = {
+      ...resolved.Monitoring,
+      metrics: {
+        ...metrics,
+        token: resolve(metrics.token, "Monitoring.metrics.token"),
+      },
+    };
+  }
+  const alerting = config?.Monitoring?.alerting;
+  if (alerting?.webhookUrl !== undefined || Array.isArray(alerting?.webhooks)) {
+    resolved.Monitoring = {
+      ...resolved.Monitoring,
+      alerting: {
+        ...alerting,
+        webhookUrl:
+          alerting.webhookUrl === undefined
+            ? undefined
+            : resolve(alerting.webhookUrl, "Monitoring.alerting.webhookUrl"),
+        webhooks: Array.isArray(alerting.webhooks)
+          ? alerting.webhooks.map((url: any, index: number) =>
+              resolve(url, `Monitoring.alerting.webhooks[${index}]`)
+            )
+          : alerting.webhooks,
+      },
+    };
+  }
+  return { config: resolved, errors };
+};
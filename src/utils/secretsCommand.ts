@@ -0,0 +1,96 @@
+import readline from "node:readline";
+import { SECRETS_FILE } from "../constants";
+import { listSecrets, removeSecret, setSecret } from "./secrets";
+
+const SECRETS_HELP_TEXT = `
+Usage: ccr secrets <command>
+
+Commands:
+  set <name> [value]   Store a secret (prompts for the value when omitted)
+  list                 List stored secret names
+  rm <name>            Remove a secret
+
+Reference a stored secret from config.json with "api_key": "secret:<name>".
+Secrets are encrypted in ${SECRETS_FILE}.
+`;
+
+// Reads the value without echoing it, so it stays out of the terminal and
+// the shell history
+const readHidden = (query: string): Promise<string> =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: process.stdin.isTTY,
+    });
+    process.stdout.write(query);
+    (rl as any)._writeToOutput = () => {};
+    rl.on("line", (answer) => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write("\n");
+      resolve(answer.trim());
+    });
+  });
+
+const set = async (name?: string, value?: string) => {
+  if (!name) {
+    console.log(SECRETS_HELP_TEXT);
+    process.exit(1);
+  }
+  const secret = value ?? (await readHidden(`Value for ${name}: `));
+  if (!secret) {
+    console.error("Secret value must not be empty");
+    process.exit(1);
+  }
+  setSecret(name, secret);
+  console.log(`✅ Stored secret ${name}, use "api_key": "secret:${name}"`);
+};
+
+const list = () => {
+  const secrets = listSecrets();
+  if (!secrets.length) {
+    console.log("No secrets stored.");
+    return;
+  }
+  for (const secret of secrets) {
+    console.log(`${secret.name}\t(updated ${secret.updatedAt})`);
+  }
+};
+
+const remove = (name?: string) => {
+  if (!name) {
+    console.log(SECRETS_HELP_TEXT);
+    process.exit(1);
+  }
+  if (!removeSecret(name)) {
+    console.error(`Secret ${name} not found`);
+    process.exit(1);
+  }
+  console.log(`Removed secret ${name}`);
+};
+
+export async function executeSecretsCommand(args: string[] = []) {
+  const [subcommand, ...rest] = args;
+  try {
+    switch (subcommand) {
+      case "set":
+        await set(rest[0], rest[1]);
+        break;
+      case "list":
+      case "ls":
+        list();
+        break;
+      case "rm":
+        remove(rest[0]);
+        break;
+      default:
+        console.log(SECRETS_HELP_TEXT);
+        if (subcommand && subcommand !== "help") {
+          process.exit(1);
+        }
+    }
+  } catch (error: any) {
+    console.error(`Failed to ${subcommand} secret: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -16,6 +16,7 @@ export interface LogEntry {
   data?: any;
   context?: {
     requestId?: string;
+    traceId?: string;
     projectId?: string;
     agentId?: string;
     agentType?: string;
@@ -125,6 +126,7 @@ export class SynapseLogger {
   logRequest(context: any, message: string, data?: any): void {
     this.info(message, data, {
       requestId: context.requestId,
+      traceId: context.traceId,
       projectId: context.projectId,
       agentId: context.agentId,
       agentType: context.agentType
@@ -138,6 +140,7 @@ export class SynapseLogger {
       name: error.name
     }, {
       requestId: context.requestId,
+      traceId: context.traceId,
       projectId: context.projectId,
       agentId: context.agentId,
       agentType: context.agentType
@@ -147,6 +150,7 @@ export class SynapseLogger {
   logPerformance(context: any, operation: string, duration: number, data?: any): void {
     this.info(`Performance: ${operation} completed in ${duration}ms`, data, {
       requestId: context.requestId,
+      traceId: context.traceId,
       projectId: context.projectId,
       agentId: context.agentId,
       agentType: context.agentType
@@ -0,0 +1,338 @@
+import fs from "node:fs";
+import { CONFIG_FILE, SYNAPSE_CONFIG_FILE } from "../constants";
+import { RouterConfig } from "../middleware/synapse-context";
+import { getApiRoot, HealthCheckOptions } from "../middleware/health-monitoring";
+import { CircuitBreakerOptions } from "../middleware/circuit-breaker";
+import { firstKey } from "../middleware/key-pool";
+import { REDACTED } from "./secrets";
+import { UsageStoreOptions } from "../middleware/usage-store";
+import {
+  AgentMapping,
+  CachingConfig,
+  CostLimits,
+  EnhancedRouterConfig,
+  LoggingConfig,
+  RateLimitRuleConfig,
+  SecurityConfig,
+} from "../types/synapse-types";
+import { RouteRule, RouteTarget, toTargets } from "./rules";
+import { ModelEntry } from "./modelRegistry";
+import { PricingConfig } from "./pricing";
+
+export interface ProviderEntry {
+  name: string;
+  api_base_url: string;
+  // a list of keys is rotated per request, see middleware/key-pool
+  api_key: string | string[];
+  models: string[];
+  transformer?: any;
+  healthCheck?: HealthCheckOptions;
+  // requests per minute this provider accepts, see middleware/rate-limiter
+  rateLimit?: RateLimitRuleConfig;
+}
+
+// The single config.json schema. The sections that used to live in
+// synapse-config.json keep their shape under capitalized keys.
+export interface UnifiedConfig {
+  APIKEY?: string;
+  HOST?: string;
+  LOG?: boolean;
+  PROXY_URL?: string;
+  CUSTOM_ROUTER_PATH?: string;
+  Providers: ProviderEntry[];
+  Router: {
+    default: RouteTarget;
+    background?: RouteTarget;
+    think?: RouteTarget;
+    longContext?: RouteTarget;
+    image?: RouteTarget;
+    // agent roles used by context-aware routing
+    coder?: RouteTarget;
+    tool?: RouteTarget;
+    fast?: RouteTarget;
+    rules?: RouteRule[];
+    imageFallback?: "placeholder" | "describe";
+    imageDescriber?: string;
+  };
+  Models?: { [target: string]: ModelEntry };
+  CircuitBreaker?: Partial<CircuitBreakerOptions>;
+  Routing?: Partial<EnhancedRouterConfig["routing"]>;
+  Monitoring?: Partial<EnhancedRouterConfig["monitoring"]>;
+  Security?: Partial<SecurityConfig>;
+  AgentMapping?: { [agentType: string]: AgentMapping };
+  CostLimits?: Partial<CostLimits>;
+  Caching?: Partial<CachingConfig>;
+  Logging?: Partial<LoggingConfig>;
+  Pricing?: PricingConfig;
+  Usage?: Partial<UsageStoreOptions>;
+  [key: string]: any;
+}
+
+export interface MergeResult {
+  config: UnifiedConfig;
+  changes: string[];
+  warnings: string[];
+}
+
+// synapse-config.json section -> config.json key
+const SECTIONS: [string, string][] = [
+  ["routing", "Routing"],
+  ["monitoring", "Monitoring"],
+  ["security", "Security"],
+  ["agentMapping", "AgentMapping"],
+  ["costLimits", "CostLimits"],
+  ["caching", "Caching"],
+  ["logging", "Logging"],
+];
+
+const ROLES = ["default", "coder", "tool", "think", "fast", "longContext"];
+
+const modelOf = (target: RouteTarget | undefined) =>
+  toTargets(target)[0]?.split(",").slice(1).join(",");
+
+// "provider,model" for a bare model name, using the first provider serving it
+const findTarget = (providers: ProviderEntry[], model: string) => {
+  if (model.includes(",")) return model;
+  const provider = providers.find((p) => p.models?.includes(model));
+  return provider ? `${provider.name},${model}` : null;
+};
+
+// Puts back what redactSecrets took out, so that a config read from
+// GET /api/synapse/config can be sent back as it is
+const restoreRedacted = (value: any, current: any): any => {
+  if (value === REDACTED) return current;
+  if (Array.isArray(value)) {
+    return value.map((item, index) => restoreRedacted(item, current?.[index]));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, restoreRedacted(item, current?.[key])])
+    );
+  }
+  return value;
+};
+
+/**
+ * Merges a synapse-config.json document into a config.json document.
+ * config.json wins on conflicts unless `overwrite` is set.
+ */
+export const mergeSynapseConfig = (
+  base: any,
+  synapse: any,
+  { overwrite = false } = {}
+): MergeResult => {
+  const config: UnifiedConfig = structuredClone(base || {});
+  const changes: string[] = [];
+  const warnings: string[] = [];
+  config.Providers = Array.isArray(config.Providers) ? config.Providers : [];
+
+  for (const [name, provider] of Object.entries<any>(synapse?.providers || {})) {
+    const apiBaseUrl = provider.baseUrl
+      ? `${getApiRoot(provider.baseUrl)}/chat/completions`
+      : undefined;
+    const existing = config.Providers.find((p) => p.name === name);
+    if (!existing) {
+      config.Providers.push({
+        name,
+        api_base_url: apiBaseUrl!,
+        api_key: provider.apiKey,
+        models: provider.models || [],
+      });
+      changes.push(`Added provider ${name}`);
+      continue;
+    }
+    if (overwrite) {
+      // a redacted key from GET /api/synapse/config, or one of the keys
+      // already in the list, leaves the list of keys as it is
+      if (
+        provider.apiKey &&
+        provider.apiKey !== REDACTED &&
+        ![existing.api_key].flat().includes(provider.apiKey)
+      ) {
+        existing.api_key = provider.apiKey;
+      }
+      existing.api_base_url = apiBaseUrl ?? existing.api_base_url;
+      existing.models = provider.models ?? existing.models;
+      changes.push(`Updated provider ${name}`);
+      continue;
+    }
+    if (
+      provider.apiKey &&
+      ![existing.api_key].flat().includes(provider.apiKey)
+    ) {
+      warnings.push(
+        `providers.${name}.apiKey differs from config.json, keeping config.json`
+      );
+    }
+    if (
+      provider.baseUrl &&
+      getApiRoot(provider.baseUrl) !== getApiRoot(existing.api_base_url)
+    ) {
+      warnings.push(
+        `providers.${name}.baseUrl differs from config.json, keeping config.json`
+      );
+    }
+    const newModels = (provider.models || []).filter(
+      (model: string) => !existing.models?.includes(model)
+    );
+    if (newModels.length) {
+      existing.models = [...(existing.models || []), ...newModels];
+      changes.push(`Added models ${newModels.join(", ")} to provider ${name}`);
+    }
+  }
+
+  config.Router = { ...(config.Router || {}) } as UnifiedConfig["Router"];
+  const router: any = config.Router;
+  for (const role of ROLES) {
+    const model = synapse?.models?.[role];
+    if (!model) continue;
+    if (router[role] && !overwrite) {
+      if (modelOf(router[role]) !== model) {
+        warnings.push(
+          `models.${role} (${model}) differs from Router.${role}, keeping Router.${role}`
+        );
+      }
+      continue;
+    }
+    const target = findTarget(config.Providers, model);
+    if (!target) {
+      warnings.push(`models.${role}: no provider serves ${model}, skipped`);
+      continue;
+    }
+    router[role] = target;
+    changes.push(`Router.${role} = ${target}`);
+  }
+
+  for (const [legacyKey, key] of SECTIONS) {
+    const value = synapse?.[legacyKey];
+    if (value === undefined) continue;
+    config[key] = overwrite
+      ? { ...(config[key] || {}), ...restoreRedacted(value, config[key]) }
+      : { ...value, ...(config[key] || {}) };
+    changes.push(`Merged ${legacyKey} into ${key}`);
+  }
+
+  return { config, changes, warnings };
+};
+
+/**
+ * The config in the shape SynapseAPI and EnhancedRouter work with. Role models
+ * and providers are derived from Router and Providers.
+ */
+export const toSynapseRouterConfig = (
+  config: any
+): RouterConfig & { [key: string]: any } => {
+  const router = config?.Router || {};
+  const roleModel = (...keys: string[]) =>
+    keys.map((key) => modelOf(router[key])).find(Boolean) || "";
+  const providers: RouterConfig["providers"] = {};
+  for (const provider of config?.Providers || []) {
+    if (!provider?.name) continue;
+    providers[provider.name] = {
+      apiKey: firstKey(provider.api_key) || "",
+      baseUrl: provider.api_base_url ? getApiRoot(provider.api_base_url) : "",
+      models: provider.models || [],
+    };
+  }
+
+  return {
+    models: {
+      default: roleModel("default"),
+      coder: roleModel("coder", "default"),
+      tool: roleModel("tool", "default"),
+      think: roleModel("think", "default"),
+      fast: roleModel("fast", "background", "default"),
+      longContext: roleModel("longContext", "default"),
+    },
+    providers,
+    routing: {
+      enabled: true,
+      fallbackEnabled: true,
+      retryAttempts: 3,
+      ...(config?.Routing || {}),
+    },
+    monitoring: {
+      usageTracking: true,
+      healthChecks: true,
+      costTracking: true,
+      ...(config?.Monitoring || {}),
+    },
+    security: config?.Security,
+    agentMapping: config?.AgentMapping,
+    costLimits: config?.CostLimits,
+    caching: config?.Caching,
+    logging: config?.Logging,
+  };
+};
+
+const readJson = (file: string) => JSON.parse(fs.readFileSync(file, "utf-8"));
+
+let warnedAboutLegacyFile = false;
+
+// Folds a not yet migrated synapse-config.json into the given config.json
+// contents, so both files are honoured until `ccr config migrate` is run
+export const withLegacySynapseConfig = (
+  config: any,
+  synapseFile: string = SYNAPSE_CONFIG_FILE
+) => {
+  if (!fs.existsSync(synapseFile)) {
+    return config;
+  }
+  try {
+    const { config: merged, warnings } = mergeSynapseConfig(
+      config,
+      readJson(synapseFile)
+    );
+    if (!warnedAboutLegacyFile) {
+      warnedAboutLegacyFile = true;
+      console.warn(
+        `⚠️ ${synapseFile} is deprecated, run \`ccr config migrate\` to merge it into config.json.`
+      );
+      warnings.forEach((warning) => console.warn(`   ${warning}`));
+    }
+    return merged;
+  } catch (error: any) {
+    console.warn(`Failed to read ${synapseFile}:`, error.message);
+    return config;
+  }
+};
+
+// Reads config.json (plus any legacy synapse-config.json) without prompting
+export const loadUnifiedConfig = (configFile: string = CONFIG_FILE) => {
+  const config = fs.existsSync(configFile) ? readJson(configFile) : {};
+  return withLegacySynapseConfig(config);
+};
+
+export interface MigrationResult extends MergeResult {
+  backupFile?: string;
+  migratedFile: string;
+}
+
+/**
+ * Merges synapse-config.json into config.json, keeping a backup of the old
+ * config.json and renaming the synapse file so it is no longer read.
+ */
+export const migrateSynapseConfig = (
+  synapseFile: string = SYNAPSE_CONFIG_FILE,
+  configFile: string = CONFIG_FILE
+): MigrationResult => {
+  if (!fs.existsSync(synapseFile)) {
+    throw new Error(`${synapseFile} not found`);
+  }
+  const hasConfig = fs.existsSync(configFile);
+  const result = mergeSynapseConfig(
+    hasConfig ? readJson(configFile) : {},
+    readJson(synapseFile)
+  );
+
+  let backupFile: string | undefined;
+  if (hasConfig) {
+    backupFile = `${configFile}.bak`;
+    fs.copyFileSync(configFile, backupFile);
+  }
+  fs.writeFileSync(configFile, JSON.stringify(result.config, null, 2));
+  const migratedFile = `${synapseFile}.migrated`;
+  fs.renameSync(synapseFile, migratedFile);
+
+  return { ...result, backupFile, migratedFile };
+};
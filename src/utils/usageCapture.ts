@@ -0,0 +1,177 @@
+import { Readable, Transform } from "node:stream";
+import { log } from "./log";
+import { usageTracker } from "../middleware/usage-tracking";
+import { metrics } from "../middleware/metrics";
+import { alerts } from "../middleware/alerting";
+
+// What is known about a response once it has been sent
+interface CapturedResponse {
+  model?: string;
+  usage: { [field: string]: number };
+  error?: string;
+  // ms from the request to the first content delta of a stream
+  ttft?: number;
+}
+
+const isMessagesRequest = (req: any) =>
+  req.method === "POST" && req.url?.split("?")[0] === "/v1/messages";
+
+// Usage fields of message_start and message_delta; later non-zero values win,
+// since some providers only report input tokens at the end of the stream
+const mergeUsage = (captured: CapturedResponse, usage: any) => {
+  if (!usage || typeof usage !== "object") return;
+  for (const [field, value] of Object.entries(usage)) {
+    if (typeof value === "number" && (value > 0 || !(field in captured.usage))) {
+      captured.usage[field] = value;
+    }
+  }
+};
+
+/**
+ * Reads the Anthropic SSE events of a streamed response as they pass through,
+ * without holding on to the content.
+ */
+class SseUsageParser {
+  private buffer = "";
+  private decoder = new TextDecoder();
+
+  constructor(
+    private captured: CapturedResponse,
+    private elapsed: () => number
+  ) {}
+
+  push(chunk: Uint8Array | string) {
+    this.buffer +=
+      typeof chunk === "string"
+        ? chunk
+        : this.decoder.decode(chunk, { stream: true });
+    let newline: number;
+    while ((newline = this.buffer.indexOf("\n")) >= 0) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (line.startsWith("data:")) {
+        this.onData(line.slice(5).trim());
+      }
+    }
+  }
+
+  private onData(data: string) {
+    let event: any;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (event?.type === "message_start") {
+      this.captured.model = event.message?.model;
+      mergeUsage(this.captured, event.message?.usage);
+    } else if (
+      event?.type === "content_block_delta" &&
+      this.captured.ttft === undefined
+    ) {
+      this.captured.ttft = Math.round(this.elapsed());
+    } else if (event?.type === "message_delta") {
+      mergeUsage(this.captured, event.usage);
+    } else if (event?.type === "error") {
+      this.captured.error = event.error?.message || "stream error";
+    }
+  }
+}
+
+const record = (req: any, reply: any, captured: CapturedResponse) => {
+  // routeTarget is the target that answered; req.provider may be a per-key
+  // or per-project copy such as "deepseek#2"
+  const [provider, ...model] = (
+    req.routeTarget || `${req.provider},${req.body?.model}`
+  ).split(",");
+  usageTracker
+    .trackRequest(
+      { ...(req.synapseContext || {}), clientKey: req.clientKey?.name },
+      {
+        provider: provider.split(/[@#]/)[0],
+        model: model.join(",") || captured.model,
+        usage: captured.usage,
+        latency: Math.round(reply.elapsedTime),
+        ttft: captured.ttft,
+        success: reply.statusCode < 400 && !captured.error,
+        routingReason: req.routeReason || "synapse",
+        apiKey: req.apiKeyLabel,
+      }
+    )
+    .then((record) => {
+      metrics.observeUsage(record);
+      alerts.observeUsage(record);
+    })
+    .catch((error: any) => log("Failed to record usage:", error.message));
+};
+
+const parseBody = (payload: string | Buffer): CapturedResponse => {
+  const captured: CapturedResponse = { usage: {} };
+  try {
+    const body = JSON.parse(payload.toString());
+    captured.model = body?.model;
+    mergeUsage(captured, body?.usage);
+    if (body?.type === "error" || body?.error) {
+      captured.error = body.error?.message || "error";
+    }
+  } catch {
+    // not JSON, nothing to read
+  }
+  return captured;
+};
+
+/**
+ * Records a usage entry for every /v1/messages response that reached an
+ * upstream provider, streamed or not. Token counts come from the response
+ * after transformation, so they are in Anthropic form whatever the provider.
+ */
+export const registerUsageCapture = (app: any) => {
+  app.addHook("onSend", async (req: any, reply: any, payload: any) => {
+    if (!isMessagesRequest(req) || !req.provider) {
+      return payload;
+    }
+    if (typeof payload === "string" || Buffer.isBuffer(payload)) {
+      record(req, reply, parseBody(payload));
+      return payload;
+    }
+    const captured: CapturedResponse = { usage: {} };
+    const parser = new SseUsageParser(captured, () => reply.elapsedTime);
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      record(req, reply, captured);
+    };
+    // a client that hangs up mid-stream still used what was generated so far
+    reply.raw.once("close", finish);
+    if (payload instanceof Readable) {
+      return payload.pipe(
+        new Transform({
+          transform(chunk, _encoding, callback) {
+            parser.push(chunk);
+            callback(null, chunk);
+          },
+          flush(callback) {
+            finish();
+            callback();
+          },
+        })
+      );
+    }
+    if (typeof payload?.pipeThrough === "function") {
+      return payload.pipeThrough(
+        new TransformStream({
+          transform(chunk, controller) {
+            parser.push(chunk);
+            controller.enqueue(chunk);
+          },
+          flush() {
+            finish();
+          },
+        })
+      );
+    }
+    finish();
+    return payload;
+  });
+};
@@ -0,0 +1,121 @@
+import { CONFIG_FILE } from "../constants";
+import { validateConfigFile } from "./configValidation";
+import { getServiceInfo } from "./processCheck";
+import { describeCliAuthFailure, getCliApiKey } from "./clientKeys";
+import {
+  formatUsageTable,
+  USAGE_GROUP_BY,
+  UsageGroupBy,
+  UsageReportRow,
+} from "./usageReport";
+
+const USAGE_HELP_TEXT = `
+Usage: ccr usage [options]
+
+Options:
+  --group-by <group>   ${USAGE_GROUP_BY.join(", ")} (default: day)
+  --since <when>       ISO date, or a duration such as 7d or 12h (default: 30d)
+  --until <when>       ISO date, or a duration such as 1d (default: now)
+  --format <format>    table, csv or json (default: table)
+  --project <id>       Only requests of this project
+  --agent <id>         Only requests of this agent
+
+Raw records are available from GET /api/synapse/usage/export.
+`;
+
+const FORMATS = ["table", "csv", "json"];
+
+const parseOptions = (args: string[]) => {
+  const options: { [name: string]: string } = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      options[args[i].slice(2)] = args[i + 1] ?? "";
+      i++;
+    }
+  }
+  return options;
+};
+
+// "7d" and "12h" count back from now, anything else is passed on as a date
+const parseWhen = (name: string, value?: string) => {
+  if (!value) return undefined;
+  const match = /^(\d+)([dh])$/.exec(value);
+  if (match) {
+    const hours = Number(match[1]) * (match[2] === "d" ? 24 : 1);
+    return new Date(Date.now() - hours * 3600 * 1000).toISOString();
+  }
+  if (Number.isNaN(Date.parse(value))) {
+    throw new Error(`Invalid --${name} value "${value}"`);
+  }
+  return value;
+};
+
+// Prints a usage report from the running service
+export async function executeUsageCommand(args: string[] = []) {
+  if (args[0] === "help" || args.includes("-h") || args.includes("--help")) {
+    console.log(USAGE_HELP_TEXT);
+    return;
+  }
+  const info = getServiceInfo();
+  if (!info.running) {
+    console.log("Service is not running, start it with `ccr start`.");
+    process.exit(1);
+  }
+  try {
+    const options = parseOptions(args);
+    const groupBy = (options["group-by"] || "day") as UsageGroupBy;
+    if (!USAGE_GROUP_BY.includes(groupBy)) {
+      throw new Error(`Invalid --group-by value "${groupBy}"`);
+    }
+    const format = options.format || "table";
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid --format value "${format}"`);
+    }
+    const params = new URLSearchParams({
+      groupBy,
+      format: format === "csv" ? "csv" : "json",
+      since: parseWhen("since", options.since || "30d")!,
+    });
+    const until = parseWhen("until", options.until);
+    if (until) params.set("until", until);
+    if (options.project) params.set("projectId", options.project);
+    if (options.agent) params.set("agentId", options.agent);
+
+    const headers: Record<string, string> = {};
+    const { config } = validateConfigFile(CONFIG_FILE);
+    const apiKey = getCliApiKey(config);
+    if (apiKey) {
+      headers["x-api-key"] = apiKey;
+    }
+    const response = await fetch(
+      `${info.endpoint}/api/synapse/usage/export?${params}`,
+      { headers }
+    );
+    if (response.status === 401) {
+      throw new Error(describeCliAuthFailure(config));
+    }
+    if (!response.ok) {
+      const body: any = await response.json().catch(() => ({}));
+      throw new Error(
+        body.error?.message || body.error || `HTTP ${response.status}`
+      );
+    }
+    if (format === "csv") {
+      process.stdout.write(await response.text());
+      return;
+    }
+    const { rows } = (await response.json()) as { rows: UsageReportRow[] };
+    if (format === "json") {
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+    if (!rows.length) {
+      console.log("No usage recorded in this range.");
+      return;
+    }
+    console.log(formatUsageTable(groupBy, rows));
+  } catch (error: any) {
+    console.error(`Failed to get usage: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,367 @@
+import {
+  USAGE_BREAKDOWN_GROUPS,
+  UsageBreakdownGroup,
+  UsageFilters,
+  UsageRecord,
+} from "../middleware/usage-tracking";
+import { UsageRollupEntry } from "../middleware/usage-store";
+
+export type UsageGroupBy =
+  | "day"
+  | "model"
+  | "provider"
+  | "project"
+  | "agent"
+  | "client";
+
+export const USAGE_GROUP_BY: UsageGroupBy[] = [
+  "day",
+  "model",
+  "provider",
+  "project",
+  "agent",
+  "client",
+];
+
+export interface UsageReportRow {
+  group: string;
+  requests: number;
+  successRate: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  cacheWriteTokens: number;
+  totalTokens: number;
+  cost: number;
+  averageLatency: number;
+}
+
+export class UsageQueryError extends Error {
+  statusCode = 400;
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// "2025-09-01" as `until` means the whole of that day
+const parseDate = (name: string, value: string, endOfDay = false): Date => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new UsageQueryError(`${name} must be an ISO date, got "${value}"`);
+  }
+  return new Date(
+    endOfDay && DATE_ONLY.test(value) ? time + 24 * 3600 * 1000 - 1 : time
+  );
+};
+
+const single = (value: any): string | undefined =>
+  Array.isArray(value) ? value[0] : value || undefined;
+
+/**
+ * Filters from query parameters: projectId, agentId, clientKey and a time
+ * range as plain ISO `since`/`until`. The older `timeRange` JSON parameter
+ * ({"start": ..., "end": ...}) is still read.
+ */
+export const parseUsageFilters = (query: any = {}): UsageFilters => {
+  const filters: UsageFilters = {
+    projectId: single(query.projectId),
+    agentId: single(query.agentId),
+    clientKey: single(query.clientKey),
+  };
+  let since = single(query.since);
+  let until = single(query.until);
+  const timeRange = single(query.timeRange);
+  if (timeRange) {
+    let parsed: any;
+    try {
+      parsed = JSON.parse(timeRange);
+    } catch {
+      throw new UsageQueryError(
+        'timeRange must be JSON like {"start":"2025-09-01","end":"2025-09-30"}, or use since/until'
+      );
+    }
+    since = since || parsed?.start;
+    until = until || parsed?.end;
+  }
+  if (since || until) {
+    const start = since ? parseDate("since", since) : new Date(0);
+    const end = until ? parseDate("until", until, true) : new Date();
+    if (start > end) {
+      throw new UsageQueryError("since must be before until");
+    }
+    filters.timeRange = { start, end };
+  }
+  return filters;
+};
+
+export const parseGroupBy = (value: any): UsageGroupBy | undefined => {
+  const groupBy = single(value);
+  if (groupBy === undefined) return undefined;
+  if (!USAGE_GROUP_BY.includes(groupBy as UsageGroupBy)) {
+    throw new UsageQueryError(
+      `groupBy must be one of ${USAGE_GROUP_BY.join(", ")}`
+    );
+  }
+  return groupBy as UsageGroupBy;
+};
+
+// groupBy of /api/synapse/usage: a comma-separated list of breakdowns, or "all"
+export const parseBreakdownGroups = (
+  value: any
+): UsageBreakdownGroup[] | undefined => {
+  const groupBy = single(value);
+  if (groupBy === undefined) return undefined;
+  if (groupBy === "all") return USAGE_BREAKDOWN_GROUPS;
+  const groups = groupBy.split(",").map((group) => group.trim());
+  const unknown = groups.find(
+    (group) => !USAGE_BREAKDOWN_GROUPS.includes(group as UsageBreakdownGroup)
+  );
+  if (unknown !== undefined) {
+    throw new UsageQueryError(
+      `groupBy must be "all" or a list of ${USAGE_BREAKDOWN_GROUPS.join(", ")}`
+    );
+  }
+  return groups as UsageBreakdownGroup[];
+};
+
+const groupKey = (
+  groupBy: UsageGroupBy,
+  entry: {
+    timestamp?: Date | string;
+    period?: string;
+    model?: string;
+    provider?: string;
+    projectId?: string;
+    agentId?: string;
+    clientKey?: string;
+  }
+): string => {
+  switch (groupBy) {
+    case "day":
+      return entry.period
+        ? entry.period.slice(0, 10)
+        : new Date(entry.timestamp!).toISOString().slice(0, 10);
+    case "model":
+      return entry.model ? `${entry.provider},${entry.model}` : "(unknown)";
+    case "provider":
+      return entry.provider || "(unknown)";
+    case "project":
+      return entry.projectId || "(none)";
+    case "agent":
+      return entry.agentId || "(none)";
+    case "client":
+      return entry.clientKey || "(none)";
+  }
+};
+
+/**
+ * Totals per group, from raw records plus the rollups of pruned days.
+ * Rows are sorted by group, which keeps days in order.
+ */
+export const groupUsage = (
+  groupBy: UsageGroupBy,
+  records: UsageRecord[],
+  rollups: UsageRollupEntry[] = []
+): UsageReportRow[] => {
+  const rows = new Map<
+    string,
+    UsageReportRow & { successes: number; latencySum: number }
+  >();
+  const add = (
+    key: string,
+    requests: number,
+    successes: number,
+    tokens: UsageRollupEntry["tokens"],
+    cost: number,
+    latency: number
+  ) => {
+    let row = rows.get(key);
+    if (!row) {
+      row = {
+        group: key,
+        requests: 0,
+        successRate: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+        averageLatency: 0,
+        successes: 0,
+        latencySum: 0,
+      };
+      rows.set(key, row);
+    }
+    row.requests += requests;
+    row.successes += successes;
+    row.inputTokens += tokens.input || 0;
+    row.outputTokens += tokens.output || 0;
+    row.cacheReadTokens += tokens.cacheRead || 0;
+    row.cacheWriteTokens += tokens.cacheWrite || 0;
+    row.totalTokens += tokens.total || 0;
+    row.cost += cost || 0;
+    row.latencySum += latency || 0;
+  };
+  for (const record of records) {
+    add(
+      groupKey(groupBy, record),
+      1,
+      record.success ? 1 : 0,
+      {
+        cacheRead: 0,
+        cacheWrite: 0,
+        ...record.tokens,
+      },
+      record.cost,
+      record.latency
+    );
+  }
+  for (const entry of rollups) {
+    add(
+      groupKey(groupBy, entry),
+      entry.requests,
+      entry.successes,
+      entry.tokens,
+      entry.cost,
+      entry.latency
+    );
+  }
+  return Array.from(rows.values())
+    .sort((a, b) => a.group.localeCompare(b.group))
+    .map(({ successes, latencySum, ...row }) => ({
+      ...row,
+      successRate: row.requests ? successes / row.requests : 0,
+      averageLatency: row.requests ? Math.round(latencySum / row.requests) : 0,
+    }));
+};
+
+const csvCell = (value: any): string => {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvLine = (values: any[]) => `${values.map(csvCell).join(",")}\n`;
+
+export const REPORT_COLUMNS: (keyof UsageReportRow)[] = [
+  "group",
+  "requests",
+  "successRate",
+  "inputTokens",
+  "outputTokens",
+  "cacheReadTokens",
+  "cacheWriteTokens",
+  "totalTokens",
+  "cost",
+  "averageLatency",
+];
+
+export const RECORD_COLUMNS = [
+  "timestamp",
+  "projectId",
+  "agentId",
+  "agentType",
+  "clientKey",
+  "provider",
+  "model",
+  "routingReason",
+  "apiKey",
+  "success",
+  "latency",
+  "inputTokens",
+  "outputTokens",
+  "cacheReadTokens",
+  "cacheWriteTokens",
+  "totalTokens",
+  "cost",
+  "currency",
+  "originalCost",
+  "priceVersion",
+];
+
+// One raw record as a flat CSV row in RECORD_COLUMNS order
+export const recordToCsvLine = (record: UsageRecord) =>
+  toCsvLine([
+    new Date(record.timestamp).toISOString(),
+    record.projectId,
+    record.agentId,
+    record.agentType,
+    record.clientKey,
+    record.provider,
+    record.model,
+    record.routingReason,
+    record.apiKey,
+    record.success,
+    record.latency,
+    record.tokens?.input,
+    record.tokens?.output,
+    record.tokens?.cacheRead,
+    record.tokens?.cacheWrite,
+    record.tokens?.total,
+    record.cost,
+    record.currency,
+    record.originalCost,
+    record.priceVersion,
+  ]);
+
+const tableCells = (row: UsageReportRow) => [
+  row.group,
+  String(row.requests),
+  `${(row.successRate * 100).toFixed(1)}%`,
+  row.inputTokens.toLocaleString("en-US"),
+  row.outputTokens.toLocaleString("en-US"),
+  row.cacheReadTokens.toLocaleString("en-US"),
+  row.cacheWriteTokens.toLocaleString("en-US"),
+  row.cost.toFixed(4),
+  String(row.averageLatency),
+];
+
+// Plain-text table for the terminal, with a total line under the groups
+export const formatUsageTable = (
+  groupBy: UsageGroupBy,
+  rows: UsageReportRow[]
+): string => {
+  const header = [
+    groupBy,
+    "requests",
+    "success",
+    "input",
+    "output",
+    "cache read",
+    "cache write",
+    "cost (USD)",
+    "avg ms",
+  ];
+  const requests = rows.reduce((sum, row) => sum + row.requests, 0);
+  const sum = (field: keyof UsageReportRow) =>
+    rows.reduce((total, row) => total + (row[field] as number), 0);
+  const weighted = (field: "successRate" | "averageLatency") =>
+    requests
+      ? rows.reduce((total, row) => total + row[field] * row.requests, 0) /
+        requests
+      : 0;
+  const total = tableCells({
+    group: "total",
+    requests,
+    successRate: weighted("successRate"),
+    inputTokens: sum("inputTokens"),
+    outputTokens: sum("outputTokens"),
+    cacheReadTokens: sum("cacheReadTokens"),
+    cacheWriteTokens: sum("cacheWriteTokens"),
+    totalTokens: sum("totalTokens"),
+    cost: sum("cost"),
+    averageLatency: Math.round(weighted("averageLatency")),
+  });
+  const body = rows.map(tableCells);
+  const widths = header.map((_, column) =>
+    Math.max(...[header, ...body, total].map((line) => line[column].length))
+  );
+  const format = (line: string[]) =>
+    line
+      .map((cell, column) =>
+        column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+      )
+      .join("  ");
+  const separator = widths.map((width) => "-".repeat(width)).join("  ");
+  return [format(header), separator, ...body.map(format), separator, format(total)].join("\n");
+};
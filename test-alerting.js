@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+// Threshold alerts: firing, resolving, cooldown and webhooks
+
+const assert = require('assert/strict');
+const http = require('http');
+const { loadSources, check, sleep, finish } = require('./test-helpers');
+
+const { alerting, eventBus } = loadSources({
+  alerting: 'src/middleware/alerting.ts',
+  eventBus: 'src/middleware/event-bus.ts'
+});
+
+// Collects the alerts POSTed to a local webhook
+const startWebhook = async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => server.close() };
+};
+
+const main = async () => {
+  console.log('🚨 Testing alerts...\n');
+
+  await check('an error rate alert fires once, resolves, and is held back during the cooldown', async () => {
+    const webhook = await startWebhook();
+    const published = [];
+    const unsubscribe = eventBus.events.on('alert', (event) => published.push(event));
+    const manager = new alerting.AlertManager();
+    manager.configure({ enabled: true, minRequests: 2, cooldownMs: 60000, webhookUrl: webhook.url, thresholds: { errorRate: 0.5 } });
+    try {
+      manager.recordOutcome('deepseek', false, 100);
+      assert.equal(manager.getAlerts().active.length, 0, 'fired below minRequests');
+      manager.recordOutcome('deepseek', false, 100);
+      const [active] = manager.getAlerts().active;
+      assert.equal(active.data.key, 'error_rate:deepseek');
+      assert.equal(active.data.severity, 'critical');
+      assert.equal(active.data.status, 'firing');
+
+      // still failing: no second notification
+      manager.recordOutcome('deepseek', false, 100);
+      for (let i = 0; i < 4; i++) manager.recordOutcome('deepseek', true, 100);
+      assert.equal(manager.getAlerts().active.length, 0);
+      assert.deepEqual(published.map((event) => event.data.status), ['firing', 'resolved']);
+      assert.equal(published[1].data.message, 'Error rate of deepseek is down to 43%');
+
+      // 5 of 9 failed, over the threshold again but within the cooldown
+      manager.recordOutcome('deepseek', false, 100);
+      manager.recordOutcome('deepseek', false, 100);
+      assert.equal(manager.getAlerts().active.length, 0);
+      assert.equal(published.length, 2);
+
+      for (let wait = 0; wait < 50 && webhook.received.length < 2; wait++) await sleep(20);
+      assert.deepEqual(webhook.received.map((event) => event.data.status), ['firing', 'resolved']);
+    } finally {
+      unsubscribe();
+      manager.configure({ enabled: false });
+      webhook.close();
+    }
+  });
+
+  await check('health checks alert on transitions, not on repeated results', () => {
+    const manager = new alerting.AlertManager();
+    // a known outage before alerting is enabled is not a transition
+    manager.recordHealth('ollama', false, 'ECONNREFUSED');
+    manager.configure({ enabled: true, cooldownMs: 0 });
+    try {
+      manager.recordHealth('ollama', false, 'ECONNREFUSED');
+      assert.equal(manager.getAlerts().active.length, 0);
+      manager.recordHealth('ollama', true);
+      manager.recordHealth('ollama', false, 'timeout');
+      const [active] = manager.getAlerts().active;
+      assert.equal(active.data.key, 'health:ollama');
+      assert.equal(active.data.severity, 'high');
+      assert.match(active.data.message, /timeout/);
+      manager.recordHealth('ollama', true);
+      assert.equal(manager.getAlerts().active.length, 0);
+      assert.equal(manager.getAlerts().recent[0].data.status, 'resolved');
+    } finally {
+      manager.configure({ enabled: false });
+    }
+  });
+
+  finish();
+};
+
+main();
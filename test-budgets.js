@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+// CostLimits: spend from the store and running totals, downgrade and reject
+
+const assert = require('assert/strict');
+const {
+  loadSources,
+  check,
+  finish,
+  usageDir,
+  today,
+  usageRecord,
+  writeSegment,
+  writeRollup,
+  rollupEntry,
+  approx
+} = require('./test-helpers');
+
+const { costLimits, clientKeys, tracking } = loadSources({
+  costLimits: 'src/utils/costLimits.ts',
+  clientKeys: 'src/utils/clientKeys.ts',
+  tracking: 'src/middleware/usage-tracking.ts'
+});
+const { usageTracker } = tracking;
+
+// a day earlier in this UTC month, if there is one
+const earlierThisMonth = today.endsWith('-01') ? undefined : `${today.slice(0, 7)}-01`;
+
+// 1M input tokens of deepseek-chat at the built-in price
+const trackDeepseek = (context) =>
+  usageTracker.trackRequest(context, {
+    provider: 'deepseek',
+    model: 'deepseek-chat',
+    usage: { input_tokens: 1000000, output_tokens: 0 },
+    success: true
+  });
+
+const main = async () => {
+  console.log('🧪 Testing budgets...\n');
+
+  // spend so far, read back on the first budget check
+  writeSegment(usageDir, today, [
+    usageRecord({ projectId: 'web', cost: 1.5 }),
+    usageRecord({ agentId: 'reviewer', cost: 0.5 }),
+    usageRecord({ clientKey: 'ci', cost: 0.1 })
+  ]);
+  if (earlierThisMonth) {
+    writeRollup(usageDir, earlierThisMonth, [rollupEntry({ period: `${earlierThisMonth}T05`, projectId: 'web', cost: 3 })]);
+  }
+  const earlierSpend = earlierThisMonth ? 3 : 0;
+  const config = {
+    CostLimits: {
+      global: { daily: 10, monthly: 100 },
+      perProject: { daily: 2, monthly: 50 },
+      downgradeAt: 0.8,
+      downgradeTo: 'cheap,small'
+    }
+  };
+
+  await check('spend is read back from raw records and rollups of the UTC month', async () => {
+    const statuses = await costLimits.getBudgetStatus(config, { projectId: 'web' });
+    const find = (scope, period) => statuses.find((status) => status.scope === scope && status.period === period);
+    approx(find('global', 'daily').spent, 2.1);
+    approx(find('global', 'monthly').spent, 2.1 + earlierSpend);
+    approx(find('project', 'daily').spent, 1.5);
+    approx(find('project', 'monthly').spent, 1.5 + earlierSpend);
+    assert.equal(find('project', 'daily').state, 'ok');
+    approx(find('project', 'daily').used, 0.75);
+  });
+
+  await check('new spend is added as requests are tracked and moves the budget to downgrade', async () => {
+    await trackDeepseek({ projectId: 'web' });
+    const result = await costLimits.checkCostLimits(config, { projectId: 'web' });
+    assert.equal(result.action, 'downgrade');
+    assert.equal(result.target, 'cheap,small');
+    approx(result.status.spent, 1.77);
+  });
+
+  await check('a spent budget rejects the request', async () => {
+    await trackDeepseek({ projectId: 'web' });
+    const result = await costLimits.checkCostLimits(config, { projectId: 'web' });
+    assert.equal(result.action, 'reject');
+    assert.equal(result.message, 'Cost limit reached: project "web" daily budget ($2.04 of $2)');
+    assert.equal((await costLimits.checkCostLimits({ CostLimits: { ...config.CostLimits, enabled: false } }, { projectId: 'web' })).action, 'allow');
+  });
+
+  await check('x-synapse-cost-limits is checked against the caller\'s own spend', async () => {
+    const statuses = await costLimits.getBudgetStatus(config, { agentId: 'reviewer', costLimits: { daily: 0.4 } });
+    const header = statuses.find((status) => status.scope === 'header');
+    assert.equal(header.name, 'reviewer');
+    approx(header.spent, 0.5);
+    assert.equal(header.state, 'exceeded');
+  });
+
+  await check('client key budgets use the key\'s own spend', async () => {
+    const identity = { name: 'ci', scopes: ['inference'], budget: { daily: 1, monthly: 0.05 } };
+    assert.equal(await clientKeys.checkClientBudget(identity), 'API key "ci" has used its monthly budget ($0.10 of $0.05)');
+    assert.equal(await clientKeys.checkClientBudget({ ...identity, name: 'new' }), null);
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+// Circuit breaker transitions: open, half-open probes and recovery
+
+const assert = require('assert/strict');
+const { loadSources, check, sleep, finish } = require('./test-helpers');
+
+const { circuit } = loadSources({ circuit: 'src/middleware/circuit-breaker.ts' });
+
+const main = async () => {
+  console.log('⚡ Testing circuit breakers...\n');
+
+  await check('consecutive failures open the circuit until a probe succeeds', async () => {
+    const breaker = new circuit.CircuitBreaker('p', {
+      ...circuit.DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+      failureThreshold: 2,
+      cooldownMs: 30
+    });
+    breaker.recordFailure('one');
+    assert.equal(breaker.getState(), 'closed');
+    breaker.recordFailure('two');
+    assert.equal(breaker.getState(), 'open');
+    assert.equal(breaker.isAvailable(), false);
+
+    await sleep(40);
+    assert.equal(breaker.getState(), 'half_open');
+    assert.equal(breaker.isAvailable(), true);
+    breaker.onAttempt();
+    // one probe at a time
+    assert.equal(breaker.isAvailable(), false);
+    breaker.recordSuccess();
+    assert.equal(breaker.getState(), 'closed');
+    assert.equal(breaker.getStatus().consecutiveFailures, 0);
+  });
+
+  await check('a failed probe opens the circuit again', async () => {
+    const breaker = new circuit.CircuitBreaker('p', {
+      ...circuit.DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+      failureThreshold: 1,
+      cooldownMs: 30
+    });
+    breaker.recordFailure();
+    await sleep(40);
+    breaker.onAttempt();
+    breaker.recordFailure('probe');
+    assert.equal(breaker.getState(), 'open');
+    assert.equal(breaker.getStatus().lastFailure, 'probe');
+  });
+
+  await check('the error rate opens the circuit once the window has enough requests', () => {
+    const breaker = new circuit.CircuitBreaker('p', {
+      ...circuit.DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+      failureThreshold: 100,
+      errorRateThreshold: 0.5,
+      windowSize: 4,
+      minRequests: 4
+    });
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    assert.equal(breaker.getState(), 'closed');
+    breaker.recordFailure();
+    assert.equal(breaker.getState(), 'open');
+    assert.equal(breaker.getStatus().errorRate, 0.5);
+  });
+
+  finish();
+};
+
+main();
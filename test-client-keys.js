@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// Client keys: authentication, scopes, allowlists and the key ccr commands send
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish } = require('./test-helpers');
+
+const { clientKeys } = loadSources({ clientKeys: 'src/utils/clientKeys.ts' });
+
+const main = async () => {
+  console.log('🗝️  Testing client keys...\n');
+
+  const file = path.join(home, 'client-keys.json');
+  fs.writeFileSync(file, JSON.stringify({ APIKEY: 'root-secret', Providers: [] }));
+
+  await check('created keys are stored hashed and authenticate as themselves', () => {
+    const key = clientKeys.createClientKey({ name: 'ci', providers: ['deepseek'] }, file);
+    assert.match(key, /^ccr-/);
+    const saved = fs.readFileSync(file, 'utf8');
+    assert.equal(saved.includes(key), false);
+    assert.equal(JSON.parse(saved).Providers.length, 0);
+    assert.throws(() => clientKeys.createClientKey({ name: 'ci' }, file), /already exists/);
+
+    const config = JSON.parse(saved);
+    const { identity } = clientKeys.authenticateClient(config, key);
+    assert.equal(identity.name, 'ci');
+    assert.deepEqual(identity.scopes, ['inference']);
+    assert.deepEqual(clientKeys.authenticateClient(config, 'root-secret').identity.scopes, ['inference', 'admin']);
+    assert.deepEqual(clientKeys.authenticateClient(config, 'ccr-guess'), { error: 'Invalid API key', status: 401 });
+  });
+
+  await check('revoked and expired keys are rejected', () => {
+    const key = clientKeys.createClientKey({ name: 'old', expiresAt: new Date(Date.now() - 1000).toISOString() }, file);
+    const revoked = clientKeys.createClientKey({ name: 'gone' }, file);
+    clientKeys.revokeClientKey('gone', file);
+    assert.throws(() => clientKeys.revokeClientKey('missing', file), /No client key/);
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.match(clientKeys.authenticateClient(config, key).error, /expired/);
+    assert.match(clientKeys.authenticateClient(config, revoked).error, /revoked/);
+    assert.deepEqual(clientKeys.listClientKeys(file).map((entry) => entry.name), ['ci', 'old', 'gone']);
+  });
+
+  await check('model calls need inference, everything else admin', () => {
+    assert.equal(clientKeys.requiredScope('/v1/messages'), 'inference');
+    assert.equal(clientKeys.requiredScope('/api/config/reload'), 'admin');
+    assert.equal(clientKeys.requiredScope('/providers'), 'admin');
+  });
+
+  await check('allowlists limit providers and models, as provider,model or bare names', () => {
+    const identity = { name: 'ci', scopes: ['inference'], providers: ['deepseek'], models: ['deepseek-chat', 'deepseek,deepseek-reasoner'] };
+    assert.equal(clientKeys.isTargetAllowed(identity, 'deepseek,deepseek-chat'), true);
+    assert.equal(clientKeys.isTargetAllowed(identity, 'deepseek,deepseek-reasoner'), true);
+    assert.equal(clientKeys.isTargetAllowed(identity, 'deepseek,deepseek-coder'), false);
+    assert.equal(clientKeys.isTargetAllowed(identity, 'openrouter,deepseek-chat'), false);
+    assert.equal(clientKeys.isTargetAllowed({ name: 'all', scopes: ['inference'] }, 'openrouter,any'), true);
+  });
+
+  await check('ccr commands send CCR_API_KEY before APIKEY and explain a rejection', () => {
+    delete process.env.CCR_API_KEY;
+    const clientKeysOnly = { ClientKeys: [{ name: 'admin', keyHash: 'a'.repeat(64), scopes: ['admin'] }] };
+    assert.equal(clientKeys.getCliApiKey(clientKeysOnly), undefined);
+    assert.match(clientKeys.describeCliAuthFailure(clientKeysOnly), /set CCR_API_KEY/);
+    assert.equal(clientKeys.getCliApiKey({ APIKEY: 'root-secret' }), 'root-secret');
+    assert.match(clientKeys.describeCliAuthFailure({ APIKEY: 'root-secret' }), /needs a restart/);
+
+    process.env.CCR_API_KEY = 'ccr-admin';
+    assert.equal(clientKeys.getCliApiKey({ APIKEY: 'root-secret' }), 'ccr-admin');
+    assert.match(clientKeys.describeCliAuthFailure({ APIKEY: 'root-secret' }), /rejected the key in CCR_API_KEY/);
+    delete process.env.CCR_API_KEY;
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+// Hot reload of config.json: what is swapped in, what is refused
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish } = require('./test-helpers');
+
+const { reload, eventBus } = loadSources({
+  reload: 'src/utils/configReload.ts',
+  eventBus: 'src/middleware/event-bus.ts'
+});
+
+const configFile = path.join(home, '.claude-code-router', 'config.json');
+
+const provider = (apiKey) => ({
+  name: 'deepseek',
+  api_base_url: 'https://api.deepseek.com/chat/completions',
+  api_key: apiKey,
+  models: ['deepseek-chat']
+});
+
+const baseConfig = {
+  APIKEY: 'client-secret',
+  Providers: [provider('sk-first-0000000001')],
+  Router: { default: 'deepseek,deepseek-chat' }
+};
+
+const writeConfig = (config) => fs.writeFileSync(configFile, typeof config === 'string' ? config : JSON.stringify(config));
+
+// Starts each check from a loaded baseConfig on a server listening on `host`
+const start = (host = '127.0.0.1') => {
+  writeConfig(baseConfig);
+  reload.setCurrentConfig(baseConfig, host);
+};
+
+const main = async () => {
+  console.log('♻️  Testing config reload...\n');
+
+  fs.mkdirSync(path.dirname(configFile), { recursive: true });
+  const applied = [];
+  reload.onConfigReload((config, previous) => applied.push({ config, previous }));
+  const changes = [];
+  eventBus.events.on('config_change', (event) => changes.push(event.data));
+
+  await check('a valid change is swapped in, listeners run and changed keys are published redacted', async () => {
+    start();
+    applied.length = 0;
+    writeConfig({ ...baseConfig, Providers: [provider('sk-second-000000002')], HOST: '127.0.0.1' });
+    const result = await reload.reloadConfig();
+    assert.deepEqual(result, { success: true, changed: true, errors: [], restartRequired: ['HOST'] });
+    assert.equal(reload.getCurrentConfig().Providers[0].api_key, 'sk-second-000000002');
+    assert.equal(applied.length, 1);
+    assert.equal(applied[0].previous, baseConfig);
+    assert.deepEqual(changes.map((change) => change.field).sort(), ['HOST', 'Providers']);
+    assert.equal(JSON.stringify(changes).includes('sk-'), false);
+
+    assert.equal((await reload.reloadConfig()).changed, false);
+    assert.equal(applied.length, 1);
+  });
+
+  await check('invalid JSON, schema errors and unresolvable secrets keep the current config', async () => {
+    start();
+    for (const broken of [
+      '{ "Providers": [',
+      { ...baseConfig, Router: {} },
+      { ...baseConfig, Providers: [provider('$CCR_TEST_MISSING_KEY')] }
+    ]) {
+      writeConfig(broken);
+      const result = await reload.reloadConfig();
+      assert.equal(result.success, false, JSON.stringify(broken));
+      assert.ok(result.errors.length > 0);
+      assert.equal(reload.getCurrentConfig(), baseConfig);
+    }
+  });
+
+  await check('a server listening beyond loopback refuses a reload that drops client auth', async () => {
+    const withoutAuth = { ...baseConfig, APIKEY: undefined };
+    start('0.0.0.0');
+    writeConfig(withoutAuth);
+    const refused = await reload.reloadConfig();
+    assert.equal(refused.success, false);
+    assert.equal(refused.errors[0].field, 'APIKEY');
+    assert.match(refused.errors[0].message, /listens on 0\.0\.0\.0/);
+    assert.equal(reload.getCurrentConfig(), baseConfig);
+
+    // client keys are enough
+    writeConfig({ ...withoutAuth, ClientKeys: [{ name: 'ci', keyHash: 'a'.repeat(64), scopes: ['inference'] }] });
+    assert.equal((await reload.reloadConfig()).success, true);
+
+    start('127.0.0.1');
+    writeConfig(withoutAuth);
+    assert.equal((await reload.reloadConfig()).success, true);
+  });
+
+  await check('concurrent reloads share one', async () => {
+    start();
+    writeConfig({ ...baseConfig, LOG: true });
+    const [first, second] = [reload.reloadConfig(), reload.reloadConfig(true)];
+    assert.equal(first, second);
+    assert.equal((await first).success, true);
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+// Validation of config.json, as done at startup and by ccr config validate
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish } = require('./test-helpers');
+
+const { validation } = loadSources({ validation: 'src/utils/configValidation.ts' });
+
+const validConfig = () => ({
+  Providers: [
+    {
+      name: 'deepseek',
+      api_base_url: 'https://api.deepseek.com/chat/completions',
+      api_key: 'sk-0000000001',
+      models: ['deepseek-chat', 'deepseek-reasoner'],
+      transformer: { use: ['deepseek'], 'deepseek-chat': { use: [['maxtoken', { max_tokens: 8192 }]] } }
+    }
+  ],
+  Router: { default: 'deepseek,deepseek-chat', think: ['deepseek,deepseek-reasoner', 'deepseek,deepseek-chat'] }
+});
+
+// The errors for `config`, as "field: message" strings
+const errorsOf = (config) =>
+  validation
+    .validateConfig(config)
+    .filter((error) => error.severity === 'error')
+    .map((error) => `${error.field}: ${error.message}`);
+
+const main = async () => {
+  console.log('📋 Testing config validation...\n');
+
+  await check('a valid config has no errors', () => {
+    assert.deepEqual(validation.validateConfig(validConfig()), []);
+  });
+
+  await check('Router targets must name a configured provider and one of its models', () => {
+    const config = validConfig();
+    config.Router.background = 'ollama,qwen2.5-coder';
+    config.Router.longContext = 'deepseek,deepseek-coder';
+    config.Router.think[1] = 'deepseek-chat';
+    assert.deepEqual(errorsOf(config), [
+      'Router.background: unknown provider "ollama"',
+      'Router.think[1]: "deepseek-chat" must be in the form "provider,model"',
+      'Router.longContext: model "deepseek-coder" is not listed in the models of provider "deepseek"'
+    ]);
+    assert.deepEqual(errorsOf({ ...validConfig(), Router: {} }), ['Router.default: is required']);
+  });
+
+  await check('malformed transformer.use entries and duplicate provider names are errors', () => {
+    const config = validConfig();
+    config.Providers[0].transformer.use = ['deepseek', '', ['maxtoken', 8192], 42];
+    config.Providers[0].transformer.unlisted = { use: ['tooluse'] };
+    config.Providers.push({ ...validConfig().Providers[0], transformer: undefined });
+    assert.deepEqual(errorsOf(config), [
+      'Providers[0].transformer.use[1]: transformer name must not be empty',
+      'Providers[0].transformer.use[2]: must be a transformer name or a ["name", { ...options }] pair',
+      'Providers[0].transformer.use[3]: must be a transformer name or a ["name", { ...options }] pair',
+      'Providers[1].name: duplicate provider name "deepseek" (also used by Providers[0])'
+    ]);
+    const warnings = validation.validateConfig(config).filter((error) => error.severity === 'warning');
+    assert.deepEqual(warnings.map((error) => error.field), ['Providers[0].transformer.unlisted']);
+  });
+
+  await check('ccr config validate reports JSON syntax errors with their line and column', () => {
+    const file = path.join(home, 'broken.json');
+    fs.writeFileSync(file, '{\n  "Providers": [],\n  "Router": { "default": "a,b" },,\n}');
+    const result = validation.validateConfigFile(file);
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0].message, /^invalid JSON: .* at line 3, column \d+$/);
+    assert.equal(validation.formatValidationError(result.errors[0]).startsWith(`❌ ${file}: `), true);
+
+    const missing = validation.validateConfigFile(path.join(home, 'missing.json'));
+    assert.equal(missing.valid, false);
+    assert.match(missing.errors[0].message, /ENOENT/);
+
+    fs.writeFileSync(file, JSON.stringify(validConfig()));
+    assert.equal(validation.validateConfigFile(file).valid, true);
+  });
+
+  finish();
+};
+
+main();
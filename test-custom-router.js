@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+// CUSTOM_ROUTER_PATH: a user module that may pick the model before routing
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish } = require('./test-helpers');
+
+const { customRouter, constants } = loadSources({
+  customRouter: 'src/utils/customRouter.ts',
+  constants: 'src/constants.ts'
+});
+
+// Writes a router module to the plugins directory and returns its path
+const plugin = (name, source) => {
+  fs.mkdirSync(constants.PLUGINS_DIR, { recursive: true });
+  const file = path.join(constants.PLUGINS_DIR, name);
+  fs.writeFileSync(file, source);
+  return file;
+};
+
+const run = (routerPath, helpers = { tokenCount: 0 }) =>
+  customRouter.runCustomRouter({ body: { model: 'claude' } }, { CUSTOM_ROUTER_PATH: routerPath }, helpers);
+
+const main = async () => {
+  console.log('🧭 Testing the custom router...\n');
+
+  await check('the module gets the request, config and helpers and picks the target', async () => {
+    const file = plugin(
+      'long-context.js',
+      `module.exports = async (req, config, helpers) =>
+        helpers.tokenCount > 1000 ? 'openrouter,' + req.body.model + ',' + helpers.synapseContext.projectId : null;`
+    );
+    assert.equal(await run(file, { tokenCount: 5000, synapseContext: { projectId: 'web' } }), 'openrouter,claude,web');
+    // null falls through to the built-in routing
+    assert.equal(await run(file, { tokenCount: 10 }), null);
+  });
+
+  await check('relative paths are resolved against the plugins directory, $HOME is expanded', async () => {
+    plugin('default-export.js', `exports.default = () => 'deepseek,deepseek-chat';`);
+    assert.equal(customRouter.resolveCustomRouterPath('default-export.js'), path.join(constants.PLUGINS_DIR, 'default-export.js'));
+    assert.equal(customRouter.resolveCustomRouterPath('$HOME/router.js'), path.join(home, 'router.js'));
+    assert.equal(await run('default-export.js'), 'deepseek,deepseek-chat');
+  });
+
+  await check('a module that throws, returns junk or does not load never fails the request', async () => {
+    assert.equal(await run(plugin('throws.js', `module.exports = async () => { throw new Error('boom'); };`)), null);
+    assert.equal(await run(plugin('junk.js', `module.exports = () => 'no-comma';`)), null);
+    assert.equal(await run(plugin('not-a-function.js', `module.exports = { route: true };`)), null);
+    assert.equal(await run(plugin('syntax-error.js', `module.exports = (`)), null);
+    assert.equal(await run(path.join(home, 'missing.js')), null);
+    assert.equal(await customRouter.runCustomRouter({}, {}, { tokenCount: 0 }), null);
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+// The event bus and the GET /api/synapse/events stream
+
+const assert = require('assert/strict');
+const http = require('http');
+const { loadSources, check, sleep, finish } = require('./test-helpers');
+
+const { eventBus, enhanced } = loadSources({
+  eventBus: 'src/middleware/event-bus.ts',
+  enhanced: 'src/utils/enhanced-router.ts'
+});
+
+const { events } = eventBus;
+
+// Serves handleEvents the way fastify would, with the query and headers given
+const startStream = async (query, headers = {}) => {
+  const router = new enhanced.EnhancedRouter();
+  const server = http.createServer((req, raw) => {
+    const reply = {
+      raw,
+      hijack() {},
+      getHeaders: () => ({ 'x-request-id': 'stream' }),
+      code(statusCode) {
+        raw.statusCode = statusCode;
+        return this;
+      },
+      send(body) {
+        raw.end(JSON.stringify(body));
+        return this;
+      }
+    };
+    router.handleEvents({ query, headers: req.headers }, reply);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const response = await new Promise((resolve) =>
+    http.get({ host: '127.0.0.1', port: server.address().port, headers }, resolve)
+  );
+  let received = '';
+  response.on('data', (chunk) => (received += chunk));
+  return {
+    response,
+    // the events received so far, parsed
+    events: () =>
+      received
+        .split('\n\n')
+        .filter((block) => block.startsWith('id: '))
+        .map((block) => JSON.parse(block.split('\n').find((line) => line.startsWith('data: ')).slice(6))),
+    close: () => {
+      response.destroy();
+      server.closeAllConnections();
+      server.close();
+    }
+  };
+};
+
+const main = async () => {
+  console.log('📣 Testing the event bus...\n');
+
+  await check('subscribers get their type or everything, until they unsubscribe', () => {
+    const bus = new eventBus.EventBus();
+    const routes = [];
+    const all = [];
+    const unsubscribe = bus.on('route', (event) => routes.push(event.data.model));
+    bus.on(eventBus.ALL_EVENTS, (event) => all.push(event.type));
+    bus.publish('route', 'router', { model: 'deepseek,deepseek-chat' });
+    bus.publish('alert', 'alerting', { message: 'down' });
+    unsubscribe();
+    bus.publish('route', 'router', { model: 'openrouter,gpt-4o' });
+    assert.deepEqual(routes, ['deepseek,deepseek-chat']);
+    assert.deepEqual(all, ['route', 'alert', 'route']);
+  });
+
+  await check('a failing subscriber neither fails the publisher nor stops the others', () => {
+    const bus = new eventBus.EventBus();
+    const received = [];
+    bus.on('health_check', () => {
+      throw new Error('subscriber bug');
+    });
+    bus.on('health_check', (event) => received.push(event.data.provider));
+    const event = bus.publish('health_check', 'health', { provider: 'ollama', healthy: false });
+    assert.match(event.id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(received, ['ollama']);
+  });
+
+  await check('events after a given id are kept for catching up, up to 500', () => {
+    const bus = new eventBus.EventBus();
+    const first = bus.publish('route', 'router', { n: 0 });
+    bus.publish('route', 'router', { n: 1 });
+    bus.publish('route', 'router', { n: 2 });
+    assert.deepEqual(bus.since(first.id).map((event) => event.data.n), [1, 2]);
+    for (let n = 3; n < 503; n++) bus.publish('route', 'router', { n });
+    assert.equal(bus.since(first.id), undefined);
+  });
+
+  await check('the stream sends the requested types, after the ones missed since Last-Event-ID', async () => {
+    const missed = events.publish('route', 'router', { model: 'missed' });
+    const seen = events.publish('route', 'router', { model: 'seen' });
+    events.publish('route', 'router', { model: 'caught up' });
+    const stream = await startStream({ types: 'route, health_check' }, { 'last-event-id': seen.id });
+    try {
+      assert.equal(stream.response.statusCode, 200);
+      assert.equal(stream.response.headers['content-type'], 'text/event-stream');
+      assert.equal(stream.response.headers['x-request-id'], 'stream');
+      events.publish('alert', 'alerting', { message: 'filtered out' });
+      events.publish('health_check', 'health', { provider: 'ollama', healthy: true });
+      await sleep(50);
+      assert.deepEqual(
+        stream.events().map((event) => event.data.model || event.data.provider),
+        ['caught up', 'ollama']
+      );
+      assert.equal(stream.events().some((event) => event.id === missed.id), false);
+    } finally {
+      stream.close();
+    }
+  });
+
+  await check('a closed stream unsubscribes, and unknown types are refused', async () => {
+    const subscribers = () => events.handlers.get(eventBus.ALL_EVENTS)?.size || 0;
+    // the stream of the previous check is closed by now
+    await sleep(50);
+    const before = subscribers();
+    const stream = await startStream({});
+    assert.equal(subscribers(), before + 1);
+    stream.close();
+    await sleep(50);
+    assert.equal(subscribers(), before);
+
+    const refused = await startStream({ types: 'route,bogus' });
+    try {
+      assert.equal(refused.response.statusCode, 400);
+    } finally {
+      refused.close();
+    }
+  });
+
+  finish();
+};
+
+main();
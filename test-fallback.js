@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+// The upstream fallback loop: retry order, what is retried, open circuits
+
+const assert = require('assert/strict');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { fallback, circuit, alerting } = loadSources({
+  fallback: 'src/utils/fallback.ts',
+  circuit: 'src/middleware/circuit-breaker.ts',
+  alerting: 'src/middleware/alerting.ts'
+});
+
+// Wraps `handler` the way registerFallback wraps the llms routes
+const wrapHandler = (handler) => {
+  let onRoute;
+  fallback.registerFallback({ addHook: (name, hook) => (onRoute = hook) });
+  const routeOptions = { method: 'POST', handler };
+  onRoute(routeOptions);
+  return routeOptions.handler;
+};
+
+const fakeReply = () => ({
+  sent: false,
+  headers: {},
+  header(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  code(statusCode) {
+    this.statusCode = statusCode;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    this.sent = true;
+    return this;
+  }
+});
+
+const upstreamError = (statusCode) => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+
+const main = async () => {
+  console.log('🔁 Testing the fallback loop...\n');
+
+  await check('retryable failures move on to the next target in order', async () => {
+    const attempts = [];
+    const handler = wrapHandler(async (req) => {
+      attempts.push(`${req.provider},${req.body.model}`);
+      if (req.provider !== 'third') throw upstreamError(attempts.length === 1 ? 503 : 429);
+      return 'answered';
+    });
+    const req = { provider: 'first', body: { model: 'm1' }, routeTargets: ['first,m1', 'second,m2', 'third,m3'] };
+    const reply = fakeReply();
+    assert.equal(await handler(req, reply), 'answered');
+    assert.deepEqual(attempts, ['first,m1', 'second,m2', 'third,m3']);
+    assert.equal(req.routeTarget, 'third,m3');
+    assert.equal(reply.headers['x-ccr-route'], 'third,m3');
+  });
+
+  await check('a request the provider rejected is not retried elsewhere', async () => {
+    const attempts = [];
+    const handler = wrapHandler(async (req) => {
+      attempts.push(req.provider);
+      throw upstreamError(400);
+    });
+    const req = { provider: 'bad-request', body: { model: 'm' }, routeTargets: ['bad-request,m', 'other,m'] };
+    await assert.rejects(handler(req, fakeReply()), /HTTP 400/);
+    assert.deepEqual(attempts, ['bad-request']);
+  });
+
+  await check('targets with an open circuit are skipped', async () => {
+    circuit.circuitBreakers.configure({ failureThreshold: 1, cooldownMs: 60000 });
+    circuit.circuitBreakers.recordFailure('broken', 'down');
+    const attempts = [];
+    const handler = wrapHandler(async (req) => {
+      attempts.push(req.provider);
+      return 'ok';
+    });
+    const req = { provider: 'broken', body: { model: 'm' }, routeTargets: ['broken,m', 'healthy,m'] };
+    assert.equal(await handler(req, fakeReply()), 'ok');
+    assert.deepEqual(attempts, ['healthy']);
+
+    const reply = fakeReply();
+    await handler({ provider: 'broken', body: { model: 'm' }, routeTargets: ['broken,m'] }, reply);
+    assert.equal(reply.statusCode, 503);
+    assert.equal(reply.body.error.type, 'overloaded_error');
+    circuit.circuitBreakers.configure();
+  });
+
+  await check('a failure followed only by skipped targets is answered with that failure', async () => {
+    circuit.circuitBreakers.configure({ failureThreshold: 1, cooldownMs: 60000 });
+    circuit.circuitBreakers.recordFailure('down', 'down');
+    const handler = wrapHandler(async () => {
+      throw upstreamError(429);
+    });
+    const reply = fakeReply();
+    const req = { provider: 'limited', body: { model: 'm' }, routeTargets: ['limited,m', 'down,m'] };
+    await assert.rejects(handler(req, reply), /HTTP 429/);
+    assert.equal(reply.sent, false);
+    circuit.circuitBreakers.configure();
+  });
+
+  await check('routes that are not model requests skip the upstream bookkeeping', async () => {
+    const outcomes = [];
+    const recordOutcome = alerting.alerts.recordOutcome;
+    alerting.alerts.recordOutcome = (...args) => outcomes.push(args);
+    try {
+      const handler = wrapHandler(async (req, reply) => reply.code(200).send({ saved: true }));
+      const reply = fakeReply();
+      await handler({ body: { models: {} } }, reply);
+      assert.deepEqual(reply.body, { saved: true });
+      assert.deepEqual(outcomes, []);
+
+      await handler({ provider: 'deepseek', body: { model: 'deepseek-chat' } }, fakeReply());
+      assert.deepEqual(outcomes.map(([provider, success]) => [provider, success]), [['deepseek', true]]);
+    } finally {
+      alerting.alerts.recordOutcome = recordOutcome;
+    }
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+// Active health probes: probe type per provider, per-model status, scheduling
+
+const assert = require('assert/strict');
+const http = require('http');
+const { loadSources, check, sleep, finish } = require('./test-helpers');
+
+const { health } = loadSources({ health: 'src/middleware/health-monitoring.ts' });
+
+// An upstream with an OpenAI-compatible model list, an Ollama tag list, chat
+// completions that only know `good-model`, and a route that never answers
+const startUpstream = async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+      if (req.url === '/v1/models') {
+        res.end(JSON.stringify({ data: [{ id: 'good-model' }] }));
+      } else if (req.url === '/api/tags') {
+        res.end(JSON.stringify({ models: [{ name: 'qwen2.5-coder:7b' }] }));
+      } else if (req.url === '/v1/chat/completions') {
+        const known = JSON.parse(body).model === 'good-model';
+        res.writeHead(known ? 200 : 404);
+        res.end('{}');
+      } else if (req.url.startsWith('/slow')) {
+        // never answers
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    root: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+    }
+  };
+};
+
+const provider = (baseUrl, models, healthCheck) => ({ apiKey: 'sk-probe', baseUrl, models, healthCheck });
+
+const main = async () => {
+  console.log('🩺 Testing health probes...\n');
+
+  await check('the probe type follows the provider\'s URL unless healthCheck.type sets it', () => {
+    assert.equal(health.detectProbeType(provider('https://api.deepseek.com/chat/completions', [])), 'models');
+    assert.equal(health.detectProbeType(provider('https://api.openai.com/v1', [])), 'models');
+    assert.equal(health.detectProbeType(provider('http://localhost:11434/v1/chat/completions', [])), 'ollama');
+    assert.equal(health.detectProbeType(provider('https://example.com/messages', [])), 'none');
+    assert.equal(health.detectProbeType(provider('https://example.com/messages', [], { type: 'completion' })), 'completion');
+    assert.deepEqual(
+      health.fromRouterProviders([
+        { name: 'deepseek', api_base_url: 'https://api.deepseek.com/chat/completions', api_key: ['sk-1', 'sk-2'], models: ['m'] },
+        { name: 'no-url' }
+      ]),
+      { deepseek: { apiKey: 'sk-1', baseUrl: 'https://api.deepseek.com/chat/completions', models: ['m'], healthCheck: undefined } }
+    );
+  });
+
+  const upstream = await startUpstream();
+  try {
+    await check('a model list probe marks each configured model by whether the provider lists it', async () => {
+      const monitor = new health.HealthMonitor();
+      const status = await monitor.checkProviderHealth(
+        'openai',
+        provider(`${upstream.root}/v1/chat/completions`, ['good-model', 'retired-model'])
+      );
+      assert.equal(status.healthy, true);
+      assert.equal(status.probe, 'models');
+      assert.deepEqual(
+        status.models.map(({ model, healthy, error }) => ({ model, healthy, error })),
+        [
+          { model: 'good-model', healthy: true, error: undefined },
+          { model: 'retired-model', healthy: false, error: 'Model not listed by provider' }
+        ]
+      );
+      const request = upstream.requests.find((entry) => entry.url === '/v1/models');
+      assert.equal(request.authorization, 'Bearer sk-probe');
+    });
+
+    await check('Ollama is probed through /api/tags', async () => {
+      const status = await new health.HealthMonitor().checkProviderHealth(
+        'ollama',
+        provider(`${upstream.root}/v1/chat/completions`, ['qwen2.5-coder:7b'], { type: 'ollama' })
+      );
+      assert.equal(status.healthy, true);
+      assert.equal(status.models[0].healthy, true);
+      assert.ok(upstream.requests.some((entry) => entry.url === '/api/tags'));
+    });
+
+    await check('a completion probe sends each model a 1-token request', async () => {
+      const status = await new health.HealthMonitor().checkProviderHealth(
+        'custom',
+        provider(`${upstream.root}/v1/chat/completions`, ['good-model', 'missing-model'], { type: 'completion' })
+      );
+      assert.equal(status.healthy, true);
+      assert.deepEqual(status.models.map((model) => model.healthy), [true, false]);
+      const bodies = upstream.requests.filter((entry) => entry.method === 'POST').map((entry) => JSON.parse(entry.body));
+      assert.ok(bodies.every((body) => body.max_tokens === 1));
+    });
+
+    await check('a probe that takes longer than timeoutMs marks the provider and its models down', async () => {
+      const monitor = new health.HealthMonitor();
+      const status = await monitor.checkProviderHealth('slow', provider(`${upstream.root}/slow/v1`, ['m'], { timeoutMs: 50 }));
+      assert.equal(status.healthy, false);
+      assert.equal(status.error, 'Timed out after 50ms');
+      assert.deepEqual(monitor.getOverallHealth().models.map((model) => [model.model, model.healthy]), [['m', false]]);
+    });
+
+    await check('providers are probed at once and then on their own interval', async () => {
+      const monitor = new health.HealthMonitor();
+      const before = upstream.requests.length;
+      monitor.startPeriodicHealthChecks({
+        fast: provider(`${upstream.root}/v1`, ['good-model'], { intervalMs: 40 }),
+        disabled: provider(`${upstream.root}/v1`, ['good-model'], { enabled: false }),
+        unknown: provider(`${upstream.root}/messages`, ['good-model'])
+      });
+      await sleep(100);
+      monitor.stopPeriodicHealthChecks();
+      const probes = upstream.requests.length - before;
+      assert.ok(probes >= 2 && probes <= 4, `${probes} probes`);
+      const overall = monitor.getOverallHealth();
+      assert.deepEqual(overall.providers.map((status) => status.provider), ['fast']);
+      assert.equal(overall.score, 1);
+
+      await sleep(60);
+      assert.equal(upstream.requests.length - before, probes);
+    });
+  } finally {
+    upstream.close();
+  }
+
+  finish();
+};
+
+main();
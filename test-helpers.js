@@ -0,0 +1,168 @@
+// Shared by the behaviour tests below: loads the TypeScript sources without a
+// build and reports checks like the other test scripts do. `npm test` runs
+// this file, which runs each test in its own process.
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { spawnSync } = require('child_process');
+const esbuild = require('esbuild');
+
+// Tests that need no running server
+const TESTS = [
+  'test-rules.js',
+  'test-fallback.js',
+  'test-circuit-breaker.js',
+  'test-rate-limit.js',
+  'test-budgets.js',
+  'test-pricing.js',
+  'test-usage-store.js',
+  'test-usage-capture.js',
+  'test-usage-report.js',
+  'test-usage-stats.js',
+  'test-metrics.js',
+  'test-tracing.js',
+  'test-alerting.js',
+  'test-key-pool.js',
+  'test-unified-config.js',
+  'test-config-reload.js',
+  'test-model-registry.js',
+  'test-client-keys.js',
+  'test-custom-router.js',
+  'test-project-config.js',
+  'test-image-routing.js',
+  'test-health-probes.js',
+  'test-config-validation.js',
+  'test-secrets.js',
+  'test-event-bus.js'
+];
+
+// Usage files, logs and secrets go to a throwaway home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ccr-test-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+// Bundles the modules into one, so that they share singletons such as
+// usageTracker and circuitBreakers
+const loadSources = (sources) => {
+  const contents = Object.entries(sources)
+    .map(([name, file]) => `export * as ${name} from './${file}';`)
+    .join('\n');
+  const result = esbuild.buildSync({
+    stdin: { contents, resolveDir: __dirname, loader: 'ts' },
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+    packages: 'external',
+    write: false,
+    logLevel: 'error'
+  });
+  const filename = path.join(__dirname, 'src', 'test-bundle.js');
+  const bundle = new Module(filename, module);
+  bundle.filename = filename;
+  bundle.paths = Module._nodeModulePaths(path.dirname(filename));
+  bundle._compile(result.outputFiles[0].text, filename);
+  return bundle.exports;
+};
+
+let failures = 0;
+
+const check = async (name, fn) => {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const usageDir = path.join(home, '.claude-code-router', 'usage');
+const today = new Date().toISOString().slice(0, 10);
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+const usageRecord = (fields) => ({
+  id: `${Math.random()}`,
+  timestamp: new Date().toISOString(),
+  model: 'm',
+  provider: 'p',
+  tokens: { input: 0, output: 0, total: 0 },
+  cost: 0,
+  latency: 0,
+  success: true,
+  routingReason: 'default',
+  ...fields
+});
+
+// Appends records to a day's raw usage segment
+const writeSegment = (dir, day, records) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(path.join(dir, `${day}.jsonl`), records.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+};
+
+// A rollup for a day whose raw records are gone
+const writeRollup = (dir, day, hourly) => {
+  fs.mkdirSync(path.join(dir, 'rollups'), { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, 'rollups', `${day}.json`),
+    JSON.stringify({ day, createdAt: new Date().toISOString(), records: 0, hourly, daily: [] })
+  );
+};
+
+const rollupEntry = (fields) => ({
+  period: '',
+  model: 'm',
+  provider: 'p',
+  requests: 1,
+  successes: 1,
+  tokens: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0 },
+  cost: 0,
+  latency: 0,
+  ...fields
+});
+
+const approx = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+const finish = () => {
+  fs.rmSync(home, { recursive: true, force: true });
+  if (failures) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n🎉 All checks passed');
+};
+
+module.exports = {
+  home,
+  loadSources,
+  check,
+  sleep,
+  finish,
+  DAY_MS,
+  usageDir,
+  today,
+  daysAgo,
+  usageRecord,
+  writeSegment,
+  writeRollup,
+  rollupEntry,
+  approx
+};
+
+if (require.main === module) {
+  fs.rmSync(home, { recursive: true, force: true });
+  const failed = TESTS.filter((test) => {
+    console.log(`\n▶️  ${test}\n`);
+    return spawnSync(process.execPath, [path.join(__dirname, test)], { stdio: 'inherit' }).status !== 0;
+  });
+  if (failed.length) {
+    console.log(`\n❌ Failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+}
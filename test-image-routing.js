@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+// Requests with images: Router.image, and placeholders or descriptions for
+// models that can't read them
+
+const assert = require('assert/strict');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { router, image } = loadSources({
+  router: 'src/utils/router.ts',
+  image: 'src/utils/image.ts'
+});
+
+const screenshot = (data = 'iVBORw0KGgo=') => ({ type: 'image', source: { type: 'base64', media_type: 'image/png', data } });
+
+const request = (content) => ({
+  url: '/v1/messages',
+  headers: {},
+  body: { model: 'claude-sonnet-4', max_tokens: 1024, messages: [{ role: 'user', content }] }
+});
+
+const route = async (req, Router) => {
+  await router.router(req, {}, { Providers: [], Router: { default: 'deepseek,deepseek-chat', ...Router } });
+  return req.body.model;
+};
+
+// A server whose describer model answers with `text`, or fails without it
+const describingServer = (text) => {
+  const calls = [];
+  return {
+    calls,
+    inject: async (options) => {
+      calls.push(options);
+      return text
+        ? { statusCode: 200, json: () => ({ content: [{ type: 'text', text }] }) }
+        : { statusCode: 500, body: 'upstream down', json: () => ({}) };
+    }
+  };
+};
+
+const main = async () => {
+  console.log('🖼️  Testing image routing...\n');
+
+  await check('images, also inside tool results, are detected and routed to Router.image', async () => {
+    assert.equal(image.hasImages([{ role: 'user', content: 'plain text' }]), false);
+    const inToolResult = [{ type: 'tool_result', tool_use_id: 't1', content: [screenshot()] }];
+    assert.equal(image.hasImages([{ role: 'user', content: inToolResult }]), true);
+
+    const req = request([screenshot(), { type: 'text', text: 'What is wrong here?' }]);
+    assert.equal(await route(req, { image: 'openrouter,gpt-4o' }), 'openrouter,gpt-4o');
+    assert.equal(req.routeReason, 'image');
+    // the vision model gets the image as it was sent
+    assert.equal(req.body.messages[0].content[0].type, 'image');
+    assert.equal(await route(request('no images'), { image: 'openrouter,gpt-4o' }), 'deepseek,deepseek-chat');
+  });
+
+  await check('without a vision route, imageFallback placeholder replaces the images', async () => {
+    const req = request([
+      { type: 'tool_result', tool_use_id: 't1', content: [screenshot(), { type: 'text', text: 'log' }] },
+      { type: 'text', text: 'Fix it' }
+    ]);
+    assert.equal(await route(req, { imageFallback: 'placeholder' }), 'deepseek,deepseek-chat');
+    assert.deepEqual(req.body.messages[0].content[0].content, [
+      { type: 'text', text: image.IMAGE_PLACEHOLDER },
+      { type: 'text', text: 'log' }
+    ]);
+
+    // without imageFallback the request is left for the provider to judge
+    const untouched = request([screenshot()]);
+    await route(untouched, {});
+    assert.equal(untouched.body.messages[0].content[0].type, 'image');
+  });
+
+  await check('imageFallback describe asks imageDescriber once per image', async () => {
+    const server = describingServer('A stack trace ending in TypeError');
+    const Router = { imageFallback: 'describe', imageDescriber: 'openrouter,gpt-4o-mini' };
+    for (let turn = 0; turn < 2; turn++) {
+      const req = { ...request([screenshot('c2FtZQ=='), { type: 'text', text: 'Why?' }]), server };
+      assert.equal(await route(req, Router), 'deepseek,deepseek-chat');
+      assert.deepEqual(req.body.messages[0].content[0], {
+        type: 'text',
+        text: '[Image description: A stack trace ending in TypeError]'
+      });
+    }
+    assert.equal(server.calls.length, 1);
+    assert.equal(server.calls[0].payload.model, 'openrouter,gpt-4o-mini');
+
+    // a describer that fails leaves a placeholder rather than failing the request
+    const req = { ...request([screenshot('b3RoZXI=')]), server: describingServer() };
+    await route(req, Router);
+    assert.equal(req.body.messages[0].content[0].text, image.IMAGE_PLACEHOLDER);
+  });
+
+  finish();
+};
+
+main();
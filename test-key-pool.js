@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+// API key pools: key selection, parking on rate limits and Retry-After
+
+const assert = require('assert/strict');
+const http = require('http');
+const { loadSources, check, sleep, finish } = require('./test-helpers');
+
+const { keyPool, fallback } = loadSources({
+  keyPool: 'src/middleware/key-pool.ts',
+  fallback: 'src/utils/fallback.ts'
+});
+
+const KEYS = ['sk-first-0000000001', 'sk-second-000000002', 'sk-third-0000000003'];
+
+const pool = (strategy = 'round_robin') =>
+  new keyPool.KeyPool('deepseek', KEYS, { ...keyPool.DEFAULT_KEY_ROTATION_OPTIONS, strategy });
+
+const labels = (keys) => keys.map((key) => key && key.label);
+
+// Answers 429 with `retryAfter` to requests carrying `limitedKey`
+const startUpstream = async (limitedKey, retryAfter) => {
+  const server = http.createServer((req, res) => {
+    if ((req.headers.authorization || '').includes(limitedKey)) {
+      res.writeHead(429, { 'retry-after': retryAfter });
+      res.end('{"error":"rate limited"}');
+    } else {
+      res.end('{"ok":true}');
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/v1/chat/completions`, close: () => server.close() };
+};
+
+const main = async () => {
+  console.log('🔑 Testing API key pools...\n');
+
+  await check('round-robin hands out each key in turn and skips excluded keys', () => {
+    const keys = pool();
+    assert.deepEqual(labels([keys.acquire(), keys.acquire(), keys.acquire(), keys.acquire()]), [
+      'deepseek#1',
+      'deepseek#2',
+      'deepseek#3',
+      'deepseek#1'
+    ]);
+    assert.equal(keys.acquire([1]).label, 'deepseek#3');
+    assert.equal(keys.acquire([0, 1, 2]), null);
+  });
+
+  await check('least_recently_limited prefers keys never limited, then the one limited longest ago', async () => {
+    const keys = pool('least_recently_limited');
+    keys.park(KEYS[0], 0);
+    await sleep(5);
+    keys.park(KEYS[1], 0);
+    assert.equal(keys.acquire().label, 'deepseek#3');
+    assert.equal(keys.acquire([2]).label, 'deepseek#1');
+  });
+
+  await check('a parked key is skipped until its time is up', async () => {
+    const keys = pool();
+    keys.park(KEYS[0], 40);
+    keys.park(KEYS[1]);
+    assert.equal(keys.isAvailable([2]), false);
+    assert.deepEqual(labels([keys.acquire(), keys.acquire()]), ['deepseek#3', 'deepseek#3']);
+    keys.park(KEYS[2]);
+    assert.equal(keys.acquire(), null);
+    // when every key is parked, the provider is skipped until the first is back
+    const retryAfterMs = keys.getRetryAfterMs();
+    assert.ok(retryAfterMs > 0 && retryAfterMs <= 40, `retryAfterMs ${retryAfterMs}`);
+    const [first, second] = keys.getStatus();
+    assert.equal(first.parked, true);
+    // without Retry-After a key is parked for defaultParkSeconds
+    assert.ok(second.parkedUntil.getTime() - Date.now() > 59000);
+
+    await sleep(50);
+    assert.equal(keys.isAvailable(), true);
+    assert.equal(keys.acquire().label, 'deepseek#1');
+  });
+
+  await check('stats are kept per key, without the key itself, and survive a reload', () => {
+    const registry = new keyPool.KeyPoolRegistry();
+    registry.configure([{ name: 'deepseek', api_key: KEYS }, { name: 'single', api_key: 'sk-only' }]);
+    assert.equal(registry.get('single'), undefined);
+    const keys = registry.get('deepseek');
+    const first = keys.acquire();
+    keys.recordSuccess(first.index);
+    const second = keys.acquire();
+    keys.recordFailure(second.index);
+    keys.park(second.key, 1000);
+
+    registry.configure([{ name: 'deepseek', api_key: [KEYS[1], 'sk-fourth-000000004'] }]);
+    const [kept, added] = registry.getAllStatus();
+    assert.deepEqual(
+      { ...kept, parkedUntil: undefined, lastLimitedAt: undefined, lastUsedAt: undefined },
+      {
+        provider: 'deepseek',
+        label: 'deepseek#1',
+        fingerprint: 'sk-s…0002',
+        parked: true,
+        parkedUntil: undefined,
+        lastLimitedAt: undefined,
+        lastUsedAt: undefined,
+        requests: 1,
+        successes: 0,
+        failures: 1,
+        rateLimited: 1
+      }
+    );
+    assert.equal(added.requests, 0);
+    assert.equal(registry.isAvailable('deepseek'), true);
+    assert.equal(JSON.stringify(registry.getAllStatus()).includes('sk-second'), false);
+  });
+
+  await check('Retry-After is read as seconds, milliseconds or an HTTP date', () => {
+    assert.equal(keyPool.parseRetryAfter('30'), 30000);
+    assert.equal(keyPool.parseRetryAfter('30', '1500'), 1500);
+    const date = keyPool.parseRetryAfter(new Date(Date.now() + 120000).toUTCString());
+    assert.ok(date > 118000 && date <= 120000, `date ${date}`);
+    assert.equal(keyPool.parseRetryAfter('soon'), undefined);
+    assert.equal(keyPool.parseRetryAfter(undefined), undefined);
+  });
+
+  await check('a key limited upstream is parked for the provider\'s Retry-After and the request moves on', async () => {
+    keyPool.keyPools.configure([{ name: 'deepseek', api_key: KEYS }]);
+    const upstream = await startUpstream(KEYS[0], '90');
+    try {
+      // per-key copies of the provider are registered with the llms server
+      const providers = new Map([['deepseek', { name: 'deepseek', apiKey: KEYS[0] }]]);
+      const providerService = {
+        getProvider: (name) => providers.get(name),
+        registerProvider: (provider) => providers.set(provider.name, provider)
+      };
+      let onRoute;
+      fallback.registerFallback({ addHook: (name, hook) => (onRoute = hook) });
+      const routeOptions = {
+        method: 'POST',
+        handler: async (req) => {
+          const response = await fetch(upstream.url, {
+            method: 'POST',
+            headers: { authorization: `Bearer ${providers.get(req.provider).apiKey}` },
+            body: '{}'
+          });
+          if (!response.ok) throw Object.assign(new Error(await response.text()), { statusCode: response.status });
+          return response.json();
+        }
+      };
+      onRoute(routeOptions);
+      const req = {
+        provider: 'deepseek',
+        body: { model: 'deepseek-chat' },
+        routeTargets: ['deepseek,deepseek-chat'],
+        server: { _server: { providerService } }
+      };
+      const reply = { headers: {}, header: (name, value) => (reply.headers[name] = value) };
+
+      assert.deepEqual(await routeOptions.handler(req, reply), { ok: true });
+      assert.equal(req.apiKeyLabel, 'deepseek#2');
+      const [limited] = keyPool.keyPools.getAllStatus();
+      assert.equal(limited.rateLimited, 1);
+      const parkedFor = limited.parkedUntil.getTime() - Date.now();
+      assert.ok(parkedFor > 85000 && parkedFor <= 90000, `parked for ${parkedFor}ms`);
+    } finally {
+      upstream.close();
+    }
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+// The Prometheus /metrics output and its scrape token
+
+const assert = require('assert/strict');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { metrics, circuit } = loadSources({
+  metrics: 'src/middleware/metrics.ts',
+  circuit: 'src/middleware/circuit-breaker.ts'
+});
+
+const lines = (text, prefix) => text.split('\n').filter((line) => line.startsWith(prefix));
+
+const main = async () => {
+  console.log('🧪 Testing metrics...\n');
+
+  await check('requests, durations, tokens and cost are rendered in Prometheus text format', () => {
+    const registry = new metrics.MetricsRegistry();
+    registry.requestStarted();
+    registry.requestStarted();
+    registry.requestFinished({ route: 'default', provider: 'deepseek', model: 'say "hi"\\now', status: 200 }, 0.3);
+    registry.observeUsage({
+      provider: 'deepseek',
+      model: 'deepseek-chat',
+      tokens: { input: 10, output: 5, cacheRead: 2, cacheWrite: 0, total: 17 },
+      cost: 0.25,
+      ttft: 200
+    });
+    const text = registry.render([{ provider: 'deepseek', healthy: true, latency: 150 }]);
+    assert.ok(text.endsWith('\n'));
+    assert.ok(text.includes('# TYPE ccr_requests_total counter'));
+    assert.deepEqual(lines(text, 'ccr_requests_total{'), [
+      'ccr_requests_total{route="default",provider="deepseek",model="say \\"hi\\"\\\\now",status="200"} 1'
+    ]);
+    const duration = lines(text, 'ccr_request_duration_seconds');
+    assert.ok(duration.some((line) => line.includes('le="0.25"') && line.endsWith(' 0')));
+    assert.ok(duration.some((line) => line.includes('le="0.5"') && line.endsWith(' 1')));
+    assert.ok(duration.some((line) => line.includes('le="+Inf"') && line.endsWith(' 1')));
+    assert.ok(duration.some((line) => line.startsWith('ccr_request_duration_seconds_sum{') && line.endsWith(' 0.3')));
+    assert.ok(lines(text, 'ccr_time_to_first_token_seconds_bucket').some((line) => line.includes('le="0.25"') && line.endsWith(' 1')));
+    assert.ok(text.includes('ccr_tokens_total{provider="deepseek",model="deepseek-chat",type="cache_read"} 2'));
+    assert.ok(text.includes('ccr_cost_usd_total{provider="deepseek",model="deepseek-chat"} 0.25'));
+    assert.ok(text.includes('ccr_requests_in_flight 1'));
+    assert.ok(text.includes('ccr_provider_healthy{provider="deepseek"} 1'));
+    assert.ok(text.includes('ccr_provider_health_check_seconds{provider="deepseek"} 0.15'));
+  });
+
+  await check('circuit state is one series per state with 1 for the current one', () => {
+    circuit.circuitBreakers.configure({ failureThreshold: 1 });
+    circuit.circuitBreakers.recordFailure('flaky', 'down');
+    const text = new metrics.MetricsRegistry().render();
+    assert.deepEqual(lines(text, 'ccr_circuit_state{provider="flaky"'), [
+      'ccr_circuit_state{provider="flaky",state="closed"} 0',
+      'ccr_circuit_state{provider="flaky",state="open"} 1',
+      'ccr_circuit_state{provider="flaky",state="half_open"} 0'
+    ]);
+    circuit.circuitBreakers.configure();
+  });
+
+  await check('a configured token is required from scrapers unless metrics are public', () => {
+    const registry = new metrics.MetricsRegistry();
+    assert.equal(registry.hasOwnAuth, false);
+    registry.configure({ token: 'scrape-token' });
+    assert.equal(registry.hasOwnAuth, true);
+    assert.equal(registry.isAuthorized('Bearer scrape-token'), true);
+    assert.equal(registry.isAuthorized('Bearer scrape-tokem'), false);
+    assert.equal(registry.isAuthorized(undefined), false);
+    registry.configure({ token: 'scrape-token', public: true });
+    assert.equal(registry.isAuthorized(undefined), true);
+  });
+
+  finish();
+};
+
+main();
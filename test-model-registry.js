@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+// The model capability registry: which registered models can take a request
+
+const assert = require('assert/strict');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { registry } = loadSources({ registry: 'src/utils/modelRegistry.ts' });
+
+const config = {
+  Models: {
+    'deepseek,deepseek-chat': { contextWindow: 65536, maxTokens: 8192, costPer1kTokens: { input: 0.27, output: 1.1 } },
+    'openrouter,small': { contextWindow: 32768, supportsTools: false },
+    'openrouter,large': { contextWindow: 200000, maxTokens: 64000, costPer1kTokens: { input: 3, output: 15 } },
+    'openrouter,large-cheap': { contextWindow: 200000, costPer1kTokens: { input: 1, output: 5 } }
+  }
+};
+
+const main = async () => {
+  console.log('📐 Testing the model registry...\n');
+
+  await check('max_tokens counts against the window only up to the model\'s own maxTokens', () => {
+    const deepseek = registry.getModelCapabilities(config, 'deepseek,deepseek-chat');
+    // 34K tokens plus max_tokens 32000 overflow 64K, but deepseek-chat writes at most 8192
+    assert.equal(registry.meetsRequirements(deepseek, { tokenCount: 34000, maxTokens: 32000 }), true);
+    assert.equal(registry.meetsRequirements(deepseek, { tokenCount: 60000, maxTokens: 32000 }), false);
+    const small = registry.getModelCapabilities(config, 'openrouter,small');
+    assert.equal(registry.meetsRequirements(small, { tokenCount: 1000, maxTokens: 32000 }), false);
+    assert.equal(registry.findCapableModel(config, { tokenCount: 34000, maxTokens: 32000 }), 'deepseek,deepseek-chat');
+  });
+
+  await check('the smallest fitting window wins, then the cheaper model', () => {
+    assert.equal(registry.findCapableModel(config, { tokenCount: 1000 }), 'openrouter,small');
+    assert.equal(registry.findCapableModel(config, { tokenCount: 1000, tools: true }), 'deepseek,deepseek-chat');
+    assert.equal(registry.findCapableModel(config, { tokenCount: 100000 }), 'openrouter,large-cheap');
+    assert.equal(registry.findCapableModel(config, { tokenCount: 100000 }, ['openrouter,large-cheap']), 'openrouter,large');
+    assert.equal(registry.findCapableModel(config, { tokenCount: 300000 }), null);
+  });
+
+  await check('models that are not registered are never rejected', () => {
+    assert.equal(registry.meetsRequirements(undefined, { tokenCount: 10000000, tools: true, vision: true }), true);
+    assert.equal(registry.meetsRequirements({ supportsVision: false }, { tokenCount: 0, vision: true }), false);
+  });
+
+  finish();
+};
+
+main();
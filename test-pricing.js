@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+// The pricing catalog: model matching, overrides, currencies and cache tokens
+
+const assert = require('assert/strict');
+const { loadSources, check, finish, approx } = require('./test-helpers');
+
+const { pricing } = loadSources({ pricing: 'src/utils/pricing.ts' });
+
+const main = async () => {
+  console.log('💲 Testing pricing...\n');
+
+  const million = { input: 1000000, output: 1000000, cacheRead: 0, cacheWrite: 0 };
+
+  await check('built-in prices match dated and vendor-prefixed model names', () => {
+    const priced = pricing.priceUsage('deepseek#2', 'deepseek-chat', million, {});
+    approx(priced.cost, 1.37);
+    assert.equal(priced.priceVersion, `builtin:${pricing.BUILTIN_PRICING_VERSION}`);
+    assert.equal(pricing.findPrice({}, 'anthropic', 'claude-3-5-haiku-20241022').price.input, 0.8);
+    assert.equal(pricing.findPrice({}, 'openrouter', 'anthropic/claude-sonnet-4').price.input, 3);
+    assert.equal(pricing.findPrice({}, 'openai', 'gpt-4o-mini-2024-07-18').price.input, 0.15);
+  });
+
+  await check('configured prices win over Models entries and built-in prices', () => {
+    const priced = {
+      Pricing: {
+        version: 'v2',
+        prices: { 'deepseek,deepseek-chat': { input: 1, output: 2 }, 'deepseek-chat': { input: 5, output: 5 } }
+      },
+      Models: { 'local,llama': { costPer1kTokens: { input: 0.001, output: 0.002 } } }
+    };
+    assert.deepEqual(pricing.findPrice(priced, 'deepseek@web', 'deepseek-chat'), {
+      price: { input: 1, output: 2 },
+      version: 'config:v2'
+    });
+    assert.equal(pricing.findPrice(priced, 'other', 'deepseek-chat').price.input, 5);
+    const local = pricing.findPrice(priced, 'local', 'llama');
+    assert.equal(local.version, 'models');
+    assert.deepEqual(local.price, { input: 1, output: 2 });
+    assert.deepEqual(pricing.priceUsage('nobody', 'unknown-model', million, {}), { cost: 0, priceVersion: 'unpriced' });
+  });
+
+  await check('other currencies are converted to USD and the original amount is kept', () => {
+    const tokens = { input: 1000000, output: 0, cacheRead: 0, cacheWrite: 0 };
+    const priced = pricing.priceUsage('dashscope', 'qwen-max', tokens, {});
+    approx(priced.cost, 2.4 * 0.14);
+    assert.equal(priced.currency, 'CNY');
+    assert.equal(priced.originalCost, 2.4);
+    approx(pricing.priceUsage('dashscope', 'qwen-max', tokens, { Pricing: { exchangeRates: { CNY: 0.2 } } }).cost, 0.48);
+  });
+
+  await check('cache tokens are priced at the input price when none is listed', () => {
+    const config = { Pricing: { prices: { x: { input: 2, output: 4 } } } };
+    approx(pricing.priceUsage('p', 'x', { input: 0, output: 0, cacheRead: 1000000, cacheWrite: 500000 }, config).cost, 3);
+  });
+
+  await check('OpenAI usage blocks are normalized, cached prompt tokens apart', () => {
+    assert.deepEqual(
+      pricing.normalizeUsage({ prompt_tokens: 100, completion_tokens: 20, prompt_tokens_details: { cached_tokens: 30 } }),
+      { input: 70, output: 20, cacheRead: 30, cacheWrite: 0 }
+    );
+    assert.deepEqual(
+      pricing.normalizeUsage({ input_tokens: 5, output_tokens: 7, cache_read_input_tokens: 2, cache_creation_input_tokens: 3 }),
+      { input: 5, output: 7, cacheRead: 2, cacheWrite: 3 }
+    );
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+// Per-project routing from .claude-code-router.json
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish } = require('./test-helpers');
+
+const { project } = loadSources({ project: 'src/utils/projectConfig.ts' });
+
+const monorepo = path.join(home, 'monorepo');
+const secure = path.join(home, 'secure');
+
+const writeProject = (dir, config) => {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, '.claude-code-router.json'), JSON.stringify(config));
+};
+
+const config = {
+  Projects: { monorepo, secure },
+  Router: { default: 'deepseek,deepseek-chat', think: 'deepseek,deepseek-reasoner' }
+};
+
+const requestFor = (name) => ({ headers: { 'x-ccr-project': encodeURIComponent(name) } });
+
+// A provider and transformer service like the llms server's
+const fakeServer = () => {
+  const providers = new Map([['deepseek', { name: 'deepseek', baseUrl: 'https://api.deepseek.com', apiKey: 'sk-global', models: ['deepseek-chat'] }]]);
+  return {
+    providers,
+    providerService: {
+      getProvider: (name) => providers.get(name),
+      registerProvider: (provider) => providers.set(provider.name, provider),
+      deleteProvider: (name) => providers.delete(name)
+    },
+    transformerService: {
+      getTransformer: (name) =>
+        name === 'maxtoken'
+          ? class {
+              constructor(options) {
+                this.name = name;
+                this.options = options;
+              }
+            }
+          : undefined
+    }
+  };
+};
+
+const main = async () => {
+  console.log('📁 Testing project config...\n');
+
+  writeProject(monorepo, { Router: { default: 'ollama,qwen2.5-coder' } });
+  writeProject(secure, {
+    Router: { default: ['approved,model-a', 'approved,model-b'] },
+    allowedProviders: ['approved'],
+    Providers: [{ name: 'deepseek', transformer: { use: [['maxtoken', { max_tokens: 100 }], 'unknown'] } }]
+  });
+
+  await check('ccr code finds the project file in the working directory or a parent, and names it', () => {
+    const nested = path.join(monorepo, 'packages', 'web');
+    fs.mkdirSync(nested, { recursive: true });
+    assert.equal(project.findProjectConfig(nested), path.join(monorepo, '.claude-code-router.json'));
+    assert.equal(project.findProjectName(config, monorepo), 'monorepo');
+    assert.equal(project.findProjectName(config, home), undefined);
+  });
+
+  await check('the project header only selects directories listed in Projects', () => {
+    const loaded = project.getRequestProject(requestFor('monorepo'), config);
+    assert.equal(loaded.dir, monorepo);
+    assert.match(loaded.id, /^[0-9a-f]{8}$/);
+    assert.deepEqual(project.applyProjectConfig(config, loaded).Router, {
+      default: 'ollama,qwen2.5-coder',
+      think: 'deepseek,deepseek-reasoner'
+    });
+    assert.equal(project.getRequestProject({ headers: {} }, config), null);
+    assert.throws(() => project.getRequestProject(requestFor(home), config), project.ProjectHeaderError);
+    assert.throws(() => project.getRequestProject(requestFor('constructor'), config), /Unknown project/);
+    assert.throws(() => project.getRequestProject({ headers: { 'x-ccr-project': '%E0%A4%A' } }, config), /Malformed/);
+  });
+
+  await check('a project limited to approved providers never routes elsewhere', () => {
+    const loaded = project.getRequestProject(requestFor('secure'), config);
+    assert.deepEqual(
+      project.enforceProjectProviders(loaded, { model: 'deepseek,deepseek-chat', reason: 'default', fallbacks: ['approved,model-c'] }),
+      { model: 'approved,model-c', reason: 'project', fallbacks: ['approved,model-a', 'approved,model-b'] }
+    );
+    assert.throws(
+      () => project.enforceProjectProviders({ ...loaded, Router: {} }, { model: 'deepseek,deepseek-chat', reason: 'default' }),
+      /not allowed/
+    );
+  });
+
+  await check('project transformers go on a copy of the provider, leaving the global one alone', () => {
+    const loaded = project.getRequestProject(requestFor('secure'), config);
+    const server = fakeServer();
+    const req = { server: { _server: server } };
+    const decision = project.useProjectProvider(req, loaded, { model: 'deepseek,deepseek-chat', reason: 'default', fallbacks: ['approved,model-a'] });
+    const name = `deepseek@${loaded.id}`;
+    assert.deepEqual(decision.model, `${name},deepseek-chat`);
+    assert.deepEqual(decision.fallbacks, ['approved,model-a']);
+    assert.equal(project.getProviderName(decision.model), 'deepseek');
+    const copy = server.providers.get(name);
+    assert.equal(copy.apiKey, 'sk-global');
+    assert.deepEqual(copy.transformer.use.map((transformer) => transformer.options), [{ max_tokens: 100 }]);
+    assert.equal(server.providers.get('deepseek').transformer, undefined);
+
+    project.resetProjectProviders(server);
+    assert.equal(server.providers.has(name), false);
+  });
+
+  finish();
+};
+
+main();
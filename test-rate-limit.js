@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+// Token buckets per client key, project and provider, and queue mode
+
+const assert = require('assert/strict');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { rateLimit } = loadSources({ rateLimit: 'src/middleware/rate-limiter.ts' });
+
+const main = async () => {
+  console.log('🪣 Testing rate limits...\n');
+
+  await check('a bucket allows its burst, then rejects with the time to the next token', () => {
+    const limiter = new rateLimit.RateLimiterRegistry();
+    limiter.configure({ enabled: true, requestsPerMinute: 60, burstLimit: 2 });
+    const key = [{ scope: 'client', name: 'ci' }];
+    assert.equal(limiter.acquire(key).allowed, true);
+    assert.equal(limiter.acquire(key).allowed, true);
+    const rejected = limiter.acquire(key);
+    assert.equal(rejected.allowed, false);
+    assert.ok(rejected.waitMs > 900 && rejected.waitMs <= 1000, `waitMs ${rejected.waitMs}`);
+    assert.deepEqual(rejected.limitedBy, { scope: 'client', name: 'ci' });
+    assert.equal(rateLimit.rateLimitMessage(rejected), 'Rate limit exceeded for client "ci", retry in 1s');
+    assert.deepEqual(limiter.getRejections(), { client: 1 });
+  });
+
+  await check('queue mode reserves tokens ahead up to maxQueueMs', () => {
+    const limiter = new rateLimit.RateLimiterRegistry();
+    limiter.configure({ enabled: true, mode: 'queue', maxQueueMs: 2500, requestsPerMinute: 60, burstLimit: 1 });
+    const key = [{ scope: 'provider', name: 'deepseek' }];
+    assert.equal(limiter.acquire(key).waitMs, 0);
+    const first = limiter.acquire(key);
+    assert.equal(first.allowed, true);
+    assert.ok(first.waitMs > 900 && first.waitMs <= 1000, `waitMs ${first.waitMs}`);
+    const second = limiter.acquire(key);
+    assert.equal(second.allowed, true);
+    assert.ok(second.waitMs > 1900 && second.waitMs <= 2000, `waitMs ${second.waitMs}`);
+    assert.equal(limiter.acquire(key).allowed, false);
+    const status = limiter.getAllStatus()[0];
+    assert.equal(status.queued, 2);
+    assert.equal(status.rejected, 1);
+  });
+
+  await check('a request takes a token from every bucket or from none', () => {
+    const limiter = new rateLimit.RateLimiterRegistry();
+    limiter.configure({ enabled: true, requestsPerMinute: 60, burstLimit: 5, project: { burstLimit: 1 } });
+    const keys = [
+      { scope: 'client', name: 'ci' },
+      { scope: 'project', name: 'web' }
+    ];
+    assert.equal(limiter.acquire(keys).allowed, true);
+    assert.equal(limiter.acquire(keys).limitedBy.scope, 'project');
+    const client = limiter.getAllStatus().find((status) => status.scope === 'client');
+    assert.equal(client.tokens, 4);
+  });
+
+  await check('per-key overrides apply even when the scope is turned off', () => {
+    const limiter = new rateLimit.RateLimiterRegistry();
+    limiter.configure({ enabled: true, client: false });
+    assert.equal(limiter.acquire([{ scope: 'client', name: 'a' }]).allowed, true);
+    assert.equal(limiter.getAllStatus().length, 0);
+    const limited = [{ scope: 'client', name: 'b', override: { requestsPerMinute: 1, burstLimit: 1 } }];
+    assert.equal(limiter.acquire(limited).allowed, true);
+    assert.equal(limiter.acquire(limited).allowed, false);
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+// Router.rules: matching, ordering and fallback lists
+
+const assert = require('assert/strict');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { rules } = loadSources({ rules: 'src/utils/rules.ts' });
+
+const request = (body = {}, headers = {}) => ({
+  body: { model: 'claude-sonnet-4', messages: [{ role: 'user', content: 'hi' }], ...body },
+  headers
+});
+
+const main = async () => {
+  console.log('🧪 Testing routing rules...\n');
+
+  await check('user rules are evaluated before the built-in Router keys', () => {
+    const decision = rules.evaluateRules(request({ thinking: { type: 'enabled' } }), 100, {
+      think: 'deepseek,deepseek-reasoner',
+      rules: [{ name: 'reviews', system: 'code review', route: 'openrouter,gpt-4.1' }]
+    });
+    assert.equal(decision.model, 'deepseek,deepseek-reasoner');
+    assert.equal(decision.reason, 'think');
+
+    const reviewed = rules.evaluateRules(
+      request({ thinking: { type: 'enabled' }, system: [{ type: 'text', text: 'Do a code review' }] }),
+      100,
+      {
+        think: 'deepseek,deepseek-reasoner',
+        rules: [{ name: 'reviews', system: 'code review', route: 'openrouter,gpt-4.1' }]
+      }
+    );
+    assert.equal(reviewed.model, 'openrouter,gpt-4.1');
+    assert.equal(reviewed.reason, 'reviews');
+  });
+
+  await check('the first matching rule wins and unnamed rules are reported by index', () => {
+    const decision = rules.evaluateRules(request({}, { 'x-team': 'infra' }), 30000, {
+      rules: [
+        { tokens: { max: 1000 }, route: 'a,small' },
+        { headers: { 'X-Team': '^infra$' }, route: 'b,team' },
+        { tokens: { min: 20000 }, route: 'c,large' }
+      ]
+    });
+    assert.deepEqual(decision, { model: 'b,team', reason: 'rule[1]', fallbacks: [] });
+  });
+
+  await check('token ranges are inclusive and longContext starts above 60K', () => {
+    const rule = { tokens: { min: 10, max: 20 }, route: 'a,m' };
+    assert.equal(rules.matchesRule(rule, request(), 10), true);
+    assert.equal(rules.matchesRule(rule, request(), 20), true);
+    assert.equal(rules.matchesRule(rule, request(), 21), false);
+    const config = { longContext: 'gemini,gemini-2.5-pro' };
+    assert.equal(rules.evaluateRules(request(), 60000, config), null);
+    assert.equal(rules.evaluateRules(request(), 60001, config).model, 'gemini,gemini-2.5-pro');
+  });
+
+  await check('a list route becomes the target and its fallbacks in order', () => {
+    const decision = rules.evaluateRules(request({ tools: [{ name: 'WebSearch' }] }), 0, {
+      rules: [{ name: 'search', tools: ['WebSearch'], route: ['a,m1', 'b,m2', '', 'c,m3'] }]
+    });
+    assert.deepEqual(decision, { model: 'a,m1', reason: 'search', fallbacks: ['b,m2', 'c,m3'] });
+  });
+
+  await check('invalid regexes and rules without a route never match', () => {
+    const decision = rules.evaluateRules(request(), 0, {
+      rules: [{ model: '(', route: 'a,m' }, { model: '.*', route: [] }, { model: '^claude', route: 'b,m' }]
+    });
+    assert.equal(decision.model, 'b,m');
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+// Secret references in config.json: $ENV, file: and the encrypted store
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish } = require('./test-helpers');
+
+const { secrets, constants, utils } = loadSources({
+  secrets: 'src/utils/secrets.ts',
+  constants: 'src/constants.ts',
+  utils: 'src/utils/index.ts'
+});
+
+const main = async () => {
+  console.log('🔐 Testing secrets...\n');
+
+  await check('environment references are resolved, plain values kept', () => {
+    process.env.CCR_TEST_DEEPSEEK_KEY = 'sk-from-env';
+    assert.equal(secrets.resolveSecret('$CCR_TEST_DEEPSEEK_KEY'), 'sk-from-env');
+    assert.equal(secrets.resolveSecret('${CCR_TEST_DEEPSEEK_KEY}'), 'sk-from-env');
+    assert.equal(secrets.resolveSecret('sk-plain'), 'sk-plain');
+    assert.equal(secrets.isSecretReference('sk-$notreference'), false);
+    assert.throws(() => secrets.resolveSecret('$CCR_TEST_UNSET_KEY'), /CCR_TEST_UNSET_KEY is not set/);
+  });
+
+  await check('file references read the first line, relative to the config directory or ~', () => {
+    fs.mkdirSync(constants.HOME_DIR, { recursive: true });
+    fs.writeFileSync(path.join(constants.HOME_DIR, 'deepseek.key'), 'sk-from-file\nignored\n');
+    fs.writeFileSync(path.join(home, 'home.key'), 'sk-from-home\n');
+    assert.equal(secrets.resolveSecret('file:deepseek.key'), 'sk-from-file');
+    assert.equal(secrets.resolveSecret('file:~/home.key'), 'sk-from-home');
+    assert.equal(secrets.checkSecretReference('file:missing.key'), `${path.join(constants.HOME_DIR, 'missing.key')} does not exist`);
+    assert.throws(() => secrets.resolveSecret('file:missing.key'), /cannot read .*ENOENT/);
+  });
+
+  await check('the secret store keeps values encrypted and private', () => {
+    secrets.setSecret('deepseek', 'sk-from-store');
+    assert.equal(secrets.resolveSecret('secret:deepseek'), 'sk-from-store');
+    assert.equal(fs.readFileSync(constants.SECRETS_FILE, 'utf8').includes('sk-from-store'), false);
+    assert.equal(fs.statSync(constants.SECRETS_FILE).mode & 0o777, 0o600);
+    assert.equal(fs.statSync(constants.SECRET_KEY_FILE).mode & 0o777, 0o600);
+    assert.deepEqual(secrets.listSecrets().map((secret) => secret.name), ['deepseek']);
+    assert.throws(() => secrets.setSecret('bad name', 'x'), /Invalid secret name/);
+
+    // a store copied without its key can't be read
+    const key = fs.readFileSync(constants.SECRET_KEY_FILE);
+    fs.rmSync(constants.SECRET_KEY_FILE);
+    assert.throws(() => secrets.resolveSecret('secret:deepseek'), /is missing, cannot decrypt/);
+    fs.writeFileSync(constants.SECRET_KEY_FILE, key, { mode: 0o600 });
+
+    assert.equal(secrets.removeSecret('deepseek'), true);
+    assert.equal(secrets.removeSecret('deepseek'), false);
+    assert.equal(secrets.checkSecretReference('secret:deepseek'), 'secret "deepseek" is not in the secret store');
+  });
+
+  await check('the server resolves every provider key and reports the ones it cannot', () => {
+    process.env.CCR_TEST_DEEPSEEK_KEY = 'sk-from-env';
+    const config = {
+      Providers: [
+        { name: 'deepseek', api_key: ['$CCR_TEST_DEEPSEEK_KEY', 'sk-plain'] },
+        { name: 'broken', api_key: '$CCR_TEST_UNSET_KEY' }
+      ],
+      Monitoring: { metrics: { token: '$CCR_TEST_DEEPSEEK_KEY' } }
+    };
+    const { config: resolved, errors } = secrets.resolveConfigSecrets(config);
+    assert.deepEqual(resolved.Providers[0].api_key, ['sk-from-env', 'sk-plain']);
+    assert.equal(resolved.Monitoring.metrics.token, 'sk-from-env');
+    assert.deepEqual(errors.map((error) => error.field), ['Providers[1].api_key']);
+    // the config as written is left alone
+    assert.equal(config.Providers[0].api_key[0], '$CCR_TEST_DEEPSEEK_KEY');
+  });
+
+  await check('only settings read back from the environment are exported to it', () => {
+    utils.exportEnvSettings({ LOG: true, APIKEY: 'client-secret', Providers: [{ api_key: 'sk-x' }] });
+    assert.equal(process.env.LOG, 'true');
+    assert.equal(process.env.APIKEY, undefined);
+    assert.equal(JSON.stringify(process.env).includes('sk-x'), false);
+  });
+
+  finish();
+};
+
+main();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+// Trace context from traceparent headers and client request IDs
+
+const assert = require('assert/strict');
+const { EventEmitter } = require('events');
+const http = require('http');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { tracing } = loadSources({ tracing: 'src/middleware/tracing.ts' });
+
+// An OTLP collector that keeps the spans it receives
+const startCollector = async () => {
+  const spans = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      for (const resource of JSON.parse(body).resourceSpans) {
+        for (const scope of resource.scopeSpans) spans.push(...scope.spans);
+      }
+      res.end('{}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { spans, endpoint: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+};
+
+const main = async () => {
+  console.log('🔭 Testing tracing...\n');
+
+  await check('valid traceparent headers are parsed, malformed ones ignored', () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const spanId = '00f067aa0ba902b7';
+    assert.deepEqual(tracing.parseTraceparent(`00-${traceId}-${spanId}-01`), { traceId, spanId, sampled: true });
+    assert.deepEqual(tracing.parseTraceparent([` 00-${traceId.toUpperCase()}-${spanId}-00 `]), { traceId, spanId, sampled: false });
+    assert.equal(tracing.parseTraceparent(`00-${traceId}-${spanId}-03`).sampled, true);
+    for (const header of [
+      undefined,
+      '',
+      `01-${traceId}-${spanId}-01`,
+      `00-${'0'.repeat(32)}-${spanId}-01`,
+      `00-${traceId}-${'0'.repeat(16)}-01`,
+      `00-${traceId.slice(1)}-${spanId}-01`,
+      `00-${traceId}-${spanId}`
+    ]) {
+      assert.equal(tracing.parseTraceparent(header), undefined, String(header));
+    }
+  });
+
+  await check('a request continues the caller\'s trace and its sampling decision', () => {
+    const tracer = new tracing.Tracer();
+    tracer.configure({ enabled: true, sampleRatio: 0 });
+    const parent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+    const span = tracer.startTrace('POST /v1/messages', parent);
+    assert.equal(span.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.equal(span.parentSpanId, '00f067aa0ba902b7');
+    assert.equal(span.sampled, true);
+    assert.equal(tracer.startTrace('POST /v1/messages').sampled, false);
+  });
+
+  await check('a client\'s x-request-id is kept only when it is safe to echo', async () => {
+    let onRequest;
+    tracing.registerTracing({ addHook: (name, hook) => (onRequest = hook) });
+    const send = async (requestId) => {
+      const req = { method: 'POST', url: '/v1/messages', headers: { 'x-request-id': requestId }, log: { child: () => ({}) } };
+      const reply = { headers: {}, raw: new EventEmitter(), header: (name, value) => (reply.headers[name] = value) };
+      await onRequest(req, reply);
+      return reply.headers['x-request-id'];
+    };
+    assert.equal(await send('build-42:step.1_a'), 'build-42:step.1_a');
+    for (const unsafe of ['two words', 'line\nbreak', '<script>', 'x'.repeat(129), '']) {
+      assert.match(await send(unsafe), /^[0-9a-f-]{36}$/, JSON.stringify(unsafe));
+    }
+  });
+
+  await check('each provider transformer step gets a span, without changing instances other providers share', async () => {
+    const collector = await startCollector();
+    try {
+      tracing.tracing.configure({ enabled: true, sampleRatio: 1, endpoint: collector.endpoint });
+      const shared = {
+        name: 'maxtoken',
+        calls: 0,
+        async transformRequestIn(body) {
+          this.calls++;
+          return { ...body, max_tokens: 1 };
+        }
+      };
+      const original = shared.transformRequestIn;
+      const provider = { name: 'deepseek', transformer: { use: [shared], 'deepseek-chat': { use: [shared] } } };
+      const other = { name: 'openrouter', transformer: { use: [shared] } };
+      tracing.traceProviderTransformers(provider);
+      const chain = provider.transformer;
+      tracing.traceProviderTransformers(provider);
+      assert.equal(provider.transformer, chain);
+      assert.deepEqual(Object.keys(shared), ['name', 'calls', 'transformRequestIn']);
+      assert.equal(shared.transformRequestIn, original);
+      assert.equal(other.transformer.use[0], shared);
+      // llms skips the chain for a provider whose one transformer is named after the endpoint
+      assert.equal(chain.use[0].name, 'maxtoken');
+
+      const root = tracing.tracing.startTrace('POST /v1/messages');
+      const req = { traceSpan: root };
+      const body = await tracing.tracing.trace('upstream deepseek', req, () =>
+        chain['deepseek-chat'].use[0].transformRequestIn({ model: 'deepseek-chat' }, provider, { req })
+      );
+      root.end();
+      assert.deepEqual(body, { model: 'deepseek-chat', max_tokens: 1 });
+      assert.equal(shared.calls, 1);
+      // outside a trace the step is the transformer's own call
+      await chain.use[0].transformRequestIn({});
+      assert.equal(shared.calls, 2);
+
+      await tracing.tracing.flush();
+      const upstream = collector.spans.find((span) => span.name === 'upstream deepseek');
+      const steps = collector.spans.filter((span) => span.name === 'transformer maxtoken');
+      assert.equal(steps.length, 1);
+      assert.equal(steps[0].parentSpanId, upstream.spanId);
+      assert.deepEqual(steps[0].attributes, [{ key: 'ccr.transformer.phase', value: { stringValue: 'request' } }]);
+    } finally {
+      tracing.tracing.configure();
+      collector.close();
+    }
+  });
+
+  finish();
+};
+
+main();
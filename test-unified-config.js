@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+// One config.json: merging synapse-config.json, the Synapse view of it, the
+// Synapse config endpoints and ccr config migrate
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish } = require('./test-helpers');
+
+const { unified, api } = loadSources({
+  unified: 'src/utils/unifiedConfig.ts',
+  api: 'src/api/synapse-endpoints.ts'
+});
+
+const KEYS = ['sk-deepseek-0000000001', 'sk-deepseek-0000000002'];
+
+const baseConfig = () => ({
+  Providers: [
+    { name: 'deepseek', api_base_url: 'https://api.deepseek.com/chat/completions', api_key: [...KEYS], models: ['deepseek-chat'] }
+  ],
+  Router: { default: 'deepseek,deepseek-chat', background: 'deepseek,deepseek-chat' },
+  CostLimits: { global: { daily: 5 } }
+});
+
+const synapseConfig = () => ({
+  models: { default: 'gpt-4o', think: 'deepseek-reasoner' },
+  providers: {
+    deepseek: { apiKey: 'sk-other', baseUrl: 'https://api.deepseek.com', models: ['deepseek-chat', 'deepseek-reasoner'] },
+    openai: { apiKey: '$OPENAI_API_KEY', baseUrl: 'https://api.openai.com/v1', models: ['gpt-4o'] }
+  },
+  costLimits: { global: { daily: 50 }, perProject: { daily: 10 } }
+});
+
+const fakeReply = () => ({
+  code(statusCode) {
+    this.statusCode = statusCode;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const main = async () => {
+  console.log('🧩 Testing config unification...\n');
+
+  await check('a synapse-config.json is merged in with config.json winning conflicts', () => {
+    const { config, changes, warnings } = unified.mergeSynapseConfig(baseConfig(), synapseConfig());
+    const [deepseek, openai] = config.Providers;
+    assert.deepEqual(deepseek.api_key, KEYS);
+    assert.deepEqual(deepseek.models, ['deepseek-chat', 'deepseek-reasoner']);
+    assert.deepEqual(openai, {
+      name: 'openai',
+      api_base_url: 'https://api.openai.com/v1/chat/completions',
+      api_key: '$OPENAI_API_KEY',
+      models: ['gpt-4o']
+    });
+    assert.equal(config.Router.default, 'deepseek,deepseek-chat');
+    assert.equal(config.Router.think, 'deepseek,deepseek-reasoner');
+    assert.deepEqual(config.CostLimits, { global: { daily: 5 }, perProject: { daily: 10 } });
+    assert.ok(changes.includes('Added provider openai'));
+    assert.deepEqual(warnings, [
+      'providers.deepseek.apiKey differs from config.json, keeping config.json',
+      'models.default (gpt-4o) differs from Router.default, keeping Router.default'
+    ]);
+  });
+
+  await check('an update keeps key lists and redacted values unless it names a different value', () => {
+    const update = (apiKey) =>
+      unified.mergeSynapseConfig(baseConfig(), { providers: { deepseek: { apiKey } } }, { overwrite: true }).config
+        .Providers[0].api_key;
+    assert.deepEqual(update('[redacted]'), KEYS);
+    assert.deepEqual(update(KEYS[1]), KEYS);
+    assert.deepEqual(update(undefined), KEYS);
+    assert.equal(update('sk-replacement'), 'sk-replacement');
+
+    const current = { ...baseConfig(), Monitoring: { metrics: { enabled: true, token: 'scrape-secret' }, alerting: { webhooks: ['https://hooks.example/a'] } } };
+    const { config } = unified.mergeSynapseConfig(
+      current,
+      { monitoring: { metrics: { enabled: false, token: '[redacted]' }, alerting: { webhooks: '[redacted]' } } },
+      { overwrite: true }
+    );
+    assert.deepEqual(config.Monitoring, { metrics: { enabled: false, token: 'scrape-secret' }, alerting: { webhooks: ['https://hooks.example/a'] } });
+  });
+
+  await check('the Synapse view derives role models and API roots from Router and Providers', () => {
+    const view = unified.toSynapseRouterConfig(baseConfig());
+    assert.equal(view.models.fast, 'deepseek-chat');
+    assert.equal(view.models.think, 'deepseek-chat');
+    assert.deepEqual(view.providers.deepseek, { apiKey: KEYS[0], baseUrl: 'https://api.deepseek.com', models: ['deepseek-chat'] });
+    assert.equal(view.costLimits.global.daily, 5);
+  });
+
+  await check('GET /api/synapse/config redacts keys, and posting it back leaves them as they were', async () => {
+    const configPath = path.join(home, 'api', 'config.json');
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({ ...baseConfig(), Monitoring: { metrics: { token: 'scrape-secret' }, alerting: { webhookUrl: 'https://hooks.example/secret' } } })
+    );
+    const synapse = new api.SynapseAPI({}, {}, configPath);
+    const reply = fakeReply();
+    await synapse.getConfig({}, reply);
+    assert.equal(reply.statusCode, 200);
+    const sent = JSON.stringify(reply.body);
+    for (const secret of [...KEYS, 'scrape-secret', 'hooks.example']) {
+      assert.equal(sent.includes(secret), false, `${secret} was sent`);
+    }
+    assert.equal(reply.body.config.providers.deepseek.apiKey, '[redacted]');
+
+    const { models, providers, routing, monitoring } = reply.body.config;
+    await synapse.saveConfig({ models, providers, routing, monitoring });
+    const saved = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    assert.deepEqual(saved.Providers[0].api_key, KEYS);
+    assert.equal(saved.Monitoring.metrics.token, 'scrape-secret');
+    assert.equal(saved.Monitoring.alerting.webhookUrl, 'https://hooks.example/secret');
+  });
+
+  await check('ccr config migrate backs up config.json and renames the synapse file', () => {
+    const dir = path.join(home, 'migrate');
+    fs.mkdirSync(dir, { recursive: true });
+    const configFile = path.join(dir, 'config.json');
+    const synapseFile = path.join(dir, 'synapse-config.json');
+    fs.writeFileSync(configFile, JSON.stringify(baseConfig()));
+    fs.writeFileSync(synapseFile, JSON.stringify(synapseConfig()));
+    const result = unified.migrateSynapseConfig(synapseFile, configFile);
+    assert.equal(result.backupFile, `${configFile}.bak`);
+    assert.deepEqual(JSON.parse(fs.readFileSync(result.backupFile, 'utf8')), baseConfig());
+    assert.equal(fs.existsSync(synapseFile), false);
+    assert.equal(fs.existsSync(`${synapseFile}.migrated`), true);
+    assert.equal(JSON.parse(fs.readFileSync(configFile, 'utf8')).Providers.length, 2);
+  });
+
+  finish();
+};
+
+main();
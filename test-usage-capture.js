@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// Usage capture for /v1/messages, from JSON bodies and SSE streams
+
+const assert = require('assert/strict');
+const { Readable } = require('stream');
+const { EventEmitter } = require('events');
+const { loadSources, check, sleep, finish } = require('./test-helpers');
+
+const { tracking, capture } = loadSources({
+  tracking: 'src/middleware/usage-tracking.ts',
+  capture: 'src/utils/usageCapture.ts'
+});
+const { usageTracker } = tracking;
+
+const main = async () => {
+  console.log('📡 Testing usage capture...\n');
+
+  // Runs a response through the onSend hook and waits for its usage record
+  const captureResponse = async (payload, projectId, statusCode = 200) => {
+    let onSend;
+    capture.registerUsageCapture({ addHook: (name, hook) => (onSend = hook) });
+    const req = {
+      method: 'POST',
+      url: '/v1/messages',
+      provider: 'good#2',
+      routeTarget: 'good,deepseek-chat',
+      body: { model: 'deepseek-chat' },
+      synapseContext: { projectId }
+    };
+    const reply = { statusCode, elapsedTime: 120, raw: new EventEmitter() };
+    const sent = await onSend(req, reply, payload);
+    if (sent instanceof Readable) {
+      for await (const chunk of sent) void chunk;
+    }
+    for (let wait = 0; wait < 50; wait++) {
+      const [found] = await usageTracker.getRecords({ projectId });
+      if (found) return found;
+      await sleep(20);
+    }
+    throw new Error('no usage record');
+  };
+
+  await check('usage is read from SSE events split across chunks', async () => {
+    const events = [
+      { type: 'message_start', message: { model: 'deepseek-chat', usage: { input_tokens: 0, output_tokens: 1 } } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'héllo' } },
+      { type: 'message_delta', usage: { input_tokens: 42, output_tokens: 9, cache_read_input_tokens: 3 } }
+    ];
+    const text = events.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+    const bytes = Buffer.from(text);
+    // cut inside a line and inside the two bytes of "é"
+    const cut = bytes.indexOf(Buffer.from('é')) + 1;
+    const stream = Readable.from([bytes.subarray(0, 20), bytes.subarray(20, cut), bytes.subarray(cut)]);
+    const captured = await captureResponse(stream, 'sse');
+    assert.equal(captured.provider, 'good');
+    assert.equal(captured.model, 'deepseek-chat');
+    assert.deepEqual(captured.tokens, { input: 42, output: 9, cacheRead: 3, cacheWrite: 0, total: 54 });
+    assert.equal(captured.ttft, 120);
+    assert.equal(captured.success, true);
+  });
+
+  await check('an error event or error body marks the request as failed', async () => {
+    const stream = Readable.from([`data: ${JSON.stringify({ type: 'error', error: { message: 'overloaded' } })}\n\n`]);
+    assert.equal((await captureResponse(stream, 'sse-error')).success, false);
+    const body = JSON.stringify({ type: 'error', error: { type: 'api_error', message: 'boom' } });
+    assert.equal((await captureResponse(body, 'json-error', 500)).success, false);
+  });
+
+  finish();
+};
+
+main();
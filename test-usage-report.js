@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// Usage report queries: filters, group-by and CSV export
+
+const assert = require('assert/strict');
+const { loadSources, check, finish } = require('./test-helpers');
+
+const { report } = loadSources({ report: 'src/utils/usageReport.ts' });
+
+const main = async () => {
+  console.log('📊 Testing usage reports...\n');
+
+  await check('since and until are ISO dates, a date alone as until covers the whole day', () => {
+    const filters = report.parseUsageFilters({ since: '2025-09-01', until: '2025-09-30', projectId: ['web', 'api'] });
+    assert.equal(filters.projectId, 'web');
+    assert.equal(filters.timeRange.start.toISOString(), '2025-09-01T00:00:00.000Z');
+    assert.equal(filters.timeRange.end.toISOString(), '2025-09-30T23:59:59.999Z');
+    const exact = report.parseUsageFilters({ until: '2025-09-30T12:00:00Z' });
+    assert.equal(exact.timeRange.end.toISOString(), '2025-09-30T12:00:00.000Z');
+    assert.equal(exact.timeRange.start.getTime(), 0);
+    assert.equal(report.parseUsageFilters({}).timeRange, undefined);
+  });
+
+  await check('the legacy timeRange parameter is still read and bad input is a 400', () => {
+    const filters = report.parseUsageFilters({ timeRange: JSON.stringify({ start: '2025-09-01', end: '2025-09-02' }) });
+    assert.equal(filters.timeRange.end.toISOString(), '2025-09-02T23:59:59.999Z');
+    for (const query of [{ since: 'yesterday' }, { timeRange: '{' }, { since: '2025-09-02', until: '2025-09-01' }]) {
+      assert.throws(() => report.parseUsageFilters(query), (error) => error instanceof report.UsageQueryError && error.statusCode === 400);
+    }
+    assert.throws(() => report.parseGroupBy('weekday'), report.UsageQueryError);
+  });
+
+  await check('CSV cells with commas, quotes or line breaks are quoted', () => {
+    assert.equal(
+      report.toCsvLine(['plain', 'a,b', 'say "hi"', 'two\nlines', undefined, null, { k: 'v' }, 0, false]),
+      'plain,"a,b","say ""hi""","two\nlines",,,"{""k"":""v""}",0,false\n'
+    );
+  });
+
+  finish();
+};
+
+main();
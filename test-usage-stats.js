@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+// Usage stats: latency percentiles, rollup days and breakdowns
+
+const assert = require('assert/strict');
+const {
+  loadSources,
+  check,
+  finish,
+  usageDir,
+  daysAgo,
+  usageRecord,
+  writeSegment,
+  writeRollup,
+  rollupEntry
+} = require('./test-helpers');
+
+const { tracking } = loadSources({ tracking: 'src/middleware/usage-tracking.ts' });
+const { usageTracker } = tracking;
+
+const main = async () => {
+  console.log('⏱️  Testing latency percentiles...\n');
+
+  await check('percentiles are nearest-rank over raw records and flagged when rollups are left out', async () => {
+    const latencies = Array.from({ length: 100 }, (_, index) => index + 1);
+    writeSegment(usageDir, daysAgo(2), latencies.map((latency) => usageRecord({ projectId: 'latency', latency, timestamp: `${daysAgo(2)}T12:00:00.000Z` })));
+    const range = { start: new Date(`${daysAgo(2)}T00:00:00.000Z`), end: new Date() };
+    const stats = await usageTracker.getUsageStats({ projectId: 'latency', timeRange: range });
+    assert.deepEqual(stats.latencyPercentiles, { p50: 50, p95: 95, p99: 99 });
+    assert.equal(stats.averageLatency, 50.5);
+    assert.equal(stats.percentilesPartial, false);
+
+    writeRollup(usageDir, daysAgo(20), [rollupEntry({ period: `${daysAgo(20)}T12`, projectId: 'latency', requests: 100, successes: 100, latency: 100 * 5050 })]);
+    const withRollups = await usageTracker.getUsageReport(
+      { projectId: 'latency', timeRange: { start: new Date(`${daysAgo(20)}T00:00:00.000Z`), end: new Date() } },
+      ['model']
+    );
+    assert.equal(withRollups.usage.totalRequests, 200);
+    assert.deepEqual(withRollups.usage.latencyPercentiles, { p50: 50, p95: 95, p99: 99 });
+    assert.equal(withRollups.usage.averageLatency, (5050 + 100 * 5050) / 200);
+    assert.equal(withRollups.usage.percentilesPartial, true);
+    assert.equal(withRollups.breakdown.byModel.m.totalRequests, 200);
+    assert.equal(withRollups.performance[0].sampleSize, 200);
+  });
+
+  finish();
+};
+
+main();
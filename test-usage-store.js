@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+// The usage store: daily rollups and retention of raw records and rollups
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home, loadSources, check, finish, DAY_MS, today, daysAgo, usageRecord, writeSegment } = require('./test-helpers');
+
+const { store } = loadSources({ store: 'src/middleware/usage-store.ts' });
+
+const main = async () => {
+  console.log('🗄️  Testing the usage store...\n');
+
+  await check('completed days are rolled up and raw records past retention are pruned', async () => {
+    const baseDir = path.join(home, 'store');
+    const dir = path.join(baseDir, 'usage');
+    const at = (day, hour) => `${day}T${hour}:15:00.000Z`;
+    writeSegment(dir, today, [usageRecord({ timestamp: new Date().toISOString() })]);
+    writeSegment(dir, daysAgo(3), [usageRecord({ timestamp: at(daysAgo(3), '08') })]);
+    writeSegment(dir, daysAgo(10), [
+      usageRecord({ timestamp: at(daysAgo(10), '09'), cost: 1, latency: 100, tokens: { input: 10, output: 5, total: 15 } }),
+      usageRecord({ timestamp: at(daysAgo(10), '09'), cost: 2, latency: 300, success: false, tokens: { input: 1, output: 1, total: 2 } })
+    ]);
+    writeSegment(dir, daysAgo(40), [usageRecord({ timestamp: at(daysAgo(40), '10') })]);
+
+    const usageStore = new store.UsageStore(baseDir);
+    usageStore.configure({ retentionDays: 5, rollupRetentionDays: 30 });
+    await usageStore.maintain();
+
+    const files = (sub) => fs.readdirSync(path.join(dir, sub)).filter((file) => file.includes('-')).sort();
+    assert.deepEqual(files(''), [`${daysAgo(3)}.jsonl`, `${today}.jsonl`]);
+    assert.deepEqual(files('rollups'), [`${daysAgo(10)}.json`, `${daysAgo(3)}.json`]);
+
+    const all = { timeRange: { start: new Date(Date.now() - 60 * DAY_MS), end: new Date() } };
+    assert.equal((await usageStore.query(all)).length, 2);
+    // only days without raw records are answered from rollups
+    const rollups = await usageStore.queryRollups(all);
+    assert.equal(rollups.length, 1);
+    assert.equal(rollups[0].period, `${daysAgo(10)}T09`);
+    assert.equal(rollups[0].requests, 2);
+    assert.equal(rollups[0].successes, 1);
+    assert.equal(rollups[0].cost, 3);
+    assert.equal(rollups[0].latency, 400);
+    assert.deepEqual(rollups[0].tokens, { input: 11, output: 6, cacheRead: 0, cacheWrite: 0, total: 17 });
+  });
+
+  finish();
+};
+
+main();